@@ -0,0 +1,88 @@
+/**
+ * Application Config
+ * 
+ * Centralises environment-driven settings used across services and middleware.
+ */
+
+module.exports = {
+  env: process.env.NODE_ENV || 'development',
+  appUrl: process.env.APP_URL || 'http://localhost:5000',
+  jwtSecret: process.env.JWT_SECRET,
+  accessTokenTtlSeconds: Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60,
+  refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  encryptionKey: process.env.ENCRYPTION_KEY,
+  mailFrom: process.env.MAIL_FROM || 'no-reply@carparkly.com',
+  lockout: {
+    maxFailedAttempts: 5, // Failures before a timed lock
+    lockDurationMinutes: 30,
+    delayBaseMs: 1000, // Wait after the first failure, doubled for each further failure
+    maxDelayMs: 30000,
+    unlockTokenTtlHours: 24,
+    ipMaxFailures: 20, // Failures from one IP within the window before it is throttled
+    ipMaxDistinctEmails: 10, // Accounts one IP may fail against within the window
+    ipWindowMinutes: 15,
+  },
+  twoFactor: {
+    sender: process.env.TWO_FACTOR_SENDER || 'console', // 'console' or 'file'
+    codeFile: process.env.TWO_FACTOR_CODE_FILE || 'logs/two-factor-codes.log',
+    challengeTtl: '10m',
+    maxAttempts: 5,
+    totpIssuer: process.env.TOTP_ISSUER || 'Carparkly',
+    recoveryCodeCount: 10,
+  },
+  booking: {
+    spotLockTtlMs: 5000, // Lease on a spot while its capacity is checked and allocated
+    spotLockRetries: 20,
+    spotLockRetryDelayMs: 50,
+    searchCandidateLimit: 200, // Nearest spots considered by an availability search
+    unpaidExpiryMinutes: 30, // Payment window for bookings with autoCancelIfUnpaid
+    expirySweepBatchSize: 200,
+    checkoutHoldMinutes: 10, // How long a space is held while the client pays
+    refundRetryMinutes: 10, // Wait before an owed refund that has not been completed is tried again
+  },
+  qrCode: {
+    ttl: '5m', // Lifetime of an issued QR payload; the app fetches a fresh one when needed
+    checkInEarlyMinutes: 15, // How long before bookingStart a client may check in
+  },
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    pollIntervalMs: 30 * 1000, // How often each worker looks for due jobs
+    lockTtlMs: 10 * 60 * 1000, // Lease on a running job; another worker may take over after it lapses
+    maxRetries: 3, // Retries of a failed run before waiting for the next scheduled run
+    retryBaseDelayMs: 60 * 1000, // Delay before the first retry, doubled for each further retry
+    historyRetentionDays: 30,
+  },
+  waitlist: {
+    holdMinutes: 15, // How long a freed space is kept for the waiting client it is offered to
+    batchSize: 100, // Expired holds handled per run
+  },
+  noShow: {
+    defaultWindowMinutes: 30, // Time after bookingStart to check in, unless the spot sets its own
+    minWindowMinutes: 5,
+    maxWindowMinutes: 240, // Limits partner-set windows
+    batchSize: 100, // Bookings handled per run
+    repeatThreshold: 2, // No-shows within the lookback period before the client's fraudScore is raised
+    repeatLookbackDays: 90,
+    fraudScoreIncrement: 10,
+  },
+  overstay: {
+    graceMinutes: 15, // Time after bookingEnd before a checked-in booking counts as an overstay
+    batchSize: 100, // Bookings handled per run
+  },
+  // Refund tiers per cancellation policy, most generous first. Cancelling at least `hoursBefore`
+  // hours before the booking starts refunds `refundPercent` of the amount paid; later gets nothing
+  cancellationPolicies: {
+    flexible: [
+      { hoursBefore: 1, refundPercent: 100 },
+      { hoursBefore: 0, refundPercent: 50 },
+    ],
+    moderate: [
+      { hoursBefore: 24, refundPercent: 100 },
+      { hoursBefore: 2, refundPercent: 50 },
+    ],
+    strict: [
+      { hoursBefore: 72, refundPercent: 100 },
+      { hoursBefore: 24, refundPercent: 50 },
+    ],
+  },
+};
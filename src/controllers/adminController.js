@@ -0,0 +1,32 @@
+const AccountLockoutService = require('../services/AccountLockoutService');
+
+exports.getLockedAccounts = async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+        const users = await AccountLockoutService.getLockedAccounts({
+            page: Number(page) || 1,
+            limit: Math.min(Number(limit) || 20, 100),
+        });
+        res.json({ users });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.lockAccount = async (req, res, next) => {
+    try {
+        const user = await AccountLockoutService.lockAccount(req.params.userId, req.body.reason);
+        res.json({ user });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.unlockAccount = async (req, res, next) => {
+    try {
+        const user = await AccountLockoutService.unlockAccount(req.params.userId, req.user._id);
+        res.json({ user });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,114 @@
+const AuthService = require('../services/authService');
+const AccountLockoutService = require('../services/AccountLockoutService');
+const getRequestContext = require('../utils/requestContext');
+
+exports.register = async (req, res, next) => {
+    try {
+        const { user, token, refreshToken } = await AuthService.registerUser(req.body, getRequestContext(req));
+        res.status(201).json({ user, token, refreshToken });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.login = async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+        const result = await AuthService.authenticateUser(email, password, getRequestContext(req));
+        if (result.twoFactorRequired) {
+            return res.json({ twoFactorRequired: true, method: result.method, challengeToken: result.challengeToken });
+        }
+        res.json({ user: result.user, token: result.token, refreshToken: result.refreshToken });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.verifyTwoFactor = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const { user, token, refreshToken } = await AuthService.verifyTwoFactorLogin(
+            challengeToken,
+            { code, recoveryCode },
+            getRequestContext(req)
+        );
+        res.json({ user, token, refreshToken });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.updateTwoFactor = async (req, res, next) => {
+    try {
+        const user = await AuthService.updateMFAStatus(req.user._id, req.body.enabled);
+        res.json({ twoFactorEnabled: user.twoFactorEnabled });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.refresh = async (req, res, next) => {
+    try {
+        const { token, refreshToken } = await AuthService.refreshSession(req.body.refreshToken, getRequestContext(req));
+        res.json({ token, refreshToken });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.logout = async (req, res, next) => {
+    try {
+        await AuthService.logoutUser(req.token, req.user._id);
+        res.json({ message: 'Logged out successfully' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.logoutAll = async (req, res, next) => {
+    try {
+        await AuthService.revokeAllSessions(req.user._id);
+        res.json({ message: 'All sessions have been signed out' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.unlockAccount = async (req, res, next) => {
+    try {
+        const token = req.body.token || req.query.token;
+        await AccountLockoutService.unlockWithToken(token);
+        res.json({ message: 'Account unlocked, you can sign in again' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.forgotPassword = async (req, res, next) => {
+    try {
+        await AuthService.requestPasswordReset(req.body.email);
+        res.json({ message: 'If that email is registered, a reset link has been sent' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+        await AuthService.resetPassword(token, password);
+        res.json({ message: 'Password has been reset' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.verifyEmail = async (req, res, next) => {
+    try {
+        const token = req.body.token || req.query.token;
+        await AuthService.verifyEmail(token);
+        res.json({ message: 'Email verified successfully' });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,190 @@
+const BookingService = require('../services/BookingService');
+const BookingSeriesService = require('../services/BookingSeriesService');
+const CheckInService = require('../services/CheckInService');
+
+const BOOKABLE_FIELDS = [
+    'parkingSpotId',
+    'bookingStart',
+    'bookingEnd',
+    'paymentMethod',
+    'cancellationPolicy',
+    'waitlistEntryId',
+];
+
+exports.createBooking = async (req, res, next) => {
+    try {
+        const bookingData = { userId: req.user._id };
+        for (const field of BOOKABLE_FIELDS) {
+            if (req.body[field] !== undefined) bookingData[field] = req.body[field];
+        }
+        if (req.body.promoCode) bookingData.promoCodeUsed = req.body.promoCode;
+
+        const hold = await BookingService.createBooking(bookingData);
+        res.status(201).json({ hold });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getBookingHold = async (req, res, next) => {
+    try {
+        const hold = await BookingService.getHold(req.params.id, req.user);
+        res.json({ hold });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.payBookingHold = async (req, res, next) => {
+    try {
+        const result = await BookingService.payForHold(req.params.id, req.user, { paymentMethod: req.body.paymentMethod });
+        res.status(201).json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.releaseBookingHold = async (req, res, next) => {
+    try {
+        await BookingService.releaseHold(req.params.id, req.user);
+        res.json({ message: 'Booking hold released' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.listBookings = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, ...filters } = req.query;
+        const result = await BookingService.listBookingsForUser(req.user, filters, { page, limit });
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getBooking = async (req, res, next) => {
+    try {
+        const booking = await BookingService.getBookingForUser(req.user, req.params.id);
+        res.json({ booking });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getCancellationQuote = async (req, res, next) => {
+    try {
+        const quote = await BookingService.getCancellationQuote(req.params.id, req.user);
+        res.json({ quote });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.cancelBooking = async (req, res, next) => {
+    try {
+        const { booking, quote } = await BookingService.cancelBooking(req.params.id, req.user, req.body.reason);
+        res.json({ booking, refund: quote });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.extendBooking = async (req, res, next) => {
+    try {
+        const { additionalHours, paymentMethod } = req.body;
+        const result = await BookingService.extendBooking(req.params.id, req.user, { additionalHours, paymentMethod });
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+const SERIES_FIELDS = [
+    'parkingSpotId',
+    'daysOfWeek',
+    'startTime',
+    'endTime',
+    'startDate',
+    'weeks',
+    'paymentMethod',
+    'cancellationPolicy',
+    'skipConflicts',
+];
+
+const pickSeriesFields = (body) => {
+    const seriesData = {};
+    for (const field of SERIES_FIELDS) {
+        if (body[field] !== undefined) seriesData[field] = body[field];
+    }
+    return seriesData;
+};
+
+exports.previewBookingSeries = async (req, res, next) => {
+    try {
+        const preview = await BookingSeriesService.previewSeries(pickSeriesFields(req.body));
+        res.json(preview);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.createBookingSeries = async (req, res, next) => {
+    try {
+        const result = await BookingSeriesService.createSeries({ ...pickSeriesFields(req.body), userId: req.user._id });
+        res.status(201).json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getBookingSeries = async (req, res, next) => {
+    try {
+        const result = await BookingSeriesService.getSeriesForUser(req.user, req.params.id);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.cancelBookingSeries = async (req, res, next) => {
+    try {
+        const result = await BookingSeriesService.cancelSeries(req.params.id, req.user, req.body.reason);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.updateBookingStatus = async (req, res, next) => {
+    try {
+        await BookingService.getBookingForUser(req.user, req.params.id);
+        const booking = await BookingService.updateBookingStatus(
+            req.params.id,
+            req.body.status,
+            req.user,
+            req.body.reason
+        );
+        res.json({ booking });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.issueQrCode = async (req, res, next) => {
+    try {
+        const qrCode = await CheckInService.issueQrCode(req.params.id, req.user, req.query.action);
+        res.json(qrCode);
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.scanQrCode = async (req, res, next) => {
+    try {
+        const result = await CheckInService.scanQrCode(req.body.payload, req.body.parkingSpotId, req.user);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
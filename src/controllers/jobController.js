@@ -0,0 +1,32 @@
+const JobSchedulerService = require('../services/JobSchedulerService');
+
+exports.listJobs = async (req, res, next) => {
+    try {
+        const jobs = await JobSchedulerService.listJobs();
+        res.json({ jobs });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getJobRuns = async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+        const runs = await JobSchedulerService.getJobRuns(req.params.name, {
+            page: page || 1,
+            limit: limit || 20,
+        });
+        res.json({ runs });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.triggerJob = async (req, res, next) => {
+    try {
+        const run = await JobSchedulerService.triggerJob(req.params.name, req.user);
+        res.json({ run });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,51 @@
+const AdminService = require('../services/AdminService');
+const createHttpError = require('../utils/httpError');
+
+const getCurrentAdmin = async (req) => {
+    const admin = await AdminService.getAdminByUserId(req.user._id);
+    if (!admin) throw createHttpError(403, 'Admin access required');
+    return admin;
+};
+
+exports.beginTotpEnrolment = async (req, res, next) => {
+    try {
+        const admin = await getCurrentAdmin(req);
+        const { secret, otpauthUri } = await AdminService.beginTotpEnrolment(admin._id);
+        res.json({ secret, otpauthUri });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.confirmTotpEnrolment = async (req, res, next) => {
+    try {
+        const admin = await getCurrentAdmin(req);
+        const recoveryCodes = await AdminService.confirmTotpEnrolment(admin._id, req.body.code);
+        res.json({ mfaEnabled: true, recoveryCodes });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const admin = await getCurrentAdmin(req);
+        const recoveryCodes = await AdminService.regenerateRecoveryCodes(admin._id, req.body.code);
+        res.json({ recoveryCodes });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.disableTotp = async (req, res, next) => {
+    try {
+        const admin = await getCurrentAdmin(req);
+        if (!(await AdminService.verifySecondFactor(admin._id, { code: req.body.code }))) {
+            throw createHttpError(401, 'Invalid authenticator code');
+        }
+        await AdminService.updateMFAStatus(admin._id, false);
+        res.json({ mfaEnabled: false });
+    } catch (err) {
+        next(err);
+    }
+};
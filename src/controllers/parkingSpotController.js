@@ -0,0 +1,29 @@
+const AvailabilityService = require('../services/AvailabilityService');
+const NoShowService = require('../services/NoShowService');
+
+exports.searchAvailability = async (req, res, next) => {
+    try {
+        const { lat, lng, radius, start, end, sort, limit } = req.query;
+        const spots = await AvailabilityService.searchAvailableSpots({
+            latitude: lat,
+            longitude: lng,
+            radius,
+            start,
+            end,
+            sort,
+            limit,
+        });
+        res.json({ spots });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.setNoShowWindow = async (req, res, next) => {
+    try {
+        const result = await NoShowService.setNoShowWindow(req.params.id, req.user, req.body.noShowWindowMinutes);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
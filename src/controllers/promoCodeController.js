@@ -0,0 +1,62 @@
+const PromoCodeService = require('../services/PromoCodeService');
+
+const PROMO_CODE_FIELDS = [
+    'code',
+    'description',
+    'discountType',
+    'discountValue',
+    'maxDiscount',
+    'minSpend',
+    'usageLimit',
+    'perUserLimit',
+    'validFrom',
+    'validUntil',
+    'parkingSpotIds',
+    'partnerIds',
+    'firstBookingOnly',
+];
+
+exports.createPromoCode = async (req, res, next) => {
+    try {
+        const promoCodeData = {};
+        for (const field of PROMO_CODE_FIELDS) {
+            if (req.body[field] !== undefined) promoCodeData[field] = req.body[field];
+        }
+
+        const promoCode = await PromoCodeService.createPromoCode(promoCodeData, req.user);
+        res.status(201).json({ promoCode });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.listPromoCodes = async (req, res, next) => {
+    try {
+        const { status, page, limit } = req.query;
+        const promoCodes = await PromoCodeService.listPromoCodes({ status }, {
+            page: page || 1,
+            limit: limit || 20,
+        });
+        res.json({ promoCodes });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.disablePromoCode = async (req, res, next) => {
+    try {
+        const promoCode = await PromoCodeService.disablePromoCode(req.params.id, req.user);
+        res.json({ promoCode });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.getPromoCodeStats = async (req, res, next) => {
+    try {
+        const result = await PromoCodeService.getPromoCodeStats(req.params.id);
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,28 @@
+const SessionService = require('../services/SessionService');
+
+exports.listSessions = async (req, res, next) => {
+    try {
+        const sessions = await SessionService.listActiveSessions(req.user, req.tokenPayload.sid);
+        res.json({ sessions });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.revokeSession = async (req, res, next) => {
+    try {
+        await SessionService.revokeSession(req.user, req.params.sessionId);
+        res.json({ message: 'Session revoked' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.revokeOtherSessions = async (req, res, next) => {
+    try {
+        const revoked = await SessionService.revokeOtherSessions(req.user, req.tokenPayload.sid);
+        res.json({ revoked });
+    } catch (err) {
+        next(err);
+    }
+};
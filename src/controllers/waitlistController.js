@@ -0,0 +1,29 @@
+const WaitlistService = require('../services/WaitlistService');
+
+exports.joinWaitlist = async (req, res, next) => {
+    try {
+        const { parkingSpotId, start, end } = req.body;
+        const entry = await WaitlistService.joinWaitlist(req.user, { parkingSpotId, start, end });
+        res.status(201).json({ entry });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.listEntries = async (req, res, next) => {
+    try {
+        const entries = await WaitlistService.listEntries(req.user, { status: req.query.status });
+        res.json({ entries });
+    } catch (err) {
+        next(err);
+    }
+};
+
+exports.leaveWaitlist = async (req, res, next) => {
+    try {
+        const entry = await WaitlistService.leaveWaitlist(req.params.id, req.user);
+        res.json({ entry });
+    } catch (err) {
+        next(err);
+    }
+};
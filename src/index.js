@@ -8,12 +8,16 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const dbConnect = require('./config/db');
 const apiRoutes = require('./routes/api');
 const errorHandler = require('./middleware/errorHandler');
+const { startJobs } = require('./jobs');
 
 const app = express();
 
 // Database Connection
 dbConnect();
 
+// Background Jobs
+startJobs();
+
 // Middleware
 app.use(express.json());
 app.use(cors({ origin: process.env.CORS_ORIGIN }));
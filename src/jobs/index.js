@@ -0,0 +1,62 @@
+/**
+ * Background Jobs - Registers the recurring jobs and starts the job scheduler.
+ *
+ * Every server process registers the same jobs; the scheduler makes sure each run happens
+ * on a single worker (see JobSchedulerService). Schedules are cron expressions in UTC.
+ * Jobs take the current time from the `now` function they are started with and pass it on to
+ * the services they run.
+ */
+
+const JobSchedulerService = require('../services/JobSchedulerService');
+const BookingService = require('../services/BookingService');
+const OverstayService = require('../services/OverstayService');
+const NoShowService = require('../services/NoShowService');
+const WaitlistService = require('../services/WaitlistService');
+const config = require('../config');
+
+JobSchedulerService.registerJob({
+  name: 'auto-cancel-expired-bookings',
+  schedule: '*/5 * * * *',
+  handler: ({ now }) => BookingService.autoCancelExpiredBookings({ now }),
+});
+
+JobSchedulerService.registerJob({
+  name: 'refund-retry',
+  schedule: '*/5 * * * *',
+  handler: ({ now }) => BookingService.retryPendingRefunds({ now }),
+});
+
+JobSchedulerService.registerJob({
+  name: 'overstay-detection',
+  schedule: '*/5 * * * *',
+  handler: ({ now }) => OverstayService.detectOverstays({ now }),
+});
+
+JobSchedulerService.registerJob({
+  name: 'no-show-detection',
+  schedule: '*/5 * * * *',
+  handler: ({ now }) => NoShowService.detectNoShows({ now }),
+});
+
+JobSchedulerService.registerJob({
+  name: 'waitlist-hold-expiry',
+  schedule: '* * * * *',
+  handler: ({ now }) => WaitlistService.processExpiredHolds({ now }),
+});
+
+// PaymentService.processScheduledPayouts is not scheduled yet: PaymentService requires
+// FraudDetectionService, which does not exist yet, so the job could not run
+
+/**
+ * Start the background jobs, unless they are disabled for this process (JOBS_ENABLED=false).
+ * @param {Object} options - Options (now: function returning the current time).
+ * @returns {Object|null} - Returns the scheduler timer, so callers can stop it with clearInterval.
+ */
+const startJobs = ({ now = () => new Date() } = {}) => {
+  if (!config.jobs.enabled) return null;
+  return JobSchedulerService.startScheduler({ now });
+};
+
+module.exports = {
+  startJobs,
+};
@@ -0,0 +1,125 @@
+/**
+ * Auth Middleware - Protects routes with JWT authentication and access guards.
+ * 
+ * `authenticate` resolves the Bearer token to an active user on `req.user`.
+ * `requireRole` and `requirePermission` must run after `authenticate`.
+ */
+
+const AuthService = require('../services/authService');
+const UserRepository = require('../repositories/UserRepository');
+const AdminRepository = require('../repositories/AdminRepository');
+const AdminService = require('../services/AdminService');
+const createHttpError = require('../utils/httpError');
+const getRequestContext = require('../utils/requestContext');
+
+/**
+ * Extract the Bearer token from the Authorization header.
+ * @param {Object} req - The Express request.
+ * @returns {string|null} - Returns the token or null.
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+/**
+ * Verify the Bearer token and attach the user to the request.
+ * Rejects blacklisted tokens, deleted users and inactive or locked accounts.
+ * @param {Object} req - The Express request.
+ * @param {Object} res - The Express response.
+ * @param {Function} next - The next middleware.
+ * @returns {Promise<void>} - Calls next with or without an error.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) throw createHttpError(401, 'Authentication required');
+
+    const decoded = await AuthService.verifyToken(token);
+    if (!decoded) throw createHttpError(401, 'Invalid or expired token');
+
+    const user = await UserRepository.findById(decoded.id);
+    if (!user) throw createHttpError(401, 'User no longer exists');
+    if (!user.isActive) throw createHttpError(403, 'Account is deactivated');
+    if (user.accountLocked) throw createHttpError(403, 'Account is locked');
+
+    req.user = user;
+    req.token = token;
+    req.tokenPayload = decoded;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Allow only users whose role is in the given list.
+ * @param {...string} roles - The allowed roles.
+ * @returns {Function} - Returns the Express middleware.
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return next(createHttpError(401, 'Authentication required'));
+  if (!AuthService.checkUserRole(req.user, roles)) {
+    return next(createHttpError(403, 'Insufficient role'));
+  }
+  next();
+};
+
+/**
+ * Allow only active admins holding every listed permission, either assigned
+ * directly or inherited from their admin role. Admins whose role mandates MFA
+ * are refused until they enrol. Attaches the profile to `req.admin`.
+ * @param {...string} permissions - The required permissions.
+ * @returns {Function} - Returns the Express middleware.
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.user) throw createHttpError(401, 'Authentication required');
+
+    const admin = req.admin || await AdminRepository.findByUserId(req.user._id);
+    if (!admin || admin.status !== 'active') throw createHttpError(403, 'Admin access required');
+    if (!AdminService.isMfaCompliant(admin)) throw createHttpError(403, 'MFA enrolment is required for this role');
+
+    const granted = new Set([...admin.permissions, ...admin.inheritedPermissions]);
+    if (!permissions.every((permission) => granted.has(permission))) {
+      throw createHttpError(403, 'Insufficient permissions');
+    }
+
+    req.admin = admin;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Enforce the admin's access restrictions (IP/CIDR allowlist, device fingerprint
+ * from the X-Device-Fingerprint header, restricted hours in the admin's timezone).
+ * Denials are written to the admin's audit log. Attaches the profile to `req.admin`.
+ * @param {Object} req - The Express request.
+ * @param {Object} res - The Express response.
+ * @param {Function} next - The next middleware.
+ * @returns {Promise<void>} - Calls next with or without an error.
+ */
+const enforceAdminAccessRestrictions = async (req, res, next) => {
+  try {
+    if (!req.user) throw createHttpError(401, 'Authentication required');
+
+    const admin = await AdminRepository.findByUserId(req.user._id);
+    if (!admin || admin.status !== 'active') throw createHttpError(403, 'Admin access required');
+
+    await AdminService.assertAccessAllowed(admin, getRequestContext(req));
+    req.admin = admin;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getBearerToken,
+  authenticate,
+  requireRole,
+  requirePermission,
+  enforceAdminAccessRestrictions,
+};
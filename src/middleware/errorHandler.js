@@ -1,4 +1,7 @@
 module.exports = (err, req, res, next) => {
+    if (err.statusCode && err.statusCode < 500) {
+        return res.status(err.statusCode).json({ error: err.message, ...(err.details && { details: err.details }) });
+    }
     console.error(err.stack);
-    res.status(500).json({ error: 'Something went wrong!' });
+    res.status(err.statusCode || 500).json({ error: 'Something went wrong!' });
 };
@@ -0,0 +1,40 @@
+/**
+ * Validation Middleware - Runs express-validator chains and reports failures.
+ * 
+ * Failed requests are answered with 422 and one entry per invalid field, so
+ * clients can highlight the affected form inputs.
+ */
+
+const { validationResult } = require('express-validator');
+const createHttpError = require('../utils/httpError');
+
+/**
+ * Turn collected validation errors into a structured 422 response.
+ * @param {Object} req - The Express request.
+ * @param {Object} res - The Express response.
+ * @param {Function} next - The next middleware.
+ * @returns {void} - Calls next with or without an error.
+ */
+const handleValidationErrors = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) return next();
+
+  const fields = result.array({ onlyFirstError: true }).map((error) => ({
+    field: error.path,
+    location: error.location,
+    message: error.msg,
+  }));
+  next(createHttpError(422, 'Validation failed', fields));
+};
+
+/**
+ * Build a middleware stack that runs the given chains and then reports failures.
+ * @param {Array<Function>} validations - The express-validator chains.
+ * @returns {Array<Function>} - Returns the middleware stack for a route.
+ */
+const validate = (validations) => [...validations, handleValidationErrors];
+
+module.exports = {
+  handleValidationErrors,
+  validate,
+};
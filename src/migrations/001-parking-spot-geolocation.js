@@ -0,0 +1,39 @@
+/**
+ * Migration - Parking spot GeoJSON locations
+ * 
+ * Parking spots stored their position only as `location.latitude` / `location.longitude`,
+ * which the 2dsphere index cannot use. This copies the coordinates into the GeoJSON
+ * `geoLocation` field and rebuilds the indexes, dropping the old `location_2dsphere` index.
+ * 
+ * Run once per environment: node src/migrations/001-parking-spot-geolocation.js
+ * It only touches spots without a `geoLocation`, so it is safe to re-run.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ParkingSpot = require('../models/parkingSpot');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.DATABASE_URL);
+
+  const result = await ParkingSpot.updateMany(
+    {
+      'geoLocation.coordinates': { $exists: false },
+      'location.latitude': { $type: 'number' },
+      'location.longitude': { $type: 'number' },
+    },
+    [{ $set: { geoLocation: { type: 'Point', coordinates: ['$location.longitude', '$location.latitude'] } } }]
+  );
+  console.log(`Added geoLocation to ${result.modifiedCount} parking spots`);
+
+  const dropped = await ParkingSpot.syncIndexes();
+  if (dropped.length) console.log(`Dropped indexes: ${dropped.join(', ')}`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -38,6 +38,22 @@ const adminSchema = new mongoose.Schema(
       type: Boolean,
       default: false, // Multi-Factor Authentication status
     },
+    totp: {
+      secret: { type: String, default: null, select: false }, // Encrypted authenticator app seed
+      pendingSecret: { type: String, default: null, select: false }, // Encrypted seed awaiting confirmation
+      lastUsedStep: { type: Number, default: null }, // Prevents replay of an accepted code
+      enrolledAt: { type: Date, default: null },
+    },
+    recoveryCodes: {
+      type: [
+        {
+          codeHash: { type: String, required: true }, // SHA-256 hash of a single-use recovery code
+          usedAt: { type: Date, default: null },
+        },
+      ],
+      default: [],
+      select: false,
+    },
     lastLogin: {
       type: Date,
       default: null, // Tracks last login timestamp
@@ -55,6 +71,7 @@ const adminSchema = new mongoose.Schema(
         ipAddress: { type: String, default: null },
         userAgent: { type: String, default: null },
         location: { type: String, default: null },
+        lastActiveAt: { type: Date, default: Date.now },
       },
     ],
     accessRestrictions: {
@@ -67,9 +84,13 @@ const adminSchema = new mongoose.Schema(
         default: [],
       },
       restrictedHours: {
-        type: [String], // Defines hours when access is restricted
+        type: [String], // Defines hours when access is restricted, as 'HH:MM-HH:MM' ranges (may wrap midnight)
         default: [],
       },
+      timezone: {
+        type: String,
+        default: 'UTC', // IANA timezone used to evaluate restrictedHours
+      },
     },
     auditLogs: [
       {
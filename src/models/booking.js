@@ -25,6 +25,11 @@ const bookingSchema = new mongoose.Schema(
       ref: 'User', // Reference to the partner who owns the spot
       required: true,
     },
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingSeries', // The recurring series this booking is an occurrence of, if any
+      default: null,
+    },
     bookingStart: {
       type: Date,
       required: true,
@@ -79,12 +84,38 @@ const bookingSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    refundPending: {
+      type: Boolean,
+      default: false, // Set with the cancellation while the refund is owed, cleared once it has been made
+    },
+    refundAttemptedAt: {
+      type: Date,
+      default: null, // Last attempt at the owed refund; failed refunds are retried after config.booking.refundRetryMinutes
+    },
     checkInTime: {
       type: Date,
     },
     checkOutTime: {
       type: Date,
     },
+    noShowAttemptedAt: {
+      type: Date,
+      default: null, // Last time the no-show job tried to mark the booking, so failing bookings are tried after the others
+    },
+    overstay: {
+      detectedAt: { type: Date, default: null }, // Set once by the overstay job, so a booking is only penalised once
+      penaltyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Penalty', default: null },
+    },
+    extensions: [
+      {
+        previousEnd: { type: Date, required: true },
+        newEnd: { type: Date, required: true },
+        additionalHours: { type: Number, required: true },
+        charge: { type: Number, default: 0 },
+        paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', default: null }, // null when the extra time was free
+        extendedAt: { type: Date, default: Date.now },
+      },
+    ],
     autoCancelIfUnpaid: {
       type: Boolean,
       default: false, // Automatically cancels booking if unpaid within a timeframe
@@ -105,6 +136,40 @@ const bookingSchema = new mongoose.Schema(
       type: String,
       default: null, // Stores any applied promo code
     },
+    priceBreakdown: [
+      {
+        type: { type: String, required: true }, // Line item type from PricingService.quotePrice (e.g., 'peak', 'daily_cap')
+        description: { type: String, default: null },
+        quantity: { type: Number, required: true },
+        unit: { type: String, enum: ['hour', 'day'], required: true },
+        rate: { type: Number, default: null },
+        amount: { type: Number, required: true },
+      },
+    ],
+    discount: {
+      promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', default: null }, // null when no promo code was used
+      code: { type: String, default: null },
+      discountType: { type: String, enum: ['percentage', 'fixed', null], default: null },
+      discountValue: { type: Number, default: null },
+      amountBeforeDiscount: { type: Number, default: null },
+      discountAmount: { type: Number, default: 0 },
+    },
+    statusHistory: [
+      {
+        from: { type: String, default: null }, // null for the initial status
+        to: { type: String, required: true },
+        actorRole: { type: String, enum: ['client', 'partner', 'admin', 'system'], required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for system changes
+        reason: { type: String, default: null },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    auditLogs: [
+      {
+        action: { type: String, required: true },
+        timestamp: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true, // Automatically creates createdAt and updatedAt fields
@@ -113,6 +178,12 @@ const bookingSchema = new mongoose.Schema(
 
 // Index userId, parkingSpotId, and status for efficient queries
 bookingSchema.index({ userId: 1, parkingSpotId: 1, status: 1 });
+// Index seriesId and bookingStart for listing the occurrences of a series
+bookingSchema.index({ seriesId: 1, bookingStart: 1 });
+// Index refundPending and refundAttemptedAt for retrying owed refunds
+bookingSchema.index({ refundPending: 1, refundAttemptedAt: 1 });
+// Index parkingSpotId, status, and time window for availability checks
+bookingSchema.index({ parkingSpotId: 1, status: 1, bookingStart: 1, bookingEnd: 1 });
 
 const Booking = mongoose.model('Booking', bookingSchema);
 module.exports = Booking;
@@ -0,0 +1,98 @@
+/**
+ * Booking Hold Model - Mongoose Schema
+ *
+ * This model represents a space reserved on a parking spot while a client completes payment.
+ * A hold counts against the spot's capacity until `expiresAt`; paying for it turns it into a
+ * confirmed Booking. A TTL index removes holds once they expire, so unpaid holds lapse
+ * without a cleanup job. MongoDB's TTL monitor runs about once a minute, so capacity checks
+ * also ignore holds whose `expiresAt` has passed.
+ */
+
+const mongoose = require('mongoose');
+
+const bookingHoldSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Reference to the client making the booking
+      required: true,
+    },
+    parkingSpotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot',
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Reference to the partner who owns the spot
+      required: true,
+    },
+    bookingStart: {
+      type: Date,
+      required: true,
+    },
+    bookingEnd: {
+      type: Date,
+      required: true,
+    },
+    amountDue: {
+      type: Number,
+      required: true,
+      min: 0, // Price of the booking after any discount, worked out when the hold is placed
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['card', 'paypal', 'stripe', 'crypto', 'bank_transfer', 'google_pay', 'apple_pay'],
+      required: true,
+    },
+    cancellationPolicy: {
+      type: String,
+      enum: ['flexible', 'moderate', 'strict'],
+      default: 'moderate',
+    },
+    promoCodeUsed: {
+      type: String,
+      default: null,
+    },
+    priceBreakdown: [
+      {
+        type: { type: String, required: true }, // Line item type from PricingService.quotePrice (e.g., 'peak', 'daily_cap')
+        description: { type: String, default: null },
+        quantity: { type: Number, required: true },
+        unit: { type: String, enum: ['hour', 'day'], required: true },
+        rate: { type: Number, default: null },
+        amount: { type: Number, required: true },
+      },
+    ],
+    discount: {
+      promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', default: null }, // null when no promo code was used
+      code: { type: String, default: null },
+      discountType: { type: String, enum: ['percentage', 'fixed', null], default: null },
+      discountValue: { type: Number, default: null },
+      amountBeforeDiscount: { type: Number, default: null },
+      discountAmount: { type: Number, default: 0 },
+    },
+    waitlistEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WaitlistEntry', // The waitlist hold used to place this hold, if any
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// Index parkingSpotId and time window for availability checks
+bookingHoldSchema.index({ parkingSpotId: 1, bookingStart: 1, bookingEnd: 1 });
+// Index waitlistEntryId to find the checkout started with a waitlist hold
+bookingHoldSchema.index({ waitlistEntryId: 1 }, { sparse: true });
+// TTL index: MongoDB deletes the hold as soon as expiresAt passes
+bookingHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BookingHold = mongoose.model('BookingHold', bookingHoldSchema);
+module.exports = BookingHold;
@@ -0,0 +1,95 @@
+/**
+ * Booking Series Model - Mongoose Schema
+ *
+ * This model represents a recurring booking, such as every weekday from 08:00 to 18:00 for
+ * a number of weeks. Each occurrence is stored as its own Booking linked back to the series
+ * through `seriesId`, so occurrences can be checked in, extended and cancelled one by one.
+ * Times are local to the parking spot's timezone; an end time at or before the start time
+ * means the occurrence runs overnight into the next day.
+ */
+
+const mongoose = require('mongoose');
+
+const bookingSeriesSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Reference to the user making the bookings
+      required: true,
+    },
+    parkingSpotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot',
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Reference to the partner who owns the spot
+      required: true,
+    },
+    daysOfWeek: {
+      type: [{ type: String, enum: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'] }],
+      required: true,
+    },
+    startTime: {
+      type: String,
+      required: true, // Local 'HH:MM'
+    },
+    endTime: {
+      type: String,
+      required: true, // Local 'HH:MM'
+    },
+    startDate: {
+      type: String,
+      required: true, // Local 'YYYY-MM-DD' of the first week
+    },
+    weeks: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    timezone: {
+      type: String,
+      default: 'UTC', // The parking spot's timezone when the series was created
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['card', 'paypal', 'stripe', 'crypto', 'bank_transfer', 'google_pay', 'apple_pay'],
+      required: true,
+    },
+    cancellationPolicy: {
+      type: String,
+      enum: ['flexible', 'moderate', 'strict'],
+      default: 'moderate',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'cancelled'],
+      default: 'active',
+    },
+    skippedOccurrences: [
+      {
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        reason: { type: String, enum: ['past', 'closed', 'full'], required: true },
+      },
+    ],
+    totalAmount: {
+      type: Number,
+      default: 0, // Sum of the charges of the booked occurrences
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// Index userId and status for listing a user's series
+bookingSeriesSchema.index({ userId: 1, status: 1 });
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+module.exports = BookingSeries;
@@ -54,6 +54,7 @@ const clientSchema = new mongoose.Schema(
         ipAddress: { type: String, default: null },
         deviceInfo: { type: String, default: null },
         location: { type: String, default: null },
+        lastActiveAt: { type: Date, default: Date.now },
       },
     ],
     securitySettings: {
@@ -61,6 +62,8 @@ const clientSchema = new mongoose.Schema(
       failedLoginAttempts: { type: Number, default: 0 },
       accountLocked: { type: Boolean, default: false },
       suspiciousActivityFlag: { type: Boolean, default: false },
+      lastFailedLogin: { type: Date, default: null },
+      accountLockReason: { type: String, default: null },
     },
     notifications: [
       {
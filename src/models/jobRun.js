@@ -0,0 +1,76 @@
+/**
+ * Job Run Model - Mongoose Schema
+ * 
+ * This model records each run of a scheduled job: when and where it ran, what triggered it,
+ * the attempt number, and its result or error. A TTL index removes runs once they pass
+ * `expiresAt`, so the history covers a fixed retention period.
+ */
+
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    jobName: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'retry', 'manual'],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Admin who triggered a manual run
+      default: null,
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed'],
+      default: 'running',
+    },
+    workerId: {
+      type: String,
+      required: true, // Host and process that ran the job
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    result: {
+      type: Object,
+      default: null, // Summary returned by the job handler
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// Index jobName and startedAt for run history queries
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+// TTL index: MongoDB deletes the run as soon as expiresAt passes
+jobRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+module.exports = JobRun;
@@ -0,0 +1,38 @@
+/**
+ * Login Failure Model - Mongoose Schema
+ * 
+ * This model records individual failed login attempts by source IP.
+ * It supports detection of credential stuffing, where one IP tries many accounts.
+ * Entries expire automatically through a TTL index once they fall outside the tracking window.
+ */
+
+const mongoose = require('mongoose');
+
+const loginFailureSchema = new mongoose.Schema(
+  {
+    ipAddress: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null, // Attempted account, which may not exist
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // End of the tracking window for this failure
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// Count failures per IP quickly and let MongoDB purge them after the window
+loginFailureSchema.index({ ipAddress: 1, createdAt: -1 });
+loginFailureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginFailure = mongoose.model('LoginFailure', loginFailureSchema);
+module.exports = LoginFailure;
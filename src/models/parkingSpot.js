@@ -27,6 +27,11 @@ const parkingSpotSchema = new mongoose.Schema(
       address: { type: String, required: [true, 'Address is required'], trim: true },
       googleMapsLink: { type: String, default: null },
     },
+    // GeoJSON copy of location for the 2dsphere index, kept in sync by the hooks below
+    geoLocation: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+    },
     capacity: { type: Number, required: true, min: 1 },
     availableSpots: { type: Number, required: true },
     
@@ -70,6 +75,7 @@ const parkingSpotSchema = new mongoose.Schema(
     },
     
     operatingHours: {
+      timezone: { type: String, default: 'UTC' }, // IANA timezone the opening times are in
       weekdays: {
         openTime: { type: String, default: '08:00 AM' },
         closeTime: { type: String, default: '08:00 PM' },
@@ -105,8 +111,19 @@ const parkingSpotSchema = new mongoose.Schema(
       },
     ],
     
+    // Minutes after bookingStart a client has to check in before the booking counts as a
+    // no-show; null uses config.noShow.defaultWindowMinutes
+    noShowWindowMinutes: { type: Number, default: null, min: 0 },
+    
     revenueGenerated: { type: Number, default: 0 },
     
+    // Short-lived lease held while a request checks and allocates capacity, so concurrent
+    // bookings for the same spot are serialised
+    bookingLock: {
+      holder: { type: String, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+    
     maintenance: {
       lastMaintenanceDate: { type: Date, default: null },
       isUnderMaintenance: { type: Boolean, default: false },
@@ -125,8 +142,37 @@ const parkingSpotSchema = new mongoose.Schema(
   }
 );
 
-// Index location for geospatial queries
-parkingSpotSchema.index({ location: '2dsphere' });
+// Index geoLocation for geospatial queries
+parkingSpotSchema.index({ geoLocation: '2dsphere' });
+
+/**
+ * Build the GeoJSON point for a latitude and longitude, or null if either is missing.
+ */
+const toGeoPoint = (latitude, longitude) => (
+  latitude == null || longitude == null ? null : { type: 'Point', coordinates: [longitude, latitude] }
+);
+
+// Keep geoLocation in sync when a spot is saved
+parkingSpotSchema.pre('validate', function (next) {
+  if (this.isModified('location.latitude') || this.isModified('location.longitude') || !this.geoLocation?.coordinates?.length) {
+    const point = toGeoPoint(this.location?.latitude, this.location?.longitude);
+    if (point) this.geoLocation = point;
+  }
+  next();
+});
+
+// Keep geoLocation in sync when both coordinates are updated through findOneAndUpdate / findByIdAndUpdate
+parkingSpotSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate() || {};
+  const set = update.$set || update;
+  const location = set.location || {};
+  const point = toGeoPoint(
+    set['location.latitude'] ?? location.latitude,
+    set['location.longitude'] ?? location.longitude
+  );
+  if (point) set.geoLocation = point;
+  next();
+});
 
 const ParkingSpot = mongoose.model('ParkingSpot', parkingSpotSchema);
 module.exports = ParkingSpot;
@@ -103,6 +103,17 @@ const partnerSchema = new mongoose.Schema(
       plan: { type: String, enum: ['Free', 'Standard', 'Premium'], default: 'Free' },
       nextBillingDate: { type: Date, default: null },
     },
+    sessionLogs: [
+      {
+        sessionId: { type: String, required: true },
+        loginTime: { type: Date, default: Date.now },
+        logoutTime: { type: Date, default: null },
+        ipAddress: { type: String, default: null },
+        deviceInfo: { type: String, default: null },
+        location: { type: String, default: null },
+        lastActiveAt: { type: Date, default: Date.now },
+      },
+    ],
     accountVerified: {
       type: Boolean,
       default: false, // Verification status of the partner
@@ -124,6 +135,7 @@ const partnerSchema = new mongoose.Schema(
 
 // Index userId, status, and accountVerified for efficient queries
 partnerSchema.index({ userId: 1, status: 1, accountVerified: 1 });
+partnerSchema.index({ 'sessionLogs.sessionId': 1 });
 
 const Partner = mongoose.model('Partner', partnerSchema);
 module.exports = Partner;
@@ -65,6 +65,14 @@ const paymentSchema = new mongoose.Schema(
       type: String,
       default: null, // Stores reason for refund
     },
+    refunds: [
+      {
+        reference: { type: String, default: null }, // Identifies what the refund is for, so it is only made once
+        amount: { type: Number, required: true },
+        reason: { type: String, default: null },
+        refundedAt: { type: Date, default: Date.now },
+      },
+    ],
     processedAt: {
       type: Date,
       default: Date.now,
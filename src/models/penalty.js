@@ -26,7 +26,7 @@ const penaltySchema = new mongoose.Schema(
     },
     violationType: {
       type: String,
-      enum: ['overstay', 'unauthorized_parking', 'non-payment', 'incorrect_parking', 'fraudulent_booking', 'misuse_of_spot'],
+      enum: ['overstay', 'no-show', 'unauthorized_parking', 'non-payment', 'incorrect_parking', 'fraudulent_booking', 'misuse_of_spot'],
       required: true,
     },
     fineAmount: {
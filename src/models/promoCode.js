@@ -0,0 +1,108 @@
+/**
+ * Promo Code Model - Mongoose Schema
+ *
+ * This model represents a discount code clients can apply when booking. A code takes a
+ * percentage or a fixed amount off the booking price, may require a minimum spend, and is
+ * valid between `validFrom` and `validUntil`. Use is capped in total (`usageLimit`) and per
+ * client (`perUserLimit`), and a code can be limited to particular spots, partners or to a
+ * client's first booking. Each use is recorded as a PromoRedemption.
+ */
+
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true,
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0, // Percentage off (up to 100) or amount off
+    },
+    maxDiscount: {
+      type: Number,
+      default: null, // Caps a percentage discount; null for no cap
+    },
+    minSpend: {
+      type: Number,
+      default: 0, // Booking price needed before the code applies
+    },
+    usageLimit: {
+      type: Number,
+      default: null, // Total uses across all clients; null for unlimited
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1, // Uses per client; null for unlimited
+    },
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    validUntil: {
+      type: Date,
+      default: null, // null for no end date
+    },
+    parkingSpotIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ParkingSpot', // If set, the code only applies to these spots
+      },
+    ],
+    partnerIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Partner', // If set, the code only applies to these partners' spots
+      },
+    ],
+    firstBookingOnly: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'disabled'],
+      default: 'active',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    disabledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+promoCodeSchema.index({ status: 1, createdAt: -1 });
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+module.exports = PromoCode;
@@ -0,0 +1,50 @@
+/**
+ * Promo Redemption Model - Mongoose Schema
+ *
+ * This model records one use of a promo code: the client, the booking it was used for and
+ * the discount given. Redemptions are summed for the code's redemption stats; each client's
+ * use count is kept in PromoUsage.
+ */
+
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Reference to the client who used the code
+      required: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null, // Set once the booking is created
+    },
+    amountBeforeDiscount: {
+      type: Number,
+      required: true,
+    },
+    discountAmount: {
+      type: Number,
+      required: true,
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// Index promoCodeId and userId for redemption stats
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+module.exports = PromoRedemption;
@@ -0,0 +1,38 @@
+/**
+ * Promo Usage Model - Mongoose Schema
+ *
+ * This model counts how many times a client has used a promo code, one document per code and
+ * client. The count is raised with a conditional upsert against the unique index, so
+ * concurrent payments cannot take a client past the code's per-user limit.
+ */
+
+const mongoose = require('mongoose');
+
+const promoUsageSchema = new mongoose.Schema(
+  {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Reference to the client using the code
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// One counter per code and client
+promoUsageSchema.index({ promoCodeId: 1, userId: 1 }, { unique: true });
+
+const PromoUsage = mongoose.model('PromoUsage', promoUsageSchema);
+module.exports = PromoUsage;
@@ -0,0 +1,63 @@
+/**
+ * Refresh Token Model - Mongoose Schema
+ * 
+ * This model represents opaque refresh tokens used to obtain new short-lived access tokens.
+ * Only a SHA-256 hash of each token is stored. Every refresh rotates the token, and all
+ * tokens descending from one login share a `familyId` so a replayed token can revoke the chain.
+ */
+
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true, // SHA-256 hash of the opaque token
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Owner of the token
+      required: true,
+    },
+    familyId: {
+      type: String,
+      required: true, // Shared by every rotation of the same login
+    },
+    sessionId: {
+      type: String,
+      required: true, // Matches the sessionLogs entry and the access token `sid` claim
+    },
+    usedAt: {
+      type: Date,
+      default: null, // Set when the token is exchanged; a second use is a replay
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// TTL index removes expired tokens; family and user indexes support bulk revocation
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+module.exports = RefreshToken;
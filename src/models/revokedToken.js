@@ -0,0 +1,42 @@
+/**
+ * Revoked Token Model - Mongoose Schema
+ * 
+ * This model represents access tokens revoked before their natural expiry (e.g. on logout).
+ * Entries are keyed by the JWT `jti` claim and shared by every app instance.
+ * A TTL index removes each entry once the token it describes would have expired anyway.
+ */
+
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true, // JWT ID of the revoked token, or `sid:<sessionId>` to revoke a whole session
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Owner of the revoked token
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ['logout', 'session_revoked', 'security', 'admin_action'],
+      default: 'logout',
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // Matches the token's `exp` claim
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// TTL index: MongoDB deletes the document as soon as expiresAt passes
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+module.exports = RevokedToken;
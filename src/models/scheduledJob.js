@@ -0,0 +1,65 @@
+/**
+ * Scheduled Job Model - Mongoose Schema
+ * 
+ * This model represents a background job run by the in-app scheduler, one document per job.
+ * It is shared by every app instance: the `lock` lease ensures only one pm2 worker runs a
+ * job at a time, and `nextRunAt` tracks the next cron run or pending retry.
+ */
+
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    schedule: {
+      type: String,
+      required: true, // Five-field cron expression, evaluated in UTC
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    lock: {
+      owner: { type: String, default: null }, // Worker currently running the job
+      expiresAt: { type: Date, default: null }, // Lease end, after which another worker may take over
+    },
+    failureCount: {
+      type: Number,
+      default: 0, // Consecutive failed attempts of the current run, used for retry backoff
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastFinishedAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatus: {
+      type: String,
+      enum: ['succeeded', 'failed'],
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// Index enabled and nextRunAt to find due jobs
+scheduledJobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+module.exports = ScheduledJob;
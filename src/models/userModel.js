@@ -41,6 +41,35 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    accountLocked: {
+      type: Boolean,
+      default: false, // Locked until an admin unlocks it
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLogin: {
+      type: Date,
+      default: null,
+    },
+    lockUntil: {
+      type: Date,
+      default: null, // Temporary lock after repeated failed logins
+    },
+    lockReason: {
+      type: String,
+      default: null,
+    },
+    unlockToken: {
+      type: String,
+      select: false, // SHA-256 hash of the emailed unlock token
+    },
+    unlockTokenExpires: Date,
+    tokenVersion: {
+      type: Number,
+      default: 0, // Incremented to revoke every token issued before the change
+    },
     phoneNumber: {
       type: String,
       trim: true,
@@ -71,9 +100,27 @@ const userSchema = new mongoose.Schema(
       select: false,
     },
     twoFactorCodeExpires: Date,
+    twoFactorAttempts: {
+      type: Number,
+      default: 0, // Wrong codes entered against the current challenge
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
+    toJSON: {
+      // Never serialise credentials or one-time tokens in API responses
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.passwordResetToken;
+        delete ret.passwordResetExpires;
+        delete ret.emailVerificationToken;
+        delete ret.twoFactorCode;
+        delete ret.twoFactorCodeExpires;
+        delete ret.unlockToken;
+        delete ret.unlockTokenExpires;
+        return ret;
+      },
+    },
   }
 );
 
@@ -116,13 +163,13 @@ userSchema.methods.createEmailVerificationToken = function () {
 };
 
 /**
- * Generate JWT for authentication
+ * Generate a short-lived JWT for authentication (refresh tokens are issued by the auth service)
  */
 userSchema.methods.generateAuthToken = function () {
   return jwt.sign(
-    { id: this._id, email: this.email, role: this.role },
+    { id: this._id, email: this.email, role: this.role, tv: this.tokenVersion || 0 },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60, jwtid: crypto.randomUUID() }
   );
 };
 
@@ -130,7 +177,7 @@ userSchema.methods.generateAuthToken = function () {
  * Generate a Two-Factor Authentication Code
  */
 userSchema.methods.generateTwoFactorCode = function () {
-  const code = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit code
+  const code = crypto.randomInt(100000, 1000000).toString(); // 6-digit code from a CSPRNG
   this.twoFactorCode = crypto.createHash('sha256').update(code).digest('hex');
   this.twoFactorCodeExpires = Date.now() + 10 * 60 * 1000; // 10-minute expiry
   return code;
@@ -0,0 +1,63 @@
+/**
+ * Waitlist Entry Model - Mongoose Schema
+ *
+ * This model represents a client waiting for a space on a fully booked parking spot for a
+ * time window. Entries are served in the order they were created. When a space frees up,
+ * the first waiting client whose window fits is offered a hold: the space is kept for them
+ * until `holdExpiresAt`, and counts against the spot's capacity while the hold lasts.
+ */
+
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Reference to the waiting client
+      required: true,
+    },
+    parkingSpotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot',
+      required: true,
+    },
+    windowStart: {
+      type: Date,
+      required: true,
+    },
+    windowEnd: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+    offeredAt: {
+      type: Date,
+      default: null,
+    },
+    holdExpiresAt: {
+      type: Date,
+      default: null, // Set while the entry holds a space (status 'offered')
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking', // The booking made with the hold
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically creates createdAt and updatedAt fields
+  }
+);
+
+// Index parkingSpotId, status and createdAt for serving the queue in order
+waitlistEntrySchema.index({ parkingSpotId: 1, status: 1, createdAt: 1 });
+// Index status and holdExpiresAt for the hold expiry job
+waitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 });
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+module.exports = WaitlistEntry;
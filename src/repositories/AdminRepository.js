@@ -5,7 +5,7 @@
  * It ensures security enforcement, role-based access management, multi-factor authentication tracking, session logging, audit logging, and structured data handling.
  */
 
-const Admin = require('../models/Admin');
+const Admin = require('../models/admin');
 const mongoose = require('mongoose');
 
 /**
@@ -18,6 +18,26 @@ const findById = async (adminId) => {
   return await Admin.findById(adminId);
 };
 
+/**
+ * Find the admin profile linked to a base user account
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - Returns admin object or null
+ */
+const findByUserId = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return await Admin.findOne({ userId });
+};
+
+/**
+ * Find an admin including the encrypted TOTP secrets and recovery code hashes
+ * @param {string} adminId - The admin ID
+ * @returns {Promise<Object|null>} - Returns admin object or null
+ */
+const findByIdWithMfaSecrets = async (adminId) => {
+  if (!mongoose.Types.ObjectId.isValid(adminId)) return null;
+  return await Admin.findById(adminId).select('+totp.secret +totp.pendingSecret +recoveryCodes');
+};
+
 /**
  * Find an admin by email
  * @param {string} email - The admin email
@@ -96,11 +116,16 @@ const countAdmins = async (filters = {}) => {
  * Log admin actions
  * @param {string} adminId - The admin ID
  * @param {string} action - The action performed (e.g., 'update_settings', 'manage_users')
+ * @param {Object} [details] - Request details (ipAddress, userAgent)
  * @returns {Promise<Object>} - Returns the audit log entry
  */
-const logAdminAction = async (adminId, action) => {
+const logAdminAction = async (adminId, action, { ipAddress = null, userAgent = null } = {}) => {
   if (!mongoose.Types.ObjectId.isValid(adminId)) return null;
-  return await Admin.findByIdAndUpdate(adminId, { $push: { auditLogs: { action, timestamp: new Date() } } }, { new: true });
+  return await Admin.findByIdAndUpdate(
+    adminId,
+    { $push: { auditLogs: { action, performedAt: new Date(), ipAddress, userAgent } } },
+    { new: true }
+  );
 };
 
 /**
@@ -114,6 +139,36 @@ const logAdminSession = async (adminId, sessionData) => {
   return await Admin.findByIdAndUpdate(adminId, { $push: { sessionLogs: sessionData } }, { new: true });
 };
 
+/**
+ * Close an admin session by recording its logout time
+ * @param {string} adminId - The admin ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} - Returns the updated admin or null
+ */
+const closeAdminSession = async (adminId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(adminId)) return null;
+  return await Admin.findOneAndUpdate(
+    { _id: adminId, 'sessionLogs.sessionId': sessionId },
+    { $set: { 'sessionLogs.$.logoutTime': new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Record activity on an open admin session
+ * @param {string} adminId - The admin ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} - Returns the updated admin or null
+ */
+const touchAdminSession = async (adminId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(adminId)) return null;
+  return await Admin.findOneAndUpdate(
+    { _id: adminId, 'sessionLogs.sessionId': sessionId },
+    { $set: { 'sessionLogs.$.lastActiveAt': new Date() } },
+    { new: true }
+  );
+};
+
 /**
  * Enable or disable Multi-Factor Authentication (MFA) for an admin
  * @param {string} adminId - The admin ID
@@ -125,8 +180,40 @@ const updateMFAStatus = async (adminId, mfaStatus) => {
   return await Admin.findByIdAndUpdate(adminId, { mfaEnabled: mfaStatus }, { new: true });
 };
 
+/**
+ * Record the TOTP step of an accepted code, only if it is newer than the last one
+ * @param {string} adminId - The admin ID
+ * @param {number} step - The accepted TOTP step
+ * @returns {Promise<Object|null>} - Returns the updated admin, or null if the step was already used
+ */
+const recordTotpStep = async (adminId, step) => {
+  if (!mongoose.Types.ObjectId.isValid(adminId)) return null;
+  return await Admin.findOneAndUpdate(
+    { _id: adminId, $or: [{ 'totp.lastUsedStep': null }, { 'totp.lastUsedStep': { $lt: step } }] },
+    { $set: { 'totp.lastUsedStep': step } },
+    { new: true }
+  );
+};
+
+/**
+ * Consume an unused recovery code
+ * @param {string} adminId - The admin ID
+ * @param {string} codeHash - The SHA-256 hash of the recovery code
+ * @returns {Promise<Object|null>} - Returns the updated admin, or null if no unused code matched
+ */
+const useRecoveryCode = async (adminId, codeHash) => {
+  if (!mongoose.Types.ObjectId.isValid(adminId)) return null;
+  return await Admin.findOneAndUpdate(
+    { _id: adminId, recoveryCodes: { $elemMatch: { codeHash, usedAt: null } } },
+    { $set: { 'recoveryCodes.$.usedAt': new Date() } },
+    { new: true }
+  );
+};
+
 module.exports = {
   findById,
+  findByUserId,
+  findByIdWithMfaSecrets,
   findByEmail,
   createAdmin,
   updateAdmin,
@@ -136,5 +223,9 @@ module.exports = {
   countAdmins,
   logAdminAction,
   logAdminSession,
+  closeAdminSession,
+  touchAdminSession,
   updateMFAStatus,
+  recordTotpStep,
+  useRecoveryCode,
 };
@@ -0,0 +1,99 @@
+/**
+ * BookingHold Repository - Functional Data Access Layer
+ *
+ * This repository provides access to the short-lived holds placed on parking spots during
+ * checkout. Holds are deleted by their TTL index once they expire; a hold is used up by
+ * deleting it atomically, so it can only become one booking.
+ */
+
+const BookingHold = require('../models/bookingHold');
+const mongoose = require('mongoose');
+
+/**
+ * Find a hold by ID
+ * @param {string} holdId - The hold ID
+ * @returns {Promise<Object|null>} - Returns the hold or null
+ */
+const findById = async (holdId) => {
+  if (!mongoose.Types.ObjectId.isValid(holdId)) return null;
+  return await BookingHold.findById(holdId);
+};
+
+/**
+ * Create a hold
+ * @param {Object} holdData - The hold data
+ * @returns {Promise<Object>} - Returns the created hold
+ */
+const createHold = async (holdData) => {
+  const hold = new BookingHold(holdData);
+  return await hold.save();
+};
+
+/**
+ * Find live holds on any of several spots that overlap a time window
+ * @param {Array<string>} parkingSpotIds - The parking spot IDs
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window
+ * @param {Date} now - Holds expiring by then are left out
+ * @returns {Promise<Array>} - Returns the holds with their spot, window and waitlist entry
+ */
+const findActiveHolds = async (parkingSpotIds, start, end, now) => {
+  return await BookingHold.find({
+    parkingSpotId: { $in: parkingSpotIds },
+    expiresAt: { $gt: now },
+    bookingStart: { $lt: end },
+    bookingEnd: { $gt: start },
+  }).select('parkingSpotId bookingStart bookingEnd waitlistEntryId').lean();
+};
+
+/**
+ * Find the live hold placed with a waitlist hold
+ * @param {string} waitlistEntryId - The waitlist entry ID
+ * @param {Date} now - Holds expiring by then are left out
+ * @returns {Promise<Object|null>} - Returns the hold or null
+ */
+const findActiveHoldForWaitlistEntry = async (waitlistEntryId, now) => {
+  if (!mongoose.Types.ObjectId.isValid(waitlistEntryId)) return null;
+  return await BookingHold.findOne({ waitlistEntryId, expiresAt: { $gt: now } });
+};
+
+/**
+ * Use up a live hold by deleting it
+ * @param {string} holdId - The hold ID
+ * @param {Date} now - The current time
+ * @returns {Promise<Object|null>} - Returns the deleted hold, or null if it had expired or was already used
+ */
+const claimHold = async (holdId, now) => {
+  if (!mongoose.Types.ObjectId.isValid(holdId)) return null;
+  return await BookingHold.findOneAndDelete({ _id: holdId, expiresAt: { $gt: now } });
+};
+
+/**
+ * Delete a client's hold before it expires
+ * @param {string} holdId - The hold ID
+ * @param {string} userId - The client's user ID
+ * @returns {Promise<Object|null>} - Returns the deleted hold or null
+ */
+const releaseHold = async (holdId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(holdId)) return null;
+  return await BookingHold.findOneAndDelete({ _id: holdId, userId });
+};
+
+/**
+ * Put back a hold that was claimed for a booking that could not be made
+ * @param {Object} hold - The claimed hold
+ * @returns {Promise<Object>} - Returns the restored hold
+ */
+const restoreHold = async (hold) => {
+  return await BookingHold.create(hold.toObject ? hold.toObject() : hold);
+};
+
+module.exports = {
+  findById,
+  createHold,
+  findActiveHolds,
+  findActiveHoldForWaitlistEntry,
+  claimHold,
+  releaseHold,
+  restoreHold,
+};
@@ -0,0 +1,361 @@
+/**
+ * Booking Repository - Functional Data Access Layer
+ * 
+ * This repository provides efficient and scalable booking data interactions.
+ * It ensures security enforcement, availability validation, pricing adjustments, structured data handling, audit logging, and real-time booking tracking.
+ */
+
+const Booking = require('../models/booking');
+const ParkingSpot = require('../models/parkingSpot');
+const mongoose = require('mongoose');
+
+// Parking spot fields returned alongside bookings
+const PARKING_SPOT_SUMMARY = 'name location.address partnerId';
+
+/**
+ * Find a booking by ID
+ * @param {string} bookingId - The booking ID
+ * @returns {Promise<Object|null>} - Returns booking object or null
+ */
+const findById = async (bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Booking.findById(bookingId);
+};
+
+/**
+ * Find a booking by ID with its parking spot name and address
+ * @param {string} bookingId - The booking ID
+ * @returns {Promise<Object|null>} - Returns booking object with parking spot summary or null
+ */
+const findByIdWithParkingSpot = async (bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Booking.findById(bookingId).populate('parkingSpotId', PARKING_SPOT_SUMMARY);
+};
+
+/**
+ * Create a new booking
+ * @param {Object} bookingData - The booking data
+ * @returns {Promise<Object>} - Returns the created booking
+ */
+const createBooking = async (bookingData) => {
+  const booking = new Booking(bookingData);
+  return await booking.save();
+};
+
+/**
+ * Create several bookings at once (e.g., the occurrences of a booking series)
+ * @param {Array<Object>} bookingsData - The booking data for each booking
+ * @returns {Promise<Array>} - Returns the created bookings
+ */
+const createBookings = async (bookingsData) => {
+  return await Booking.insertMany(bookingsData);
+};
+
+/**
+ * Update booking details
+ * @param {string} bookingId - The booking ID
+ * @param {Object} updateData - The updated fields
+ * @returns {Promise<Object|null>} - Returns the updated booking or null
+ */
+const updateBooking = async (bookingId, updateData) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Booking.findByIdAndUpdate(bookingId, updateData, { new: true, runValidators: true });
+};
+
+/**
+ * Delete a booking
+ * @param {string} bookingId - The booking ID
+ * @returns {Promise<Object|null>} - Returns deleted booking object or null
+ */
+const deleteBooking = async (bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Booking.findByIdAndDelete(bookingId);
+};
+
+/**
+ * Search bookings with filters
+ * @param {Object} filters - Search filters (e.g., status, user, parking spot, date range)
+ * @param {Object} options - Pagination and sorting options
+ * @returns {Promise<Array>} - Returns array of matched bookings
+ */
+const searchBookings = async (filters = {}, options = {}) => {
+  const { limit = 10, page = 1, sort = '-createdAt' } = options;
+  return await Booking.find(filters)
+    .sort(sort)
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+/**
+ * Search bookings with filters, including each booking's parking spot name and address
+ * @param {Object} filters - Search filters (e.g., status, user, parking spot, date range)
+ * @param {Object} options - Pagination and sorting options
+ * @returns {Promise<Array>} - Returns array of matched bookings with parking spot summaries
+ */
+const searchBookingsWithParkingSpot = async (filters = {}, options = {}) => {
+  const { limit = 10, page = 1, sort = '-createdAt' } = options;
+  return await Booking.find(filters)
+    .populate('parkingSpotId', PARKING_SPOT_SUMMARY)
+    .sort(sort)
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+/**
+ * Find bookings on a parking spot that overlap a time window
+ * @param {string} parkingSpotId - The parking spot ID
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window
+ * @param {Array<string>} statuses - Booking statuses to include
+ * @param {string} [excludeBookingId] - A booking to leave out (e.g., one being changed)
+ * @returns {Promise<Array>} - Returns the overlapping bookings' time windows
+ */
+const findOverlappingBookings = async (parkingSpotId, start, end, statuses, excludeBookingId = null) => {
+  if (!mongoose.Types.ObjectId.isValid(parkingSpotId)) return [];
+  const filters = {
+    parkingSpotId,
+    status: { $in: statuses },
+    bookingStart: { $lt: end },
+    bookingEnd: { $gt: start },
+  };
+  if (excludeBookingId) filters._id = { $ne: excludeBookingId };
+  return await Booking.find(filters).select('bookingStart bookingEnd').lean();
+};
+
+/**
+ * Find bookings on any of several parking spots that overlap a time window
+ * @param {Array<string>} parkingSpotIds - The parking spot IDs
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window
+ * @param {Array<string>} statuses - Booking statuses to include
+ * @returns {Promise<Array>} - Returns the overlapping bookings' spot IDs and time windows
+ */
+const findOverlappingBookingsForSpots = async (parkingSpotIds, start, end, statuses) => {
+  return await Booking.find({
+    parkingSpotId: { $in: parkingSpotIds },
+    status: { $in: statuses },
+    bookingStart: { $lt: end },
+    bookingEnd: { $gt: start },
+  }).select('parkingSpotId bookingStart bookingEnd').lean();
+};
+
+/**
+ * Count total bookings matching filters
+ * @param {Object} filters - Count filters (e.g., user, parking spot, status)
+ * @returns {Promise<number>} - Returns count of bookings
+ */
+const countBookings = async (filters = {}) => {
+  return await Booking.countDocuments(filters);
+};
+
+/**
+ * Move a booking from one status to another and record the change in its status history.
+ * Only applies if the booking still has the expected status, so concurrent changes cannot both win
+ * @param {string} bookingId - The booking ID
+ * @param {string} fromStatus - The status the booking must currently have
+ * @param {string} toStatus - The new status
+ * @param {Object} historyEntry - The status history entry to record
+ * @param {Object} updateData - Other fields to set with the status change
+ * @param {Object} conditions - Other fields the booking must match (e.g., { checkInTime: null })
+ * @returns {Promise<Object|null>} - Returns the updated booking, or null if the status had already changed
+ */
+const transitionStatus = async (bookingId, fromStatus, toStatus, historyEntry, updateData = {}, conditions = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Booking.findOneAndUpdate(
+    { ...conditions, _id: bookingId, status: fromStatus },
+    {
+      $set: { ...updateData, status: toStatus, lastUpdated: new Date() },
+      $push: { statusHistory: historyEntry },
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Record a QR check-in, unless the booking's check-in code has already been used
+ * @param {string} bookingId - The booking ID
+ * @param {Date} checkInTime - The check-in time
+ * @returns {Promise<Object|null>} - Returns the updated booking, or null if it was already checked in or is not confirmed
+ */
+const markCheckedIn = async (bookingId, checkInTime) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'confirmed', qrCodeUsed: { $ne: true } },
+    { $set: { qrCodeUsed: true, checkInTime, lastUpdated: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Find checked-in bookings that ended before a cutoff and have not been flagged as overstays
+ * @param {Date} cutoff - Bookings ending before this time are overstays
+ * @param {number} limit - Maximum number of bookings to return
+ * @returns {Promise<Array>} - Returns an array of overstayed bookings
+ */
+const findOverstayedBookings = async (cutoff, limit = 100) => {
+  return await Booking.find({
+    status: 'confirmed',
+    checkInTime: { $ne: null },
+    checkOutTime: null,
+    bookingEnd: { $lt: cutoff },
+    'overstay.detectedAt': null,
+  })
+    .sort('bookingEnd')
+    .limit(limit);
+};
+
+/**
+ * Flag a booking as an overstay, unless it has already been flagged
+ * @param {string} bookingId - The booking ID
+ * @param {Date} detectedAt - When the overstay was detected
+ * @returns {Promise<Object|null>} - Returns the updated booking, or null if it was already flagged
+ */
+const claimOverstay = async (bookingId, detectedAt) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Booking.findOneAndUpdate(
+    { _id: bookingId, 'overstay.detectedAt': null },
+    { $set: { 'overstay.detectedAt': detectedAt } },
+    { new: true }
+  );
+};
+
+/**
+ * Undo an overstay flag whose handling failed before a penalty was issued, so the next run retries it
+ * @param {string} bookingId - The booking ID
+ * @param {Date} detectedAt - The detection time set by claimOverstay
+ * @returns {Promise<Object|null>} - Returns the updated booking, or null if it was not flagged at that time
+ */
+const releaseOverstayClaim = async (bookingId, detectedAt) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Booking.findOneAndUpdate(
+    { _id: bookingId, 'overstay.detectedAt': detectedAt, 'overstay.penaltyId': null },
+    { $set: { 'overstay.detectedAt': null } },
+    { new: true }
+  );
+};
+
+/**
+ * Get bookings for a specific user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} - Returns an array of user bookings
+ */
+const findByUserId = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return await Booking.find({ userId });
+};
+
+/**
+ * Log booking history actions
+ * @param {string} bookingId - The booking ID
+ * @param {string} action - The action performed (e.g., 'created', 'updated', 'cancelled')
+ * @returns {Promise<Object>} - Returns the updated booking with logged history
+ */
+const logBookingAction = async (bookingId, action) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Booking.findByIdAndUpdate(bookingId, { $push: { auditLogs: { action, timestamp: new Date() } } }, { new: true });
+};
+
+/**
+ * Get active bookings in real time
+ * @param {Object} filters - Filters for active bookings (e.g., ongoing status)
+ * @returns {Promise<Array>} - Returns an array of active bookings
+ */
+const getActiveBookings = async (filters = { status: 'confirmed' }) => {
+  return await Booking.find(filters);
+};
+
+/**
+ * Extend an active booking, if its end has not changed and no overstay has been recorded for it
+ * @param {string} bookingId - The booking ID
+ * @param {Date} currentEnd - The booking end the extension was priced from
+ * @param {Object} extension - The extension (newEnd, additionalHours, charge, paymentId)
+ * @returns {Promise<Object|null>} - Returns the updated booking with extended time, or null if it changed meanwhile
+ */
+const extendBooking = async (bookingId, currentEnd, extension) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId) || extension.additionalHours <= 0) return null;
+  return await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      status: { $in: ['pending', 'confirmed'] },
+      bookingEnd: currentEnd,
+      'overstay.detectedAt': null,
+    },
+    {
+      $set: { bookingEnd: extension.newEnd, lastUpdated: new Date() },
+      $inc: { durationInHours: extension.additionalHours, amountPaid: extension.charge },
+      $push: { extensions: { ...extension, previousEnd: currentEnd } },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Find confirmed bookings that have not been checked in within their parking spot's no-show window.
+ * Bookings tried least recently come first, so ones that keep failing do not hold up the rest
+ * @param {Date} now - The current time
+ * @param {Object} windows - The no-show windows (defaultWindowMinutes: for spots that do not set
+ *   their own, minWindowMinutes: the shortest a spot can set)
+ * @param {number} limit - Maximum number of bookings to return
+ * @returns {Promise<Array>} - Returns an array of bookings, each with the `noShowWindowMinutes` that applies
+ */
+const findDueNoShows = async (now, { defaultWindowMinutes, minWindowMinutes }, limit = 100) => {
+  return await Booking.aggregate([
+    // No spot's window is shorter than the minimum, so later bookings cannot be no-shows yet
+    {
+      $match: {
+        status: 'confirmed',
+        checkInTime: null,
+        bookingStart: { $lt: new Date(now.getTime() - minWindowMinutes * 60 * 1000) },
+      },
+    },
+    {
+      $lookup: {
+        from: ParkingSpot.collection.name,
+        localField: 'parkingSpotId',
+        foreignField: '_id',
+        pipeline: [{ $project: { noShowWindowMinutes: 1 } }],
+        as: 'parkingSpot',
+      },
+    },
+    { $set: { noShowWindowMinutes: { $ifNull: [{ $first: '$parkingSpot.noShowWindowMinutes' }, defaultWindowMinutes] } } },
+    { $match: { $expr: { $lte: [{ $add: ['$bookingStart', { $multiply: ['$noShowWindowMinutes', 60 * 1000] }] }, now] } } },
+    { $sort: { noShowAttemptedAt: 1, bookingStart: 1 } },
+    { $limit: limit },
+    { $unset: 'parkingSpot' },
+  ]);
+};
+
+/**
+ * Find the bookings of a booking series
+ * @param {string} seriesId - The series ID
+ * @returns {Promise<Array>} - Returns an array of bookings in date order
+ */
+const findBySeriesId = async (seriesId) => {
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) return [];
+  return await Booking.find({ seriesId }).sort('bookingStart');
+};
+
+module.exports = {
+  findById,
+  findByIdWithParkingSpot,
+  createBooking,
+  createBookings,
+  updateBooking,
+  deleteBooking,
+  searchBookings,
+  searchBookingsWithParkingSpot,
+  findOverlappingBookings,
+  findOverlappingBookingsForSpots,
+  countBookings,
+  transitionStatus,
+  markCheckedIn,
+  findOverstayedBookings,
+  claimOverstay,
+  releaseOverstayClaim,
+  findDueNoShows,
+  findByUserId,
+  findBySeriesId,
+  logBookingAction,
+  getActiveBookings,
+  extendBooking,
+};
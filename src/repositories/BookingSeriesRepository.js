@@ -0,0 +1,46 @@
+/**
+ * BookingSeries Repository - Functional Data Access Layer
+ *
+ * This repository provides access to recurring booking series. The bookings of a series
+ * are stored as Bookings with a `seriesId` (see BookingRepository.findBySeriesId).
+ */
+
+const BookingSeries = require('../models/bookingSeries');
+const mongoose = require('mongoose');
+
+/**
+ * Find a booking series by ID
+ * @param {string} seriesId - The series ID
+ * @returns {Promise<Object|null>} - Returns the series or null
+ */
+const findById = async (seriesId) => {
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) return null;
+  return await BookingSeries.findById(seriesId);
+};
+
+/**
+ * Create a new booking series
+ * @param {Object} seriesData - The series data
+ * @returns {Promise<Object>} - Returns the created series
+ */
+const createSeries = async (seriesData) => {
+  const series = new BookingSeries(seriesData);
+  return await series.save();
+};
+
+/**
+ * Update a booking series
+ * @param {string} seriesId - The series ID
+ * @param {Object} updateData - The updated fields
+ * @returns {Promise<Object|null>} - Returns the updated series or null
+ */
+const updateSeries = async (seriesId, updateData) => {
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) return null;
+  return await BookingSeries.findByIdAndUpdate(seriesId, updateData, { new: true, runValidators: true });
+};
+
+module.exports = {
+  findById,
+  createSeries,
+  updateSeries,
+};
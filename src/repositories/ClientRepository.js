@@ -5,7 +5,7 @@
  * It ensures security enforcement, query optimizations, logging, referral tracking, fraud detection, and structured data management.
  */
 
-const Client = require('../models/Client');
+const Client = require('../models/client');
 const mongoose = require('mongoose');
 
 /**
@@ -18,6 +18,16 @@ const findById = async (clientId) => {
   return await Client.findById(clientId).select('-password');
 };
 
+/**
+ * Find the client profile linked to a base user account
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - Returns client object or null
+ */
+const findByUserId = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return await Client.findOne({ userId });
+};
+
 /**
  * Find a client by email
  * @param {string} email - The client email
@@ -122,6 +132,47 @@ const logClientAction = async (clientId, action) => {
   return await Client.findByIdAndUpdate(clientId, { $push: { auditLogs: { action, timestamp: new Date() } } }, { new: true });
 };
 
+/**
+ * Track client sessions
+ * @param {string} clientId - The client ID
+ * @param {Object} sessionData - Session details including sessionId, IP and device info
+ * @returns {Promise<Object|null>} - Returns the updated client with session logs
+ */
+const logClientSession = async (clientId, sessionData) => {
+  if (!mongoose.Types.ObjectId.isValid(clientId)) return null;
+  return await Client.findByIdAndUpdate(clientId, { $push: { sessionLogs: sessionData } }, { new: true });
+};
+
+/**
+ * Close a client session by recording its logout time
+ * @param {string} clientId - The client ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} - Returns the updated client or null
+ */
+const closeClientSession = async (clientId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(clientId)) return null;
+  return await Client.findOneAndUpdate(
+    { _id: clientId, 'sessionLogs.sessionId': sessionId },
+    { $set: { 'sessionLogs.$.logoutTime': new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Record activity on an open client session
+ * @param {string} clientId - The client ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} - Returns the updated client or null
+ */
+const touchClientSession = async (clientId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(clientId)) return null;
+  return await Client.findOneAndUpdate(
+    { _id: clientId, 'sessionLogs.sessionId': sessionId },
+    { $set: { 'sessionLogs.$.lastActiveAt': new Date() } },
+    { new: true }
+  );
+};
+
 /**
  * Update client fraud score
  * @param {string} clientId - The client ID
@@ -133,8 +184,24 @@ const updateFraudScore = async (clientId, fraudScore) => {
   return await Client.findByIdAndUpdate(clientId, { fraudScore }, { new: true }).select('-password');
 };
 
+/**
+ * Raise a client's fraud score, capped at 100
+ * @param {string} userId - The client's user ID
+ * @param {number} increment - The amount to add
+ * @returns {Promise<Object|null>} - Returns the updated client or null
+ */
+const incrementFraudScoreByUserId = async (userId, increment) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return await Client.findOneAndUpdate(
+    { userId },
+    [{ $set: { fraudScore: { $min: [100, { $add: [{ $ifNull: ['$fraudScore', 0] }, increment] }] } } }],
+    { new: true }
+  ).select('-password');
+};
+
 module.exports = {
   findById,
+  findByUserId,
   findByEmail,
   createClient,
   updateClient,
@@ -145,5 +212,9 @@ module.exports = {
   softDeleteClient,
   findByReferralCode,
   logClientAction,
+  logClientSession,
+  closeClientSession,
+  touchClientSession,
   updateFraudScore,
+  incrementFraudScoreByUserId,
 };
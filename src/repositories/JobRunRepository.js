@@ -0,0 +1,49 @@
+/**
+ * JobRun Repository - Functional Data Access Layer
+ * 
+ * This repository provides access to the run history of scheduled jobs.
+ */
+
+const JobRun = require('../models/jobRun');
+const mongoose = require('mongoose');
+
+/**
+ * Record the start of a job run
+ * @param {Object} runData - The run data
+ * @returns {Promise<Object>} - Returns the created run
+ */
+const createRun = async (runData) => {
+  const run = new JobRun(runData);
+  return await run.save();
+};
+
+/**
+ * Record the outcome of a job run
+ * @param {string} runId - The run ID
+ * @param {Object} updateData - The outcome (status, finishedAt, durationMs, result, error)
+ * @returns {Promise<Object|null>} - Returns the updated run or null
+ */
+const finishRun = async (runId, updateData) => {
+  if (!mongoose.Types.ObjectId.isValid(runId)) return null;
+  return await JobRun.findByIdAndUpdate(runId, updateData, { new: true });
+};
+
+/**
+ * Get the most recent runs of a job
+ * @param {string} jobName - The job name
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Array>} - Returns an array of runs, newest first
+ */
+const findRecentRuns = async (jobName, options = {}) => {
+  const { limit = 20, page = 1 } = options;
+  return await JobRun.find({ jobName })
+    .sort('-startedAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+module.exports = {
+  createRun,
+  finishRun,
+  findRecentRuns,
+};
@@ -0,0 +1,45 @@
+/**
+ * LoginFailure Repository - Functional Data Access Layer
+ * 
+ * This repository provides per-IP failed login tracking.
+ * It ensures brute-force and credential-stuffing attempts can be throttled across all app instances.
+ */
+
+const LoginFailure = require('../models/loginFailure');
+
+/**
+ * Record a failed login attempt
+ * @param {Object} failureData - The failure details (ipAddress, email, expiresAt)
+ * @returns {Promise<Object>} - Returns the stored failure
+ */
+const recordFailure = async (failureData) => {
+  const failure = new LoginFailure(failureData);
+  return await failure.save();
+};
+
+/**
+ * Count recent failures from an IP address
+ * @param {string} ipAddress - The source IP address
+ * @param {Date} since - Start of the counting window
+ * @returns {Promise<number>} - Returns the number of failures
+ */
+const countRecentFailures = async (ipAddress, since) => {
+  return await LoginFailure.countDocuments({ ipAddress, createdAt: { $gte: since } });
+};
+
+/**
+ * Count distinct accounts targeted from an IP address
+ * @param {string} ipAddress - The source IP address
+ * @param {Date} since - Start of the counting window
+ * @returns {Promise<number>} - Returns the number of distinct emails tried
+ */
+const countDistinctEmails = async (ipAddress, since) => {
+  const emails = await LoginFailure.distinct('email', { ipAddress, createdAt: { $gte: since } });
+  return emails.length;
+};
+
+module.exports = {
+  recordFailure,
+  countRecentFailures,
+  countDistinctEmails,
+};
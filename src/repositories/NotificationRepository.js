@@ -0,0 +1,50 @@
+/**
+ * Notification Repository - Functional Data Access Layer
+ * 
+ * This repository provides notification data interactions for in-app delivery and read tracking.
+ */
+
+const Notification = require('../models/notification');
+const mongoose = require('mongoose');
+
+/**
+ * Create a new notification
+ * @param {Object} notificationData - The notification data
+ * @returns {Promise<Object>} - Returns the created notification
+ */
+const createNotification = async (notificationData) => {
+  const notification = new Notification(notificationData);
+  return await notification.save();
+};
+
+/**
+ * Get notifications for a user, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Array>} - Returns an array of notifications
+ */
+const findByUserId = async (userId, options = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return [];
+  const { limit = 20, page = 1 } = options;
+  return await Notification.find({ userId })
+    .sort('-createdAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+/**
+ * Mark a user's notification as read
+ * @param {string} notificationId - The notification ID
+ * @param {string} userId - The recipient user ID
+ * @returns {Promise<Object|null>} - Returns the updated notification or null
+ */
+const markAsRead = async (notificationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) return null;
+  return await Notification.findOneAndUpdate({ _id: notificationId, userId }, { isRead: true }, { new: true });
+};
+
+module.exports = {
+  createNotification,
+  findByUserId,
+  markAsRead,
+};
@@ -0,0 +1,265 @@
+/**
+ * ParkingSpot Repository - Functional Data Access Layer
+ * 
+ * This repository provides efficient and scalable parking spot data interactions.
+ * It ensures security enforcement, availability tracking, pricing updates, geospatial indexing, structured data handling, and analytics.
+ */
+
+const ParkingSpot = require('../models/parkingSpot');
+const mongoose = require('mongoose');
+
+/**
+ * Find a parking spot by ID
+ * @param {string} spotId - The parking spot ID
+ * @returns {Promise<Object|null>} - Returns parking spot object or null
+ */
+const findById = async (spotId) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return null;
+  return await ParkingSpot.findById(spotId);
+};
+
+/**
+ * Create a new parking spot
+ * @param {Object} spotData - The parking spot data
+ * @returns {Promise<Object>} - Returns the created parking spot
+ */
+const createParkingSpot = async (spotData) => {
+  const spot = new ParkingSpot(spotData);
+  return await spot.save();
+};
+
+/**
+ * Update parking spot details
+ * @param {string} spotId - The parking spot ID
+ * @param {Object} updateData - The updated fields
+ * @returns {Promise<Object|null>} - Returns the updated parking spot or null
+ */
+const updateParkingSpot = async (spotId, updateData) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return null;
+  return await ParkingSpot.findByIdAndUpdate(spotId, updateData, { new: true, runValidators: true });
+};
+
+/**
+ * Delete a parking spot
+ * @param {string} spotId - The parking spot ID
+ * @returns {Promise<Object|null>} - Returns deleted parking spot object or null
+ */
+const deleteParkingSpot = async (spotId) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return null;
+  return await ParkingSpot.findByIdAndDelete(spotId);
+};
+
+/**
+ * Search parking spots with filters
+ * @param {Object} filters - Search filters (e.g., availability, location, pricing)
+ * @param {Object} options - Pagination and sorting options
+ * @returns {Promise<Array>} - Returns array of matched parking spots
+ */
+const searchParkingSpots = async (filters = {}, options = {}) => {
+  const { limit = 10, page = 1, sort = '-createdAt' } = options;
+  return await ParkingSpot.find(filters)
+    .sort(sort)
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+/**
+ * List the IDs of the parking spots owned by a partner
+ * @param {string} partnerId - The partner ID
+ * @returns {Promise<Array>} - Returns an array of parking spot IDs
+ */
+const findIdsByPartnerId = async (partnerId) => {
+  if (!mongoose.Types.ObjectId.isValid(partnerId)) return [];
+  return await ParkingSpot.find({ partnerId }).distinct('_id');
+};
+
+/**
+ * Take the booking lock on a parking spot if it is free or its lease has expired
+ * @param {string} spotId - The parking spot ID
+ * @param {string} holder - Unique ID of the lock holder
+ * @param {number} ttlMs - Lease duration in milliseconds
+ * @returns {Promise<boolean>} - Returns true if the lock was acquired
+ */
+const acquireBookingLock = async (spotId, holder, ttlMs) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return false;
+  const now = new Date();
+  const result = await ParkingSpot.updateOne(
+    { _id: spotId, $or: [{ 'bookingLock.expiresAt': null }, { 'bookingLock.expiresAt': { $lte: now } }] },
+    { $set: { bookingLock: { holder, expiresAt: new Date(now.getTime() + ttlMs) } } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Release the booking lock on a parking spot if it is still held by the given holder
+ * @param {string} spotId - The parking spot ID
+ * @param {string} holder - Unique ID of the lock holder
+ * @returns {Promise<void>} - Clears the lock
+ */
+const releaseBookingLock = async (spotId, holder) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return;
+  await ParkingSpot.updateOne(
+    { _id: spotId, 'bookingLock.holder': holder },
+    { $set: { bookingLock: { holder: null, expiresAt: null } } }
+  );
+};
+
+/**
+ * Update parking spot availability
+ * @param {string} spotId - The parking spot ID
+ * @param {boolean} isAvailable - The new availability status
+ * @returns {Promise<Object|null>} - Returns the updated parking spot or null
+ */
+const updateAvailability = async (spotId, isAvailable) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return null;
+  return await ParkingSpot.findByIdAndUpdate(spotId, { isAvailable }, { new: true });
+};
+
+/**
+ * Mark a parking spot as occupied by a booking
+ * @param {string} spotId - The parking spot ID
+ * @param {string} bookingId - The booking now using the spot
+ * @param {Date} startedAt - When the booking checked in
+ * @returns {Promise<Object|null>} - Returns the updated parking spot or null
+ */
+const setOccupied = async (spotId, bookingId, startedAt) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return null;
+  return await ParkingSpot.findByIdAndUpdate(
+    spotId,
+    { liveStatus: { isOccupied: true, currentBookingId: bookingId, startedAt, overstayDetected: false } },
+    { new: true }
+  );
+};
+
+/**
+ * Clear a parking spot's live status if it still belongs to the given booking
+ * @param {string} spotId - The parking spot ID
+ * @param {string} bookingId - The booking leaving the spot
+ * @returns {Promise<Object|null>} - Returns the updated parking spot, or null if another booking holds it
+ */
+const clearOccupied = async (spotId, bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return null;
+  return await ParkingSpot.findOneAndUpdate(
+    { _id: spotId, 'liveStatus.currentBookingId': bookingId },
+    { liveStatus: { isOccupied: false, currentBookingId: null, startedAt: null, overstayDetected: false } },
+    { new: true }
+  );
+};
+
+/**
+ * Flag an overstay on a parking spot if the overstaying booking still holds it
+ * @param {string} spotId - The parking spot ID
+ * @param {string} bookingId - The overstaying booking
+ * @returns {Promise<Object|null>} - Returns the updated parking spot, or null if another booking holds it
+ */
+const flagOverstay = async (spotId, bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return null;
+  return await ParkingSpot.findOneAndUpdate(
+    { _id: spotId, 'liveStatus.currentBookingId': bookingId },
+    { $set: { 'liveStatus.overstayDetected': true } },
+    { new: true }
+  );
+};
+
+/**
+ * Add revenue earned by a parking spot
+ * @param {string} spotId - The parking spot ID
+ * @param {number} amount - The amount earned
+ * @returns {Promise<Object|null>} - Returns the updated parking spot or null
+ */
+const addRevenue = async (spotId, amount) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId) || !(amount > 0)) return null;
+  return await ParkingSpot.findByIdAndUpdate(spotId, { $inc: { revenueGenerated: amount } }, { new: true });
+};
+
+/**
+ * Count total parking spots matching filters
+ * @param {Object} filters - Count filters (e.g., location, availability)
+ * @returns {Promise<number>} - Returns count of parking spots
+ */
+const countParkingSpots = async (filters = {}) => {
+  return await ParkingSpot.countDocuments(filters);
+};
+
+/**
+ * Get parking spots near a location
+ * @param {Object} coordinates - Latitude and longitude
+ * @param {number} maxDistance - Maximum search distance in meters
+ * @returns {Promise<Array>} - Returns an array of nearby parking spots
+ */
+const findNearbySpots = async (coordinates, maxDistance = 5000) => {
+  return await ParkingSpot.find({
+    geoLocation: {
+      $near: {
+        $geometry: { type: 'Point', coordinates },
+        $maxDistance: maxDistance,
+      },
+    },
+  });
+};
+
+/**
+ * Get parking spots near a location with their distance, nearest first
+ * @param {Array<number>} coordinates - Longitude and latitude
+ * @param {number} maxDistance - Maximum search distance in meters
+ * @param {Object} filters - Additional filters (e.g., maintenance status)
+ * @param {number} limit - Maximum number of spots to return
+ * @returns {Promise<Array>} - Returns an array of parking spots with a `distance` field in meters
+ */
+const findSpotsWithDistance = async (coordinates, maxDistance = 5000, filters = {}, limit = 100) => {
+  return await ParkingSpot.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        key: 'geoLocation',
+        distanceField: 'distance',
+        maxDistance,
+        spherical: true,
+        query: filters,
+      },
+    },
+    { $limit: limit },
+  ]);
+};
+
+/**
+ * Track parking spot usage statistics
+ * @param {string} spotId - The parking spot ID
+ * @returns {Promise<Object|null>} - Returns usage statistics
+ */
+const getUsageStatistics = async (spotId) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId)) return null;
+  return await ParkingSpot.findById(spotId).select('totalBookings averageOccupancyRate customerFeedbackScore');
+};
+
+/**
+ * Adjust dynamic pricing based on demand
+ * @param {string} spotId - The parking spot ID
+ * @param {number} newRate - The new hourly rate
+ * @returns {Promise<Object|null>} - Returns the updated parking spot with new pricing
+ */
+const adjustDynamicPricing = async (spotId, newRate) => {
+  if (!mongoose.Types.ObjectId.isValid(spotId) || newRate < 0) return null;
+  return await ParkingSpot.findByIdAndUpdate(spotId, { hourlyRate: newRate }, { new: true });
+};
+
+module.exports = {
+  findById,
+  createParkingSpot,
+  updateParkingSpot,
+  deleteParkingSpot,
+  searchParkingSpots,
+  findIdsByPartnerId,
+  acquireBookingLock,
+  releaseBookingLock,
+  setOccupied,
+  clearOccupied,
+  flagOverstay,
+  addRevenue,
+  updateAvailability,
+  countParkingSpots,
+  findNearbySpots,
+  findSpotsWithDistance,
+  getUsageStatistics,
+  adjustDynamicPricing,
+};
\ No newline at end of file
@@ -5,7 +5,7 @@
  * It ensures security enforcement, query optimizations, financial tracking, verification management, structured data handling, and audit logging.
  */
 
-const Partner = require('../models/Partner');
+const Partner = require('../models/partner');
 const mongoose = require('mongoose');
 
 /**
@@ -18,6 +18,16 @@ const findById = async (partnerId) => {
   return await Partner.findById(partnerId);
 };
 
+/**
+ * Find the partner profile linked to a base user account
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - Returns partner object or null
+ */
+const findByUserId = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return await Partner.findOne({ userId });
+};
+
 /**
  * Find a partner by email
  * @param {string} email - The partner email
@@ -123,8 +133,50 @@ const logPartnerAction = async (partnerId, action) => {
   return await Partner.findByIdAndUpdate(partnerId, { $push: { auditLogs: { action, timestamp: new Date() } } }, { new: true });
 };
 
+/**
+ * Track partner sessions
+ * @param {string} partnerId - The partner ID
+ * @param {Object} sessionData - Session details including sessionId, IP and device info
+ * @returns {Promise<Object|null>} - Returns the updated partner with session logs
+ */
+const logPartnerSession = async (partnerId, sessionData) => {
+  if (!mongoose.Types.ObjectId.isValid(partnerId)) return null;
+  return await Partner.findByIdAndUpdate(partnerId, { $push: { sessionLogs: sessionData } }, { new: true });
+};
+
+/**
+ * Close a partner session by recording its logout time
+ * @param {string} partnerId - The partner ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} - Returns the updated partner or null
+ */
+const closePartnerSession = async (partnerId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(partnerId)) return null;
+  return await Partner.findOneAndUpdate(
+    { _id: partnerId, 'sessionLogs.sessionId': sessionId },
+    { $set: { 'sessionLogs.$.logoutTime': new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Record activity on an open partner session
+ * @param {string} partnerId - The partner ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} - Returns the updated partner or null
+ */
+const touchPartnerSession = async (partnerId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(partnerId)) return null;
+  return await Partner.findOneAndUpdate(
+    { _id: partnerId, 'sessionLogs.sessionId': sessionId },
+    { $set: { 'sessionLogs.$.lastActiveAt': new Date() } },
+    { new: true }
+  );
+};
+
 module.exports = {
   findById,
+  findByUserId,
   findByEmail,
   createPartner,
   updatePartner,
@@ -135,4 +187,7 @@ module.exports = {
   getPartnerEarnings,
   softDeletePartner,
   logPartnerAction,
+  logPartnerSession,
+  closePartnerSession,
+  touchPartnerSession,
 };
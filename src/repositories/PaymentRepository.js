@@ -5,7 +5,7 @@
  * It ensures transaction security, fraud detection, refund management, structured data handling, audit logging, and dispute resolution.
  */
 
-const Payment = require('../models/Payment');
+const Payment = require('../models/payment');
 const mongoose = require('mongoose');
 
 /**
@@ -94,14 +94,82 @@ const findByUserId = async (userId) => {
 };
 
 /**
- * Process a refund for a payment
+ * Find the successful payment for a booking
+ * @param {string} bookingId - The booking ID
+ * @returns {Promise<Object|null>} - Returns payment object or null
+ */
+const findSuccessfulByBookingId = async (bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return null;
+  return await Payment.findOne({ bookingId, status: 'successful' });
+};
+
+/**
+ * Find all successful payments for a booking (e.g., the booking and its extensions)
+ * @param {string} bookingId - The booking ID
+ * @returns {Promise<Array>} - Returns an array of payments, newest first
+ */
+const findSuccessfulPaymentsByBookingId = async (bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return [];
+  return await Payment.find({ bookingId, status: 'successful' }).sort('-createdAt');
+};
+
+/**
+ * Find the payments a booking refund is made from: the booking's successful payments and any
+ * already refunded for the same reference
+ * @param {string} bookingId - The booking ID
+ * @param {string} reference - The refund reference
+ * @returns {Promise<Array>} - Returns an array of payments, newest first
+ */
+const findRefundablePayments = async (bookingId, reference) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) return [];
+  return await Payment.find({
+    bookingId,
+    $or: [{ status: 'successful' }, { 'refunds.reference': reference }],
+  }).sort('-createdAt');
+};
+
+/**
+ * Process a refund for a payment. Refunds add up, never past the payment's total; once they
+ * cover the total the payment is marked as refunded. A refund with a reference is only made
+ * once per payment
  * @param {string} paymentId - The payment ID
  * @param {number} refundAmount - The amount to refund
- * @returns {Promise<Object|null>} - Returns the updated payment with refund details
+ * @param {string} [refundReason] - Why the payment is refunded
+ * @param {string} [reference] - What the refund is for
+ * @returns {Promise<Object|null>} - Returns the updated payment with refund details, or null if
+ *   the payment was already refunded for the reference
  */
-const processRefund = async (paymentId, refundAmount) => {
+const processRefund = async (paymentId, refundAmount, refundReason = null, reference = null) => {
   if (!mongoose.Types.ObjectId.isValid(paymentId) || refundAmount <= 0) return null;
-  return await Payment.findByIdAndUpdate(paymentId, { isRefunded: true, refundAmount }, { new: true });
+  const filter = reference ? { _id: paymentId, 'refunds.reference': { $ne: reference } } : { _id: paymentId };
+  return await Payment.findOneAndUpdate(
+    filter,
+    [
+      {
+        $set: {
+          refundApplied: {
+            $min: [refundAmount, { $subtract: ['$totalAmount', { $ifNull: ['$refundAmount', 0] }] }],
+          },
+        },
+      },
+      {
+        $set: {
+          isRefunded: true,
+          refundAmount: { $add: [{ $ifNull: ['$refundAmount', 0] }, '$refundApplied'] },
+          refundReason: { $literal: refundReason },
+          refunds: {
+            $concatArrays: [
+              { $ifNull: ['$refunds', []] },
+              [{ reference: { $literal: reference }, amount: '$refundApplied', reason: { $literal: refundReason }, refundedAt: new Date() }],
+            ],
+          },
+        },
+      },
+      { $set: { status: { $cond: [{ $gte: ['$refundAmount', '$totalAmount'] }, 'refunded', '$status'] } } },
+      { $unset: 'refundApplied' },
+    ],
+    { new: true }
+  );
 };
 
 /**
@@ -135,6 +203,9 @@ module.exports = {
   countPayments,
   updatePaymentStatus,
   findByUserId,
+  findSuccessfulByBookingId,
+  findSuccessfulPaymentsByBookingId,
+  findRefundablePayments,
   processRefund,
   logPaymentAction,
   handleDispute,
@@ -5,7 +5,7 @@
  * It ensures security enforcement, violation tracking, dispute resolution, structured data handling, audit logging, and financial tracking.
  */
 
-const Penalty = require('../models/Penalty');
+const Penalty = require('../models/penalty');
 const mongoose = require('mongoose');
 
 /**
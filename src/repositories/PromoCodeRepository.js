@@ -0,0 +1,105 @@
+/**
+ * PromoCode Repository - Functional Data Access Layer
+ *
+ * This repository provides access to promo codes. A code's use is counted with a conditional
+ * increment, so concurrent bookings cannot take a code past its usage limit.
+ */
+
+const PromoCode = require('../models/promoCode');
+const mongoose = require('mongoose');
+
+/**
+ * Find a promo code by ID
+ * @param {string} promoCodeId - The promo code ID
+ * @returns {Promise<Object|null>} - Returns the promo code or null
+ */
+const findById = async (promoCodeId) => {
+  if (!mongoose.Types.ObjectId.isValid(promoCodeId)) return null;
+  return await PromoCode.findById(promoCodeId);
+};
+
+/**
+ * Find a promo code by its code
+ * @param {string} code - The code (matched case-insensitively)
+ * @returns {Promise<Object|null>} - Returns the promo code or null
+ */
+const findByCode = async (code) => {
+  return await PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+/**
+ * Create a promo code
+ * @param {Object} promoCodeData - The promo code data
+ * @returns {Promise<Object>} - Returns the created promo code
+ */
+const createPromoCode = async (promoCodeData) => {
+  const promoCode = new PromoCode(promoCodeData);
+  return await promoCode.save();
+};
+
+/**
+ * Update a promo code
+ * @param {string} promoCodeId - The promo code ID
+ * @param {Object} updateData - The fields to update
+ * @returns {Promise<Object|null>} - Returns the updated promo code or null
+ */
+const updatePromoCode = async (promoCodeId, updateData) => {
+  if (!mongoose.Types.ObjectId.isValid(promoCodeId)) return null;
+  return await PromoCode.findByIdAndUpdate(promoCodeId, updateData, { new: true, runValidators: true });
+};
+
+/**
+ * Search promo codes with filters and pagination
+ * @param {Object} filters - Search filters (e.g., status)
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Array>} - Returns an array of promo codes, newest first
+ */
+const searchPromoCodes = async (filters = {}, options = {}) => {
+  const { limit = 20, page = 1 } = options;
+  return await PromoCode.find(filters)
+    .sort('-createdAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+/**
+ * Count one use of an active promo code, unless it has reached its usage limit
+ * @param {string} promoCodeId - The promo code ID
+ * @returns {Promise<Object|null>} - Returns the updated promo code, or null if it is disabled or used up
+ */
+const incrementRedemptions = async (promoCodeId) => {
+  if (!mongoose.Types.ObjectId.isValid(promoCodeId)) return null;
+  return await PromoCode.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      status: 'active',
+      $expr: { $or: [{ $eq: ['$usageLimit', null] }, { $lt: ['$redemptionCount', '$usageLimit'] }] },
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Give back a use counted for a booking that was not made
+ * @param {string} promoCodeId - The promo code ID
+ * @returns {Promise<Object|null>} - Returns the updated promo code or null
+ */
+const decrementRedemptions = async (promoCodeId) => {
+  if (!mongoose.Types.ObjectId.isValid(promoCodeId)) return null;
+  return await PromoCode.findOneAndUpdate(
+    { _id: promoCodeId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  findById,
+  findByCode,
+  createPromoCode,
+  updatePromoCode,
+  searchPromoCodes,
+  incrementRedemptions,
+  decrementRedemptions,
+};
@@ -0,0 +1,89 @@
+/**
+ * PromoRedemption Repository - Functional Data Access Layer
+ *
+ * This repository provides access to the record of each promo code use, for redemption
+ * stats. Per-client use counts are kept by PromoUsageRepository.
+ */
+
+const PromoRedemption = require('../models/promoRedemption');
+const mongoose = require('mongoose');
+
+/**
+ * Record a promo code use
+ * @param {Object} redemptionData - The redemption data
+ * @returns {Promise<Object>} - Returns the created redemption
+ */
+const createRedemption = async (redemptionData) => {
+  const redemption = new PromoRedemption(redemptionData);
+  return await redemption.save();
+};
+
+/**
+ * Update a redemption
+ * @param {string} redemptionId - The redemption ID
+ * @param {Object} updateData - The fields to update
+ * @returns {Promise<Object|null>} - Returns the updated redemption or null
+ */
+const updateRedemption = async (redemptionId, updateData) => {
+  if (!mongoose.Types.ObjectId.isValid(redemptionId)) return null;
+  return await PromoRedemption.findByIdAndUpdate(redemptionId, updateData, { new: true });
+};
+
+/**
+ * Delete a redemption
+ * @param {string} redemptionId - The redemption ID
+ * @returns {Promise<Object|null>} - Returns the deleted redemption or null
+ */
+const deleteRedemption = async (redemptionId) => {
+  if (!mongoose.Types.ObjectId.isValid(redemptionId)) return null;
+  return await PromoRedemption.findByIdAndDelete(redemptionId);
+};
+
+/**
+ * Sum up the uses of a promo code
+ * @param {string} promoCodeId - The promo code ID
+ * @returns {Promise<Object>} - Returns the number of uses, distinct clients, total discount,
+ *   amount paid after discount, and first and last use
+ */
+const getStats = async (promoCodeId) => {
+  const [stats] = await PromoRedemption.aggregate([
+    { $match: { promoCodeId: new mongoose.Types.ObjectId(promoCodeId) } },
+    {
+      $group: {
+        _id: null,
+        redemptions: { $sum: 1 },
+        users: { $addToSet: '$userId' },
+        totalDiscount: { $sum: '$discountAmount' },
+        totalBeforeDiscount: { $sum: '$amountBeforeDiscount' },
+        firstRedeemedAt: { $min: '$redeemedAt' },
+        lastRedeemedAt: { $max: '$redeemedAt' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        redemptions: 1,
+        uniqueUsers: { $size: '$users' },
+        totalDiscount: 1,
+        totalRevenue: { $subtract: ['$totalBeforeDiscount', '$totalDiscount'] },
+        firstRedeemedAt: 1,
+        lastRedeemedAt: 1,
+      },
+    },
+  ]);
+  return stats || {
+    redemptions: 0,
+    uniqueUsers: 0,
+    totalDiscount: 0,
+    totalRevenue: 0,
+    firstRedeemedAt: null,
+    lastRedeemedAt: null,
+  };
+};
+
+module.exports = {
+  createRedemption,
+  updateRedemption,
+  deleteRedemption,
+  getStats,
+};
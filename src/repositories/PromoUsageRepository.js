@@ -0,0 +1,60 @@
+/**
+ * PromoUsage Repository - Functional Data Access Layer
+ *
+ * This repository provides access to the per-client use counts of promo codes.
+ */
+
+const PromoUsage = require('../models/promoUsage');
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Get how many times a user has used a promo code
+ * @param {string} promoCodeId - The promo code ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<number>} - Returns the number of uses
+ */
+const countUses = async (promoCodeId, userId) => {
+  const usage = await PromoUsage.findOne({ promoCodeId, userId }).lean();
+  return usage ? usage.count : 0;
+};
+
+/**
+ * Count one use of a promo code by a user, unless they have reached the limit
+ * @param {string} promoCodeId - The promo code ID
+ * @param {string} userId - The user ID
+ * @param {number|null} limit - The per-user limit, or null for unlimited
+ * @returns {Promise<boolean>} - Returns true if the use was counted, false if the limit was reached
+ */
+const incrementUses = async (promoCodeId, userId, limit) => {
+  const filters = { promoCodeId, userId };
+  if (limit != null) filters.count = { $lt: limit };
+  try {
+    await PromoUsage.findOneAndUpdate(filters, { $inc: { count: 1 } }, { upsert: true, new: true });
+    return true;
+  } catch (err) {
+    // At the limit the filter misses the existing counter and the upsert hits the unique index
+    if (err.code === DUPLICATE_KEY) return false;
+    throw err;
+  }
+};
+
+/**
+ * Give back a use of a promo code counted for a booking that was not made
+ * @param {string} promoCodeId - The promo code ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - Returns the updated counter or null
+ */
+const decrementUses = async (promoCodeId, userId) => {
+  return await PromoUsage.findOneAndUpdate(
+    { promoCodeId, userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  countUses,
+  incrementUses,
+  decrementUses,
+};
@@ -0,0 +1,66 @@
+/**
+ * RefreshToken Repository - Functional Data Access Layer
+ * 
+ * This repository provides storage and rotation of hashed refresh tokens.
+ * It ensures single-use exchange and family-wide revocation when a replay is detected.
+ */
+
+const RefreshToken = require('../models/refreshToken');
+
+/**
+ * Store a new refresh token
+ * @param {Object} tokenData - The token data (tokenHash, userId, familyId, sessionId, expiresAt, ipAddress, userAgent)
+ * @returns {Promise<Object>} - Returns the stored token
+ */
+const createRefreshToken = async (tokenData) => {
+  const refreshToken = new RefreshToken(tokenData);
+  return await refreshToken.save();
+};
+
+/**
+ * Find a refresh token by its hash
+ * @param {string} tokenHash - The SHA-256 hash of the token
+ * @returns {Promise<Object|null>} - Returns the token or null
+ */
+const findByHash = async (tokenHash) => {
+  return await RefreshToken.findOne({ tokenHash });
+};
+
+/**
+ * Atomically mark an unused, unrevoked token as used
+ * @param {string} tokenHash - The SHA-256 hash of the token
+ * @returns {Promise<Object|null>} - Returns the token, or null if it was already used or revoked
+ */
+const markUsed = async (tokenHash) => {
+  return await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every token in a family
+ * @param {string} familyId - The token family ID
+ * @returns {Promise<Object>} - Returns the update result
+ */
+const revokeFamily = async (familyId) => {
+  return await RefreshToken.updateMany({ familyId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+/**
+ * Revoke every token issued to a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - Returns the update result
+ */
+const revokeAllForUser = async (userId) => {
+  return await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+module.exports = {
+  createRefreshToken,
+  findByHash,
+  markUsed,
+  revokeFamily,
+  revokeAllForUser,
+};
@@ -0,0 +1,45 @@
+/**
+ * RevokedToken Repository - Functional Data Access Layer
+ * 
+ * This repository provides access to the shared token revocation store.
+ * It ensures revoked access tokens are rejected consistently across all app instances.
+ */
+
+const RevokedToken = require('../models/revokedToken');
+
+/**
+ * Revoke a token by its JWT ID
+ * @param {Object} tokenData - The token details (jti, userId, expiresAt, reason)
+ * @returns {Promise<Object>} - Returns the revocation entry
+ */
+const revokeToken = async ({ jti, userId, expiresAt, reason = 'logout' }) => {
+  return await RevokedToken.findOneAndUpdate(
+    { jti },
+    { $setOnInsert: { jti, userId, expiresAt, reason } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Check whether a token has been revoked
+ * @param {string} jti - The JWT ID
+ * @returns {Promise<boolean>} - Returns true if the token is revoked
+ */
+const isRevoked = async (jti) => {
+  return (await RevokedToken.exists({ jti })) !== null;
+};
+
+/**
+ * Check whether any of the given keys has been revoked
+ * @param {Array<string>} jtis - JWT IDs or session keys to check
+ * @returns {Promise<boolean>} - Returns true if at least one is revoked
+ */
+const isAnyRevoked = async (jtis) => {
+  return (await RevokedToken.exists({ jti: { $in: jtis } })) !== null;
+};
+
+module.exports = {
+  revokeToken,
+  isRevoked,
+  isAnyRevoked,
+};
@@ -0,0 +1,95 @@
+/**
+ * ScheduledJob Repository - Functional Data Access Layer
+ * 
+ * This repository provides access to scheduled job definitions and their locks.
+ * Locks are taken with a single conditional update, so only one app instance can hold a job.
+ */
+
+const ScheduledJob = require('../models/scheduledJob');
+
+/**
+ * Find a scheduled job by name
+ * @param {string} name - The job name
+ * @returns {Promise<Object|null>} - Returns the job or null
+ */
+const findByName = async (name) => {
+  return await ScheduledJob.findOne({ name });
+};
+
+/**
+ * List all scheduled jobs
+ * @returns {Promise<Array>} - Returns an array of jobs sorted by name
+ */
+const listJobs = async () => {
+  return await ScheduledJob.find().sort('name');
+};
+
+/**
+ * Create a scheduled job, or leave it untouched if another instance already created it
+ * @param {Object} jobData - The job data (name, schedule, nextRunAt)
+ * @returns {Promise<Object>} - Returns the stored job
+ */
+const createJob = async (jobData) => {
+  return await ScheduledJob.findOneAndUpdate(
+    { name: jobData.name },
+    { $setOnInsert: jobData },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Update a scheduled job
+ * @param {string} name - The job name
+ * @param {Object} updateData - The updated fields
+ * @returns {Promise<Object|null>} - Returns the updated job or null
+ */
+const updateJob = async (name, updateData) => {
+  return await ScheduledJob.findOneAndUpdate({ name }, updateData, { new: true, runValidators: true });
+};
+
+/**
+ * Take the lock on a job if no other worker holds a live lease on it
+ * @param {string} name - The job name
+ * @param {string} owner - The worker taking the lock
+ * @param {Date} now - The current time
+ * @param {number} ttlMs - Lease duration in milliseconds
+ * @param {Object} options - Options (dueOnly: only lock an enabled job whose nextRunAt has passed)
+ * @returns {Promise<Object|null>} - Returns the locked job, or null if it is not due or already locked
+ */
+const acquireLock = async (name, owner, now, ttlMs, { dueOnly = true } = {}) => {
+  const filters = {
+    name,
+    $or: [{ 'lock.expiresAt': null }, { 'lock.expiresAt': { $lte: now } }],
+  };
+  if (dueOnly) Object.assign(filters, { enabled: true, nextRunAt: { $lte: now } });
+
+  return await ScheduledJob.findOneAndUpdate(
+    filters,
+    { $set: { lock: { owner, expiresAt: new Date(now.getTime() + ttlMs) }, lastRunAt: now } },
+    { new: true }
+  );
+};
+
+/**
+ * Release a job's lock, if still held by the owner, and record the outcome of the run
+ * @param {string} name - The job name
+ * @param {string} owner - The worker holding the lock
+ * @param {Object} updateData - Fields to set with the release (e.g., nextRunAt, lastStatus)
+ * @returns {Promise<Object|null>} - Returns the updated job, or null if the lock was lost
+ */
+const releaseLock = async (name, owner, updateData = {}) => {
+  return await ScheduledJob.findOneAndUpdate(
+    { name, 'lock.owner': owner },
+    { $set: { ...updateData, lock: { owner: null, expiresAt: null } } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  findByName,
+  listJobs,
+  createJob,
+  updateJob,
+  acquireLock,
+  releaseLock,
+};
@@ -5,7 +5,7 @@
  * It ensures security enforcement, query optimizations, logging, and structured data management.
  */
 
-const User = require('../models/User');
+const User = require('../models/userModel');
 const mongoose = require('mongoose');
 
 /**
@@ -27,6 +27,52 @@ const findByEmail = async (email) => {
   return await User.findOne({ email }).select('-password');
 };
 
+/**
+ * Find a user by email including the password hash, for credential checks
+ * @param {string} email - The user email
+ * @returns {Promise<Object|null>} - Returns user object or null
+ */
+const findByEmailWithPassword = async (email) => {
+  return await User.findOne({ email }).select('+password');
+};
+
+/**
+ * Find a user by ID including the pending two-factor code hash
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - Returns user object or null
+ */
+const findByIdWithTwoFactorCode = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return await User.findById(userId).select('+twoFactorCode');
+};
+
+/**
+ * Find a user by a hashed, unexpired password reset token
+ * @param {string} hashedToken - The SHA-256 hash of the reset token
+ * @returns {Promise<Object|null>} - Returns user object or null
+ */
+const findByPasswordResetToken = async (hashedToken) => {
+  return await User.findOne({ passwordResetToken: hashedToken, passwordResetExpires: { $gt: Date.now() } });
+};
+
+/**
+ * Find a user by a hashed, unexpired account unlock token
+ * @param {string} hashedToken - The SHA-256 hash of the unlock token
+ * @returns {Promise<Object|null>} - Returns user object or null
+ */
+const findByUnlockToken = async (hashedToken) => {
+  return await User.findOne({ unlockToken: hashedToken, unlockTokenExpires: { $gt: Date.now() } });
+};
+
+/**
+ * Find a user by a hashed email verification token
+ * @param {string} hashedToken - The SHA-256 hash of the verification token
+ * @returns {Promise<Object|null>} - Returns user object or null
+ */
+const findByEmailVerificationToken = async (hashedToken) => {
+  return await User.findOne({ emailVerificationToken: hashedToken });
+};
+
 /**
  * Create a new user
  * @param {Object} userData - The user data
@@ -83,6 +129,27 @@ const updateLastLogin = async (userId) => {
   return await User.findByIdAndUpdate(userId, { lastLogin: new Date() }, { new: true }).select('-password');
 };
 
+/**
+ * Get the current token version for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<number|null>} - Returns the token version or null if the user does not exist
+ */
+const getTokenVersion = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  const user = await User.findById(userId).select('tokenVersion').lean();
+  return user ? user.tokenVersion || 0 : null;
+};
+
+/**
+ * Increment the token version, invalidating all tokens issued to the user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - Returns updated user or null
+ */
+const incrementTokenVersion = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true }).select('-password');
+};
+
 /**
  * Count total users matching filters
  * @param {Object} filters - Count filters (e.g., role, status)
@@ -136,11 +203,18 @@ const logUserAction = async (userId, action) => {
 module.exports = {
   findById,
   findByEmail,
+  findByEmailWithPassword,
+  findByIdWithTwoFactorCode,
+  findByPasswordResetToken,
+  findByUnlockToken,
+  findByEmailVerificationToken,
   createUser,
   updateUser,
   deleteUser,
   searchUsers,
   updateLastLogin,
+  getTokenVersion,
+  incrementTokenVersion,
   countUsers,
   softDeleteUser,
   bulkUpdateStatus,
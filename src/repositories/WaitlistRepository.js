@@ -0,0 +1,168 @@
+/**
+ * Waitlist Repository - Functional Data Access Layer
+ *
+ * This repository provides access to waitlist entries for fully booked parking spots.
+ * Status changes are conditional on the entry's current status, so a hold cannot be both
+ * used and expired, or offered twice.
+ */
+
+const WaitlistEntry = require('../models/waitlistEntry');
+const mongoose = require('mongoose');
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Find a waitlist entry by ID
+ * @param {string} entryId - The entry ID
+ * @returns {Promise<Object|null>} - Returns the entry or null
+ */
+const findById = async (entryId) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) return null;
+  return await WaitlistEntry.findById(entryId);
+};
+
+/**
+ * Create a waitlist entry
+ * @param {Object} entryData - The entry data
+ * @returns {Promise<Object>} - Returns the created entry
+ */
+const createEntry = async (entryData) => {
+  const entry = new WaitlistEntry(entryData);
+  return await entry.save();
+};
+
+/**
+ * Find a user's waiting or offered entry on a spot that overlaps a time window
+ * @param {string} userId - The user ID
+ * @param {string} parkingSpotId - The parking spot ID
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window
+ * @returns {Promise<Object|null>} - Returns the entry or null
+ */
+const findActiveEntryForWindow = async (userId, parkingSpotId, start, end) => {
+  return await WaitlistEntry.findOne({
+    userId,
+    parkingSpotId,
+    status: { $in: ACTIVE_STATUSES },
+    windowStart: { $lt: end },
+    windowEnd: { $gt: start },
+  });
+};
+
+/**
+ * Find a user's waitlist entries
+ * @param {string} userId - The user ID
+ * @param {Object} filters - Extra filters (e.g., status)
+ * @returns {Promise<Array>} - Returns an array of entries, newest first
+ */
+const findByUserId = async (userId, filters = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return [];
+  return await WaitlistEntry.find({ ...filters, userId }).sort('-createdAt');
+};
+
+/**
+ * Find the waiting entries on a spot whose window overlaps a time window, in queue order
+ * @param {string} parkingSpotId - The parking spot ID
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window
+ * @param {Date} now - Entries whose window has ended by then are left out
+ * @returns {Promise<Array>} - Returns an array of entries, oldest first
+ */
+const findWaitingEntries = async (parkingSpotId, start, end, now) => {
+  return await WaitlistEntry.find({
+    parkingSpotId,
+    status: 'waiting',
+    windowStart: { $lt: end },
+    windowEnd: { $gt: start > now ? start : now },
+  }).sort('createdAt');
+};
+
+/**
+ * Count the active entries ahead of an entry in its spot's queue (earlier entries with an overlapping window)
+ * @param {Object} entry - The entry
+ * @returns {Promise<number>} - Returns the number of entries ahead
+ */
+const countEntriesAhead = async (entry) => {
+  return await WaitlistEntry.countDocuments({
+    parkingSpotId: entry.parkingSpotId,
+    status: { $in: ACTIVE_STATUSES },
+    createdAt: { $lt: entry.createdAt },
+    windowStart: { $lt: entry.windowEnd },
+    windowEnd: { $gt: entry.windowStart },
+  });
+};
+
+/**
+ * Find live holds on any of several spots that overlap a time window
+ * @param {Array<string>} parkingSpotIds - The parking spot IDs
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window
+ * @param {Date} now - Holds expiring by then are left out
+ * @param {string|null} excludeEntryId - An entry to leave out (e.g., the hold being used)
+ * @returns {Promise<Array>} - Returns the holds with their spot and window
+ */
+const findActiveHolds = async (parkingSpotIds, start, end, now, excludeEntryId = null) => {
+  const filters = {
+    parkingSpotId: { $in: parkingSpotIds },
+    status: 'offered',
+    holdExpiresAt: { $gt: now },
+    windowStart: { $lt: end },
+    windowEnd: { $gt: start },
+  };
+  if (excludeEntryId) filters._id = { $ne: excludeEntryId };
+  return await WaitlistEntry.find(filters).select('parkingSpotId windowStart windowEnd').lean();
+};
+
+/**
+ * Find holds that have run out without being used
+ * @param {Date} now - The current time
+ * @param {number} limit - Maximum number of entries to return
+ * @returns {Promise<Array>} - Returns an array of entries
+ */
+const findExpiredHolds = async (now, limit = 100) => {
+  return await WaitlistEntry.find({ status: 'offered', holdExpiresAt: { $lte: now } })
+    .sort('holdExpiresAt')
+    .limit(limit);
+};
+
+/**
+ * Expire waiting entries whose window has ended
+ * @param {Date} now - The current time
+ * @returns {Promise<number>} - Returns the number of entries expired
+ */
+const expireEndedEntries = async (now) => {
+  const result = await WaitlistEntry.updateMany(
+    { status: 'waiting', windowEnd: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Change an entry's status if it still has the expected status
+ * @param {string} entryId - The entry ID
+ * @param {string} fromStatus - The status the entry must currently have
+ * @param {Object} updateData - The fields to set, including the new status
+ * @returns {Promise<Object|null>} - Returns the updated entry, or null if its status had changed
+ */
+const updateEntryStatus = async (entryId, fromStatus, updateData) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) return null;
+  return await WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, status: fromStatus },
+    { $set: updateData },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = {
+  findById,
+  createEntry,
+  findActiveEntryForWindow,
+  findByUserId,
+  findWaitingEntries,
+  countEntriesAhead,
+  findActiveHolds,
+  findExpiredHolds,
+  expireEndedEntries,
+  updateEntryStatus,
+};
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const jobController = require('../controllers/jobController');
+const promoCodeController = require('../controllers/promoCodeController');
+const {
+    authenticate,
+    requireRole,
+    requirePermission,
+    enforceAdminAccessRestrictions,
+} = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateRequest');
+const { paginationQuery } = require('../validators/common');
+const { userIdValidator, lockAccountValidator } = require('../validators/userValidator');
+const { jobNameValidator, jobRunsValidator } = require('../validators/jobValidator');
+const {
+    createPromoCodeValidator,
+    listPromoCodesValidator,
+    promoCodeIdValidator,
+} = require('../validators/promoCodeValidator');
+
+router.use(authenticate, requireRole('admin'), enforceAdminAccessRestrictions);
+
+router.get('/locked-accounts', requirePermission('manage_users'), validate(paginationQuery), adminController.getLockedAccounts);
+router.post('/users/:userId/lock', requirePermission('manage_users'), validate(lockAccountValidator), adminController.lockAccount);
+router.post('/users/:userId/unlock', requirePermission('manage_users'), validate(userIdValidator), adminController.unlockAccount);
+
+router.get('/jobs', requirePermission('configure_settings'), jobController.listJobs);
+router.get('/jobs/:name/runs', requirePermission('configure_settings'), validate(jobRunsValidator), jobController.getJobRuns);
+router.post('/jobs/:name/run', requirePermission('configure_settings'), validate(jobNameValidator), jobController.triggerJob);
+
+router.get('/promo-codes', requirePermission('configure_settings'), validate(listPromoCodesValidator), promoCodeController.listPromoCodes);
+router.post('/promo-codes', requirePermission('configure_settings'), validate(createPromoCodeValidator), promoCodeController.createPromoCode);
+router.post('/promo-codes/:id/disable', requirePermission('configure_settings'), validate(promoCodeIdValidator), promoCodeController.disablePromoCode);
+router.get('/promo-codes/:id/stats', requirePermission('view_reports'), validate(promoCodeIdValidator), promoCodeController.getPromoCodeStats);
+
+module.exports = router;
@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { testController } = require('../controllers/apiController');
+const authRoutes = require('./auth');
+const adminRoutes = require('./admin');
+const bookingRoutes = require('./bookings');
+const spotRoutes = require('./spots');
+const waitlistRoutes = require('./waitlist');
 
 router.get('/test', testController);
+router.use('/auth', authRoutes);
+router.use('/admin', adminRoutes);
+router.use('/bookings', bookingRoutes);
+router.use('/spots', spotRoutes);
+router.use('/waitlist', waitlistRoutes);
 
 module.exports = router;
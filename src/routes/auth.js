@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const mfaController = require('../controllers/mfaController');
+const sessionController = require('../controllers/sessionController');
+const { authenticate, requireRole } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateRequest');
+const {
+    registerValidator,
+    loginValidator,
+    forgotPasswordValidator,
+    resetPasswordValidator,
+    tokenValidator,
+    refreshTokenValidator,
+    twoFactorVerifyValidator,
+    updateTwoFactorValidator,
+    totpCodeValidator,
+    sessionIdValidator,
+} = require('../validators/userValidator');
+
+router.post('/register', validate(registerValidator), authController.register);
+router.post('/login', validate(loginValidator), authController.login);
+router.post('/2fa/verify', validate(twoFactorVerifyValidator), authController.verifyTwoFactor);
+router.put('/2fa', authenticate, validate(updateTwoFactorValidator), authController.updateTwoFactor);
+router.post('/mfa/totp/setup', authenticate, requireRole('admin'), mfaController.beginTotpEnrolment);
+router.post('/mfa/totp/confirm', authenticate, requireRole('admin'), validate(totpCodeValidator), mfaController.confirmTotpEnrolment);
+router.delete('/mfa/totp', authenticate, requireRole('admin'), validate(totpCodeValidator), mfaController.disableTotp);
+router.post('/mfa/recovery-codes', authenticate, requireRole('admin'), validate(totpCodeValidator), mfaController.regenerateRecoveryCodes);
+router.post('/refresh', validate(refreshTokenValidator), authController.refresh);
+router.post('/logout', authenticate, authController.logout);
+router.post('/logout-all', authenticate, authController.logoutAll);
+router.get('/sessions', authenticate, sessionController.listSessions);
+router.delete('/sessions', authenticate, sessionController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticate, validate(sessionIdValidator), sessionController.revokeSession);
+router.post('/unlock', validate(tokenValidator), authController.unlockAccount);
+router.post('/forgot-password', validate(forgotPasswordValidator), authController.forgotPassword);
+router.post('/reset-password', validate(resetPasswordValidator), authController.resetPassword);
+router.get('/verify-email', validate(tokenValidator), authController.verifyEmail);
+router.post('/verify-email', validate(tokenValidator), authController.verifyEmail);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const bookingController = require('../controllers/bookingController');
+const { authenticate, requireRole } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateRequest');
+const {
+    createBookingValidator,
+    payBookingHoldValidator,
+    extendBookingValidator,
+    previewBookingSeriesValidator,
+    createBookingSeriesValidator,
+    cancelBookingSeriesValidator,
+    updateBookingStatusValidator,
+    cancelBookingValidator,
+    bookingIdValidator,
+    issueQrCodeValidator,
+    scanQrCodeValidator,
+    listBookingsValidator,
+} = require('../validators/bookingValidator');
+
+router.use(authenticate);
+
+router.get('/', validate(listBookingsValidator), bookingController.listBookings);
+router.post('/', requireRole('user'), validate(createBookingValidator), bookingController.createBooking);
+router.get('/holds/:id', requireRole('user'), validate(bookingIdValidator), bookingController.getBookingHold);
+router.post('/holds/:id/pay', requireRole('user'), validate(payBookingHoldValidator), bookingController.payBookingHold);
+router.delete('/holds/:id', requireRole('user'), validate(bookingIdValidator), bookingController.releaseBookingHold);
+router.post('/series/preview', requireRole('user'), validate(previewBookingSeriesValidator), bookingController.previewBookingSeries);
+router.post('/series', requireRole('user'), validate(createBookingSeriesValidator), bookingController.createBookingSeries);
+router.get('/series/:id', validate(bookingIdValidator), bookingController.getBookingSeries);
+router.post('/series/:id/cancel', requireRole('user'), validate(cancelBookingSeriesValidator), bookingController.cancelBookingSeries);
+router.post('/scan', requireRole('partner', 'admin'), validate(scanQrCodeValidator), bookingController.scanQrCode);
+router.get('/:id', validate(bookingIdValidator), bookingController.getBooking);
+router.get('/:id/qr', requireRole('user'), validate(issueQrCodeValidator), bookingController.issueQrCode);
+router.get('/:id/cancellation-quote', requireRole('user'), validate(bookingIdValidator), bookingController.getCancellationQuote);
+router.post('/:id/cancel', requireRole('user'), validate(cancelBookingValidator), bookingController.cancelBooking);
+router.post('/:id/extend', requireRole('user'), validate(extendBookingValidator), bookingController.extendBooking);
+router.patch('/:id/status', requireRole('partner', 'admin'), validate(updateBookingStatusValidator), bookingController.updateBookingStatus);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const parkingSpotController = require('../controllers/parkingSpotController');
+const { authenticate, requireRole } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateRequest');
+const { availabilitySearchValidator, noShowWindowValidator } = require('../validators/parkingSpotValidator');
+
+router.get('/availability', validate(availabilitySearchValidator), parkingSpotController.searchAvailability);
+router.patch('/:id/no-show-window', authenticate, requireRole('partner', 'admin'), validate(noShowWindowValidator), parkingSpotController.setNoShowWindow);
+
+module.exports = router;
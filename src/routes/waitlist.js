@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { authenticate, requireRole } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateRequest');
+const {
+    joinWaitlistValidator,
+    listWaitlistValidator,
+    waitlistEntryIdValidator,
+} = require('../validators/waitlistValidator');
+
+router.use(authenticate, requireRole('user'));
+
+router.get('/', validate(listWaitlistValidator), waitlistController.listEntries);
+router.post('/', validate(joinWaitlistValidator), waitlistController.joinWaitlist);
+router.delete('/:id', validate(waitlistEntryIdValidator), waitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,262 @@
+/**
+ * Account Lockout Service - Handles brute-force protection for the login path.
+ * 
+ * This service enforces a progressive delay between failed logins, a timed lock
+ * after repeated failures with an emailed unlock link, manual admin locks and unlocks,
+ * and per-IP throttling against credential stuffing. Lock state is mirrored to the
+ * `securitySettings` of the user's Client or Admin profile so admins can see the reason.
+ */
+
+const crypto = require('crypto');
+const UserRepository = require('../repositories/UserRepository');
+const ClientRepository = require('../repositories/ClientRepository');
+const AdminRepository = require('../repositories/AdminRepository');
+const LoginFailureRepository = require('../repositories/LoginFailureRepository');
+const MailService = require('./MailService');
+const config = require('../config');
+const createHttpError = require('../utils/httpError');
+
+/**
+ * Hash an unlock token for storage or lookup.
+ * @param {string} token - The plain unlock token.
+ * @returns {string} - Returns the SHA-256 hex digest.
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Mirror lock state to the user's Client or Admin profile.
+ * @param {Object} user - The user.
+ * @param {Object} settings - Lock fields (accountLocked, failedLoginAttempts, lastFailedLogin, accountLockReason).
+ * @returns {Promise<void>} - Updates the profile security settings.
+ */
+const syncProfileSecuritySettings = async (user, settings) => {
+  const update = Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => [`securitySettings.${key}`, value])
+  );
+
+  if (user.role === 'admin') {
+    const admin = await AdminRepository.findByUserId(user._id);
+    if (admin) await AdminRepository.updateAdmin(admin._id, update);
+  } else if (user.role === 'user') {
+    const client = await ClientRepository.findByUserId(user._id);
+    if (client) await ClientRepository.updateClient(client._id, update);
+  }
+};
+
+/**
+ * Throttle an IP that has failed too many logins, or against too many accounts, recently.
+ * @param {string} ipAddress - The source IP address.
+ * @returns {Promise<void>} - Throws a 429 error when the IP is throttled.
+ */
+const assertIpAllowed = async (ipAddress) => {
+  if (!ipAddress) return;
+  const { ipMaxFailures, ipMaxDistinctEmails, ipWindowMinutes } = config.lockout;
+  const since = new Date(Date.now() - ipWindowMinutes * 60 * 1000);
+
+  const failures = await LoginFailureRepository.countRecentFailures(ipAddress, since);
+  if (failures >= ipMaxFailures) {
+    throw createHttpError(429, 'Too many failed login attempts from this network, try again later');
+  }
+  const distinctEmails = await LoginFailureRepository.countDistinctEmails(ipAddress, since);
+  if (distinctEmails >= ipMaxDistinctEmails) {
+    throw createHttpError(429, 'Too many failed login attempts from this network, try again later');
+  }
+};
+
+/**
+ * Reject a login for a locked account or one still inside its progressive delay.
+ * @param {Object} user - The user attempting to log in.
+ * @returns {void} - Throws a 423 or 429 error when the login must be refused.
+ */
+const assertLoginAllowed = (user) => {
+  if (user.accountLocked) {
+    throw createHttpError(423, 'Account is locked, please contact support');
+  }
+  if (user.lockUntil && user.lockUntil > Date.now()) {
+    const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+    throw createHttpError(423, `Account is temporarily locked, try again in ${minutes} minute(s) or use the unlock link we emailed you`);
+  }
+
+  const attempts = user.failedLoginAttempts || 0;
+  if (attempts > 0 && user.lastFailedLogin) {
+    const { delayBaseMs, maxDelayMs } = config.lockout;
+    const delay = Math.min(delayBaseMs * 2 ** (attempts - 1), maxDelayMs);
+    const waitMs = user.lastFailedLogin.getTime() + delay - Date.now();
+    if (waitMs > 0) {
+      throw createHttpError(429, `Too many attempts, retry in ${Math.ceil(waitMs / 1000)} second(s)`);
+    }
+  }
+};
+
+/**
+ * Record a failed login attempt by IP, whether or not the account exists.
+ * @param {string} ipAddress - The source IP address.
+ * @param {string} email - The email that was tried.
+ * @returns {Promise<void>} - Stores the failure for IP throttling.
+ */
+const recordIpFailure = async (ipAddress, email) => {
+  if (!ipAddress) return;
+  await LoginFailureRepository.recordFailure({
+    ipAddress,
+    email,
+    expiresAt: new Date(Date.now() + config.lockout.ipWindowMinutes * 60 * 1000),
+  });
+};
+
+/**
+ * Lock an account for the configured duration and email an unlock link.
+ * @param {Object} user - The user to lock.
+ * @param {string} reason - The lock reason shown to admins.
+ * @returns {Promise<Object|null>} - Returns the updated user.
+ */
+const applyTimedLock = async (user, reason) => {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const { lockDurationMinutes, unlockTokenTtlHours } = config.lockout;
+
+  const updatedUser = await UserRepository.updateUser(user._id, {
+    lockUntil: new Date(Date.now() + lockDurationMinutes * 60 * 1000),
+    lockReason: reason,
+    unlockToken: hashToken(unlockToken),
+    unlockTokenExpires: new Date(Date.now() + unlockTokenTtlHours * 60 * 60 * 1000),
+  });
+  await syncProfileSecuritySettings(user, { accountLocked: true, accountLockReason: reason });
+  await UserRepository.logUserAction(user._id, `account_locked: ${reason}`);
+
+  await MailService.sendMail({
+    to: user.email,
+    subject: 'Your Carparkly account has been locked',
+    text: `We locked your account after several failed sign-in attempts. `
+      + `It unlocks automatically in ${lockDurationMinutes} minutes, or you can unlock it now: `
+      + `${config.appUrl}/unlock-account?token=${unlockToken}`,
+  });
+  return updatedUser;
+};
+
+/**
+ * Record a failed password attempt for an existing account, locking it once the limit is reached.
+ * @param {Object} user - The user whose password check failed.
+ * @param {string} ipAddress - The source IP address.
+ * @returns {Promise<Object|null>} - Returns the updated user.
+ */
+const recordFailedLogin = async (user, ipAddress) => {
+  await recordIpFailure(ipAddress, user.email);
+
+  const now = new Date();
+  // Failures from an earlier, already expired lock start a fresh count
+  const expiredLock = user.lockUntil && user.lockUntil <= now;
+  const updatedUser = await UserRepository.updateUser(user._id, expiredLock
+    ? { failedLoginAttempts: 1, lastFailedLogin: now, lockUntil: null, lockReason: null }
+    : { $inc: { failedLoginAttempts: 1 }, lastFailedLogin: now });
+  if (!updatedUser) return null;
+
+  await syncProfileSecuritySettings(user, {
+    failedLoginAttempts: updatedUser.failedLoginAttempts,
+    lastFailedLogin: now,
+  });
+
+  if (updatedUser.failedLoginAttempts >= config.lockout.maxFailedAttempts) {
+    return await applyTimedLock(user, 'too_many_failed_logins');
+  }
+  return updatedUser;
+};
+
+/**
+ * Clear failure counters and every kind of lock.
+ * @param {Object} user - The user.
+ * @returns {Promise<Object|null>} - Returns the updated user.
+ */
+const clearLockState = async (user) => {
+  const updatedUser = await UserRepository.updateUser(user._id, {
+    accountLocked: false,
+    failedLoginAttempts: 0,
+    lastFailedLogin: null,
+    lockUntil: null,
+    lockReason: null,
+    unlockToken: null,
+    unlockTokenExpires: null,
+  });
+  await syncProfileSecuritySettings(user, { failedLoginAttempts: 0, accountLocked: false, accountLockReason: null });
+  return updatedUser;
+};
+
+/**
+ * Clear failure counters and any timed lock after a successful login.
+ * @param {Object} user - The user.
+ * @returns {Promise<Object|null>} - Returns the updated user.
+ */
+const resetFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return user;
+  return await clearLockState(user);
+};
+
+/**
+ * Unlock an account using the token from the lock email.
+ * @param {string} unlockToken - The plain unlock token.
+ * @returns {Promise<Object|null>} - Returns the updated user.
+ */
+const unlockWithToken = async (unlockToken) => {
+  const user = await UserRepository.findByUnlockToken(hashToken(unlockToken));
+  if (!user) throw createHttpError(400, 'Invalid or expired unlock token');
+  if (user.accountLocked) throw createHttpError(423, 'Account is locked, please contact support');
+
+  const updatedUser = await clearLockState(user);
+  await UserRepository.logUserAction(user._id, 'account_unlocked_by_email');
+  return updatedUser;
+};
+
+/**
+ * Manually lock an account until an admin unlocks it.
+ * @param {string} userId - The user ID.
+ * @param {string} reason - The lock reason shown to admins.
+ * @returns {Promise<Object|null>} - Returns the updated user.
+ */
+const lockAccount = async (userId, reason) => {
+  const user = await UserRepository.findById(userId);
+  if (!user) throw createHttpError(404, 'User not found');
+
+  const updatedUser = await UserRepository.updateUser(userId, { accountLocked: true, lockReason: reason });
+  await syncProfileSecuritySettings(user, { accountLocked: true, accountLockReason: reason });
+  await UserRepository.logUserAction(userId, `account_locked: ${reason}`);
+  return updatedUser;
+};
+
+/**
+ * Manually unlock an account, clearing both admin locks and timed locks.
+ * @param {string} userId - The user ID.
+ * @param {string} performedBy - The ID of the admin user performing the unlock.
+ * @returns {Promise<Object|null>} - Returns the updated user.
+ */
+const unlockAccount = async (userId, performedBy) => {
+  const user = await UserRepository.findById(userId);
+  if (!user) throw createHttpError(404, 'User not found');
+
+  const updatedUser = await clearLockState(user);
+  await UserRepository.logUserAction(userId, `account_unlocked_by_admin: ${performedBy}`);
+  return updatedUser;
+};
+
+/**
+ * List accounts that are currently locked, with their lock reasons.
+ * @param {Object} options - Pagination and sorting options.
+ * @returns {Promise<Array>} - Returns an array of locked users.
+ */
+const getLockedAccounts = async (options = {}) => {
+  return await UserRepository.searchUsers(
+    { $or: [{ accountLocked: true }, { lockUntil: { $gt: new Date() } }] },
+    { sort: '-lastFailedLogin', ...options }
+  );
+};
+
+module.exports = {
+  assertIpAllowed,
+  assertLoginAllowed,
+  recordIpFailure,
+  recordFailedLogin,
+  resetFailedLogins,
+  unlockWithToken,
+  lockAccount,
+  unlockAccount,
+  getLockedAccounts,
+};
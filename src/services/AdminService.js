@@ -8,8 +8,17 @@
  * settings management, and security policy enforcement.
  */
 
+const crypto = require('crypto');
+const net = require('net');
 const AdminRepository = require('../repositories/AdminRepository');
-const AuthService = require('./AuthService');
+const UserRepository = require('../repositories/UserRepository');
+const config = require('../config');
+const { encrypt, decrypt } = require('../utils/encryption');
+const Totp = require('../utils/totp');
+const createHttpError = require('../utils/httpError');
+
+// Roles that may never operate without a second factor
+const MFA_REQUIRED_ROLES = ['superadmin'];
 
 /**
  * Retrieve admin profile by ID.
@@ -20,6 +29,15 @@ const getAdminProfile = async (adminId) => {
   return await AdminRepository.findById(adminId);
 };
 
+/**
+ * Retrieve the admin profile linked to a base user account.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Object|null>} - Returns admin object or null.
+ */
+const getAdminByUserId = async (userId) => {
+  return await AdminRepository.findByUserId(userId);
+};
+
 /**
  * Retrieve all admins with filters.
  * @param {Object} filters - Search filters (e.g., role, status).
@@ -53,17 +71,144 @@ const updateAdminRole = async (adminId, role, requestingAdminRole) => {
   if (requestingAdminRole !== 'superadmin' && role === 'superadmin') {
     throw new Error('Only superadmins can assign or modify superadmin roles');
   }
+  if (MFA_REQUIRED_ROLES.includes(role)) {
+    const admin = await AdminRepository.findById(adminId);
+    if (!admin || !admin.mfaEnabled) throw new Error('Admin must enrol in MFA before being assigned this role');
+  }
   return await AdminRepository.updateAdmin(adminId, { role });
 };
 
 /**
  * Enable or disable multi-factor authentication (MFA) for an admin.
+ * MFA can only be enabled after TOTP enrolment and can never be disabled for roles that require it.
  * @param {string} adminId - The admin ID.
  * @param {boolean} enable - Enable or disable MFA.
  * @returns {Promise<Object|null>} - Returns updated admin object or null.
  */
 const updateMFAStatus = async (adminId, enable) => {
-  return await AuthService.updateMFAStatus(adminId, enable);
+  const admin = await AdminRepository.findByIdWithMfaSecrets(adminId);
+  if (!admin) throw createHttpError(404, 'Admin not found');
+  if (enable && !admin.totp.secret) throw createHttpError(400, 'Enrol an authenticator app before enabling MFA');
+  if (!enable && MFA_REQUIRED_ROLES.includes(admin.role)) {
+    throw createHttpError(403, `MFA is mandatory for the ${admin.role} role`);
+  }
+
+  if (enable) return await AdminRepository.updateMFAStatus(adminId, true);
+  return await AdminRepository.updateAdmin(adminId, {
+    mfaEnabled: false,
+    totp: { secret: null, pendingSecret: null, lastUsedStep: null, enrolledAt: null },
+    recoveryCodes: [],
+  });
+};
+
+/**
+ * Check whether an admin satisfies the MFA policy for their role.
+ * @param {Object} admin - The admin object.
+ * @returns {boolean} - Returns true if the admin may use privileged routes.
+ */
+const isMfaCompliant = (admin) => {
+  return !MFA_REQUIRED_ROLES.includes(admin.role) || admin.mfaEnabled;
+};
+
+/**
+ * Hash a recovery code for storage or lookup.
+ * @param {string} code - The plain recovery code.
+ * @returns {string} - Returns the SHA-256 hex digest.
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+};
+
+/**
+ * Generate a fresh set of single-use recovery codes.
+ * @returns {Object} - Returns the plain codes and their stored representation.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, stored: codes.map((code) => ({ codeHash: hashRecoveryCode(code), usedAt: null })) };
+};
+
+/**
+ * Start TOTP enrolment by creating a pending secret and its otpauth URI for QR display.
+ * @param {string} adminId - The admin ID.
+ * @returns {Promise<Object>} - Returns the base32 secret and otpauth URI.
+ */
+const beginTotpEnrolment = async (adminId) => {
+  const admin = await AdminRepository.findById(adminId);
+  if (!admin) throw createHttpError(404, 'Admin not found');
+  const user = await UserRepository.findById(admin.userId);
+
+  const secret = Totp.generateSecret();
+  await AdminRepository.updateAdmin(adminId, { 'totp.pendingSecret': encrypt(secret) });
+
+  return {
+    secret,
+    otpauthUri: Totp.buildOtpAuthUri({ secret, accountName: user ? user.email : String(adminId), issuer: config.twoFactor.totpIssuer }),
+  };
+};
+
+/**
+ * Confirm TOTP enrolment with a code from the authenticator app, enable MFA and issue recovery codes.
+ * @param {string} adminId - The admin ID.
+ * @param {string} code - The current code from the authenticator app.
+ * @returns {Promise<Array<string>>} - Returns the plain recovery codes (shown once).
+ */
+const confirmTotpEnrolment = async (adminId, code) => {
+  const admin = await AdminRepository.findByIdWithMfaSecrets(adminId);
+  if (!admin || !admin.totp.pendingSecret) throw createHttpError(400, 'No TOTP enrolment in progress');
+
+  const secret = decrypt(admin.totp.pendingSecret);
+  const step = Totp.verifyCode(secret, code);
+  if (step === null) throw createHttpError(401, 'Invalid authenticator code');
+
+  const { codes, stored } = generateRecoveryCodes();
+  await AdminRepository.updateAdmin(adminId, {
+    mfaEnabled: true,
+    totp: { secret: admin.totp.pendingSecret, pendingSecret: null, lastUsedStep: step, enrolledAt: new Date() },
+    recoveryCodes: stored,
+  });
+  await AdminRepository.logAdminAction(adminId, 'totp_enrolled');
+  return codes;
+};
+
+/**
+ * Verify an admin's second factor using either a TOTP code or a recovery code.
+ * Accepted TOTP codes cannot be replayed and recovery codes are consumed.
+ * @param {string} adminId - The admin ID.
+ * @param {Object} factor - The submitted factor ({ code } or { recoveryCode }).
+ * @returns {Promise<boolean>} - Returns true if the factor is valid.
+ */
+const verifySecondFactor = async (adminId, { code, recoveryCode }) => {
+  const admin = await AdminRepository.findByIdWithMfaSecrets(adminId);
+  if (!admin || !admin.mfaEnabled || !admin.totp.secret) return false;
+
+  if (recoveryCode) {
+    const updated = await AdminRepository.useRecoveryCode(adminId, hashRecoveryCode(recoveryCode));
+    if (updated) await AdminRepository.logAdminAction(adminId, 'recovery_code_used');
+    return Boolean(updated);
+  }
+
+  const step = Totp.verifyCode(decrypt(admin.totp.secret), code || '');
+  if (step === null) return false;
+  return Boolean(await AdminRepository.recordTotpStep(adminId, step));
+};
+
+/**
+ * Replace all recovery codes after re-verifying the authenticator app.
+ * @param {string} adminId - The admin ID.
+ * @param {string} code - The current code from the authenticator app.
+ * @returns {Promise<Array<string>>} - Returns the new plain recovery codes (shown once).
+ */
+const regenerateRecoveryCodes = async (adminId, code) => {
+  if (!(await verifySecondFactor(adminId, { code }))) throw createHttpError(401, 'Invalid authenticator code');
+
+  const { codes, stored } = generateRecoveryCodes();
+  await AdminRepository.updateAdmin(adminId, { recoveryCodes: stored });
+  await AdminRepository.logAdminAction(adminId, 'recovery_codes_regenerated');
+  return codes;
 };
 
 /**
@@ -85,10 +230,107 @@ const updateLastLogin = async (adminId, ipAddress, deviceInfo) => {
  * Log admin actions for auditing and security tracking.
  * @param {string} adminId - The admin ID.
  * @param {string} action - The action performed.
+ * @param {Object} [details] - Request details (ipAddress, userAgent).
  * @returns {Promise<void>} - Logs the admin action.
  */
-const logAdminAction = async (adminId, action) => {
-  await AdminRepository.logAdminAction(adminId, action);
+const logAdminAction = async (adminId, action, details) => {
+  await AdminRepository.logAdminAction(adminId, action, details);
+};
+
+/**
+ * Normalise an IP address, unwrapping IPv4-mapped IPv6 addresses.
+ * @param {string} ipAddress - The raw IP address.
+ * @returns {string} - Returns the normalised address.
+ */
+const normalizeIp = (ipAddress) => {
+  return ipAddress && ipAddress.startsWith('::ffff:') && net.isIPv4(ipAddress.slice(7))
+    ? ipAddress.slice(7)
+    : ipAddress;
+};
+
+/**
+ * Check an IP address against an allowlist of addresses and CIDR ranges.
+ * @param {string} ipAddress - The request IP address.
+ * @param {Array<string>} allowedIPs - Allowed entries, e.g. '203.0.113.7' or '10.0.0.0/8'.
+ * @returns {boolean} - Returns true if the IP is allowed.
+ */
+const isIpAllowed = (ipAddress, allowedIPs) => {
+  const ip = normalizeIp(ipAddress);
+  const family = net.isIP(ip);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  for (const entry of allowedIPs) {
+    const [address, prefix] = entry.trim().split('/');
+    const entryFamily = net.isIP(address);
+    if (!entryFamily) continue;
+    const type = entryFamily === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === undefined) blockList.addAddress(address, type);
+    else blockList.addSubnet(address, Number(prefix), type);
+  }
+  return blockList.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check whether a moment falls inside any restricted 'HH:MM-HH:MM' range in the given timezone.
+ * @param {Array<string>} restrictedHours - The restricted ranges.
+ * @param {string} timezone - The IANA timezone.
+ * @param {Date} now - The moment to check.
+ * @returns {boolean} - Returns true if access is restricted.
+ */
+const isWithinRestrictedHours = (restrictedHours, timezone, now) => {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(now);
+  const minuteOfDay = Number(parts.find((p) => p.type === 'hour').value) * 60 + Number(parts.find((p) => p.type === 'minute').value);
+
+  const toMinutes = (time) => {
+    const [hours, minutes = '0'] = time.trim().split(':');
+    return Number(hours) * 60 + Number(minutes);
+  };
+
+  return restrictedHours.some((range) => {
+    const [start, end] = range.split('-');
+    if (!start || !end) return false;
+    const startMinute = toMinutes(start);
+    const endMinute = toMinutes(end);
+    return startMinute <= endMinute
+      ? minuteOfDay >= startMinute && minuteOfDay < endMinute
+      : minuteOfDay >= startMinute || minuteOfDay < endMinute; // Range wraps past midnight
+  });
+};
+
+/**
+ * Evaluate an admin's access restrictions (IP allowlist, device allowlist, restricted hours).
+ * Empty lists impose no restriction.
+ * @param {Object} admin - The admin object.
+ * @param {Object} context - Request details (ipAddress, deviceFingerprint).
+ * @param {Date} [now] - The moment to evaluate.
+ * @returns {string|null} - Returns the denial reason, or null if access is allowed.
+ */
+const checkAccessRestrictions = (admin, { ipAddress, deviceFingerprint }, now = new Date()) => {
+  const { allowedIPs = [], allowedDevices = [], restrictedHours = [], timezone = 'UTC' } = admin.accessRestrictions || {};
+
+  if (allowedIPs.length && !isIpAllowed(ipAddress, allowedIPs)) return 'ip_not_allowed';
+  if (allowedDevices.length && !allowedDevices.includes(deviceFingerprint)) return 'device_not_allowed';
+  if (restrictedHours.length && isWithinRestrictedHours(restrictedHours, timezone, now)) return 'restricted_hours';
+  return null;
+};
+
+/**
+ * Enforce an admin's access restrictions, recording any denial in the audit log.
+ * @param {Object} admin - The admin object.
+ * @param {Object} context - Request details (ipAddress, userAgent, deviceFingerprint).
+ * @returns {Promise<void>} - Throws a 403 error when access is denied.
+ */
+const assertAccessAllowed = async (admin, context) => {
+  const reason = checkAccessRestrictions(admin, context);
+  if (!reason) return;
+
+  await AdminRepository.logAdminAction(admin._id, `access_denied: ${reason}`, {
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+  });
+  throw createHttpError(403, 'Admin access is not permitted from this location, device or time');
 };
 
 /**
@@ -103,12 +345,17 @@ const enforceSecurityPolicy = async (adminId, policyUpdates) => {
 
 /**
  * Track active admin sessions.
+ * Logins record sessions through SessionService; this is for sessions opened elsewhere.
  * @param {string} adminId - The admin ID.
+ * @param {Object} [sessionData] - Session details (sessionId, ipAddress, userAgent, location).
  * @returns {Promise<Object|null>} - Returns updated session logs.
  */
-const trackAdminSession = async (adminId) => {
-  return await AdminRepository.updateAdmin(adminId, {
-    $push: { sessionLogs: { timestamp: new Date() } },
+const trackAdminSession = async (adminId, sessionData = {}) => {
+  return await AdminRepository.logAdminSession(adminId, {
+    ...sessionData,
+    sessionId: sessionData.sessionId || crypto.randomUUID(),
+    loginTime: new Date(),
+    lastActiveAt: new Date(),
   });
 };
 
@@ -141,12 +388,20 @@ const deleteAdminAccount = async (adminId) => {
 
 module.exports = {
   getAdminProfile,
+  getAdminByUserId,
   getAllAdmins,
   updateAdminProfile,
   updateAdminRole,
   updateMFAStatus,
+  isMfaCompliant,
+  beginTotpEnrolment,
+  confirmTotpEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
   updateLastLogin,
   logAdminAction,
+  checkAccessRestrictions,
+  assertAccessAllowed,
   enforceSecurityPolicy,
   trackAdminSession,
   deactivateAdminAccount,
@@ -0,0 +1,339 @@
+/**
+ * Availability Service - Handles parking spot capacity checks for bookings.
+ * 
+ * A spot can hold as many simultaneous bookings as its `capacity`. Pending and confirmed
+ * bookings both occupy a space, as do live checkout holds (see BookingService.createBooking)
+ * and waitlist holds (see WaitlistService). Checks that lead to a write run under a per-spot lease
+ * lock, so two concurrent requests cannot both take the last space.
+ * 
+ * A spot can only be booked while it is open: not under maintenance, not closed for a
+ * holiday, and within its weekday or weekend opening times in the spot's timezone.
+ */
+
+const crypto = require('crypto');
+const BookingRepository = require('../repositories/BookingRepository');
+const ParkingSpotRepository = require('../repositories/ParkingSpotRepository');
+const WaitlistRepository = require('../repositories/WaitlistRepository');
+const BookingHoldRepository = require('../repositories/BookingHoldRepository');
+const config = require('../config');
+const createHttpError = require('../utils/httpError');
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+const MINUTES_PER_DAY = 24 * 60;
+const CLOCK_TIME = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i;
+const SORTERS = {
+  distance: (a, b) => a.distance - b.distance,
+  price: (a, b) => a.hourlyRate - b.hourlyRate || a.distance - b.distance,
+};
+
+/**
+ * Treat a waitlist hold as a booking of its window when counting occupancy.
+ * @param {Object} hold - The hold (windowStart, windowEnd).
+ * @returns {Object} - Returns the hold's window as bookingStart and bookingEnd.
+ */
+const holdToBooking = (hold) => ({ parkingSpotId: hold.parkingSpotId, bookingStart: hold.windowStart, bookingEnd: hold.windowEnd });
+
+/**
+ * Find the bookings and live holds that take up space on any of several spots during a window.
+ * @param {Array<string>} spotIds - The parking spot IDs.
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @param {Object} options - Options (excludeBookingId, excludeHoldId: see getSpotAvailability; now: the current time).
+ * @returns {Promise<Array>} - Returns the occupying windows with parkingSpotId, bookingStart and bookingEnd.
+ */
+const findOccupyingWindows = async (spotIds, start, end, { excludeBookingId = null, excludeHoldId = null, now = new Date() } = {}) => {
+  const bookings = spotIds.length === 1
+    ? await BookingRepository.findOverlappingBookings(spotIds[0], start, end, ACTIVE_BOOKING_STATUSES, excludeBookingId)
+    : await BookingRepository.findOverlappingBookingsForSpots(spotIds, start, end, ACTIVE_BOOKING_STATUSES);
+  const checkoutHolds = await BookingHoldRepository.findActiveHolds(spotIds, start, end, now);
+  const waitlistHolds = await WaitlistRepository.findActiveHolds(spotIds, start, end, now, excludeHoldId);
+  // A checkout started with a waitlist hold takes the hold's space, so the space is counted once
+  const inCheckout = new Set(checkoutHolds.filter((hold) => hold.waitlistEntryId).map((hold) => String(hold.waitlistEntryId)));
+  return [
+    ...bookings,
+    ...checkoutHolds,
+    ...waitlistHolds.filter((hold) => !inCheckout.has(String(hold._id))).map(holdToBooking),
+  ];
+};
+
+/**
+ * Convert an opening time such as '08:00 PM' to minutes after midnight.
+ * @param {string} time - The opening time.
+ * @returns {number|null} - Returns the minute of the day, or null if the time is malformed.
+ */
+const parseClockTime = (time) => {
+  const match = CLOCK_TIME.exec((time || '').trim());
+  if (!match) return null;
+  const [, hours, minutes, period] = match;
+  return ((Number(hours) % 12) + (period.toUpperCase() === 'PM' ? 12 : 0)) * 60 + Number(minutes);
+};
+
+/**
+ * Describe a moment in the given timezone.
+ * @param {Date} date - The moment.
+ * @param {string} timezone - The IANA timezone.
+ * @returns {Object} - Returns the local date (YYYY-MM-DD), weekday and (fractional) minute of the day.
+ */
+const getLocalTime = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).map((part) => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday,
+    minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute) + (Number(parts.second) + date.getMilliseconds() / 1000) / 60,
+  };
+};
+
+/**
+ * Convert a local date and time in the given timezone to a moment.
+ * @param {string} date - The local date (YYYY-MM-DD).
+ * @param {number} minuteOfDay - The local minute of the day.
+ * @param {string} timezone - The IANA timezone.
+ * @returns {Date} - Returns the moment.
+ */
+const zonedTimeToUtc = (date, minuteOfDay, timezone) => {
+  const target = Date.parse(`${date}T00:00:00Z`) + minuteOfDay * 60 * 1000;
+  let guess = target;
+  // Correct the guess by the timezone offset; the second pass settles offsets that change in between
+  for (let pass = 0; pass < 2; pass++) {
+    const local = getLocalTime(new Date(guess), timezone);
+    guess += target - (Date.parse(`${local.date}T00:00:00Z`) + local.minuteOfDay * 60 * 1000);
+  }
+  return new Date(guess);
+};
+
+/**
+ * Work out a spot's opening hours on a local day. Holidays override the regular schedule.
+ * @param {Object} spot - The parking spot.
+ * @param {Object} local - The local day (see getLocalTime).
+ * @returns {Object|null} - Returns the open and close minute of the day, or null if the spot is closed.
+ */
+const getDaySchedule = (spot, local) => {
+  const hours = spot.operatingHours || {};
+  const holiday = (hours.holidays || []).find((entry) => new Date(entry.date).toISOString().slice(0, 10) === local.date);
+  if (holiday && holiday.status === 'closed') return null;
+
+  if (spot.amenities?.twentyFourSevenAccess) return { open: 0, close: MINUTES_PER_DAY };
+
+  const regular = ['Sat', 'Sun'].includes(local.weekday) ? hours.weekends : hours.weekdays;
+  // A holiday marked open keeps the usual opening times even on a normally closed day
+  if (!regular || (regular.status === 'closed' && !holiday)) return null;
+
+  const open = parseClockTime(regular.openTime);
+  const close = parseClockTime(regular.closeTime);
+  if (open === null || close === null) return null;
+  // A closing time at or before the opening time (e.g. '12:00 AM') means open until midnight
+  return { open, close: close <= open ? MINUTES_PER_DAY : close };
+};
+
+/**
+ * Check whether a parking spot is open for the whole of a time window.
+ * @param {Object} spot - The parking spot.
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @returns {boolean} - Returns true if the spot can be used throughout the window.
+ */
+const isSpotOpen = (spot, start, end) => {
+  if (spot.maintenance?.isUnderMaintenance) return false;
+
+  const timezone = spot.operatingHours?.timezone || 'UTC';
+  const windowEnd = new Date(end);
+  let cursor = new Date(start);
+
+  // Check the window one local day at a time
+  while (cursor < windowEnd) {
+    const local = getLocalTime(cursor, timezone);
+    const dayEnd = cursor.getTime() + (MINUTES_PER_DAY - local.minuteOfDay) * 60 * 1000;
+    const segmentEnd = new Date(Math.min(windowEnd.getTime(), dayEnd));
+
+    const schedule = getDaySchedule(spot, local);
+    if (!schedule) return false;
+    const endMinute = local.minuteOfDay + (segmentEnd - cursor) / (60 * 1000);
+    if (local.minuteOfDay < schedule.open || endMinute > schedule.close) return false;
+
+    cursor = segmentEnd;
+  }
+  return true;
+};
+
+/**
+ * Find the largest number of bookings that are in progress at the same moment within a window.
+ * @param {Array<Object>} bookings - Bookings with bookingStart and bookingEnd.
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @returns {number} - Returns the peak number of simultaneous bookings.
+ */
+const getPeakOccupancy = (bookings, start, end) => {
+  const events = [];
+  for (const booking of bookings) {
+    events.push({ time: Math.max(booking.bookingStart, start), change: 1 });
+    events.push({ time: Math.min(booking.bookingEnd, end), change: -1 });
+  }
+  // A booking ending at the moment another starts frees its space first
+  events.sort((a, b) => a.time - b.time || a.change - b.change);
+
+  let current = 0;
+  let peak = 0;
+  for (const event of events) {
+    current += event.change;
+    peak = Math.max(peak, current);
+  }
+  return peak;
+};
+
+/**
+ * Ensure a parking spot is open for the whole of a time window.
+ * @param {Object} spot - The parking spot.
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @returns {void} - Throws 409 when the spot is under maintenance or closed.
+ */
+const assertSpotOpen = (spot, start, end) => {
+  if (spot.maintenance?.isUnderMaintenance) throw createHttpError(409, 'This parking spot is under maintenance');
+  if (!isSpotOpen(spot, start, end)) throw createHttpError(409, 'This parking spot is closed during the selected time');
+};
+
+/**
+ * Check how many spaces are free on a parking spot for the whole of a time window.
+ * @param {Object} spot - The parking spot.
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @param {Object} options - Options (excludeBookingId: a booking to leave out, e.g. one being extended;
+ *   excludeHoldId: a waitlist hold to leave out, e.g. one being used to book; now: the current time).
+ * @returns {Promise<Object>} - Returns the capacity, the peak occupancy and the spaces available.
+ */
+const getSpotAvailability = async (spot, start, end, { excludeBookingId = null, excludeHoldId = null, now = new Date() } = {}) => {
+  const overlapping = await findOccupyingWindows([spot._id], start, end, { excludeBookingId, excludeHoldId, now });
+  const occupied = getPeakOccupancy(overlapping, new Date(start), new Date(end));
+  return { capacity: spot.capacity, occupied, available: Math.max(spot.capacity - occupied, 0) };
+};
+
+/**
+ * Ensure a parking spot has a free space for a time window.
+ * Call this inside withSpotLock when a booking will be written based on the result.
+ * @param {Object} spot - The parking spot.
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @param {Object} options - Options passed to getSpotAvailability.
+ * @returns {Promise<Object>} - Returns the availability, or throws 409 when the spot is full.
+ */
+const assertSpotAvailable = async (spot, start, end, options = {}) => {
+  const availability = await getSpotAvailability(spot, start, end, options);
+  if (availability.available < 1) {
+    throw createHttpError(409, 'No spaces are available at this parking spot for the selected time');
+  }
+  return availability;
+};
+
+/**
+ * Check several time windows on one parking spot at once (e.g., the occurrences of a booking series).
+ * Call this inside withSpotLock when bookings will be written based on the result.
+ * @param {Object} spot - The parking spot.
+ * @param {Array<Object>} windows - The windows, each with start and end.
+ * @returns {Promise<Array>} - Returns each window with `conflict`: null when it can be booked,
+ *   'closed' when the spot is closed or under maintenance, or 'full' when no space is free.
+ */
+const checkWindows = async (spot, windows) => {
+  if (!windows.length) return [];
+  const start = new Date(Math.min(...windows.map((window) => window.start)));
+  const end = new Date(Math.max(...windows.map((window) => window.end)));
+  const bookings = await findOccupyingWindows([spot._id], start, end);
+
+  return windows.map((window) => {
+    if (!isSpotOpen(spot, window.start, window.end)) return { ...window, conflict: 'closed' };
+    const overlapping = bookings.filter((booking) => booking.bookingStart < window.end && booking.bookingEnd > window.start);
+    const occupied = getPeakOccupancy(overlapping, window.start, window.end);
+    return { ...window, conflict: occupied >= spot.capacity ? 'full' : null };
+  });
+};
+
+/**
+ * Find parking spots near a point that are open and have a free space for the whole of a time window.
+ * @param {Object} search - The search (latitude, longitude, radius in meters, start, end, sort: 'distance' or 'price', limit).
+ * @returns {Promise<Array>} - Returns the matching spots with their distance and free spaces.
+ */
+const searchAvailableSpots = async ({ latitude, longitude, radius = 5000, start, end, sort = 'distance', limit = 20 }) => {
+  const candidates = await ParkingSpotRepository.findSpotsWithDistance(
+    [longitude, latitude],
+    radius,
+    { 'maintenance.isUnderMaintenance': { $ne: true } },
+    config.booking.searchCandidateLimit
+  );
+  const openSpots = candidates.filter((spot) => isSpotOpen(spot, start, end));
+  if (!openSpots.length) return [];
+
+  const bookings = await findOccupyingWindows(openSpots.map((spot) => spot._id), start, end);
+  const bookingsBySpot = new Map();
+  for (const booking of bookings) {
+    const key = String(booking.parkingSpotId);
+    if (!bookingsBySpot.has(key)) bookingsBySpot.set(key, []);
+    bookingsBySpot.get(key).push(booking);
+  }
+
+  return openSpots
+    .map((spot) => ({
+      _id: spot._id,
+      name: spot.name,
+      address: spot.location.address,
+      latitude: spot.location.latitude,
+      longitude: spot.location.longitude,
+      distance: Math.round(spot.distance),
+      hourlyRate: spot.pricing.hourlyRate,
+      capacity: spot.capacity,
+      available: spot.capacity - getPeakOccupancy(bookingsBySpot.get(String(spot._id)) || [], start, end),
+      amenities: spot.amenities,
+    }))
+    .filter((spot) => spot.available > 0)
+    .sort(SORTERS[sort] || SORTERS.distance)
+    .slice(0, limit);
+};
+
+/**
+ * Run a task while holding the booking lock on a parking spot.
+ * The lock is a lease, so a crashed holder cannot block the spot for longer than its TTL;
+ * tasks should therefore only check capacity and write, not call out to slow services.
+ * @param {string} spotId - The parking spot ID.
+ * @param {Function} task - Async function to run while the lock is held.
+ * @returns {Promise<*>} - Returns the task's result.
+ */
+const withSpotLock = async (spotId, task) => {
+  const { spotLockTtlMs, spotLockRetries, spotLockRetryDelayMs } = config.booking;
+  const holder = crypto.randomUUID();
+
+  let acquired = false;
+  for (let attempt = 0; attempt <= spotLockRetries && !acquired; attempt++) {
+    if (attempt > 0) await new Promise((resolve) => setTimeout(resolve, spotLockRetryDelayMs));
+    acquired = await ParkingSpotRepository.acquireBookingLock(spotId, holder, spotLockTtlMs);
+  }
+  if (!acquired) throw createHttpError(503, 'The parking spot is busy, please try again');
+
+  try {
+    return await task();
+  } finally {
+    await ParkingSpotRepository.releaseBookingLock(spotId, holder);
+  }
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  getLocalTime,
+  zonedTimeToUtc,
+  isSpotOpen,
+  assertSpotOpen,
+  getSpotAvailability,
+  assertSpotAvailable,
+  checkWindows,
+  searchAvailableSpots,
+  withSpotLock,
+};
@@ -0,0 +1,258 @@
+/**
+ * Booking Series Service - Handles recurring bookings, such as every weekday from 08:00 to
+ * 18:00 for a number of weeks.
+ *
+ * A series is expanded into one occurrence per selected weekday, in the parking spot's
+ * timezone. Every occurrence is checked against the spot's opening hours and capacity; the
+ * conflicting dates are reported, and the bookable occurrences are created as Bookings
+ * linked to the series. Each occurrence is charged and paid on its own, so cancelling one
+ * occurrence or the whole series refunds each booking under its cancellation policy.
+ */
+
+const BookingRepository = require('../repositories/BookingRepository');
+const BookingSeriesRepository = require('../repositories/BookingSeriesRepository');
+const PartnerRepository = require('../repositories/PartnerRepository');
+const ParkingSpotRepository = require('../repositories/ParkingSpotRepository');
+const AvailabilityService = require('./AvailabilityService');
+const BookingService = require('./BookingService');
+const PricingService = require('./PricingService');
+const createHttpError = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Convert a 24-hour 'HH:MM' time to minutes after midnight.
+ * @param {string} time - The time.
+ * @returns {number} - Returns the minute of the day.
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Expand a recurrence into its occurrences, in the given timezone.
+ * @param {Object} recurrence - The recurrence (daysOfWeek, startTime, endTime, startDate, weeks).
+ * @param {string} timezone - The IANA timezone of the parking spot.
+ * @returns {Array<Object>} - Returns the occurrences (date, start, end) in date order.
+ */
+const buildOccurrences = ({ daysOfWeek, startTime, endTime, startDate, weeks }, timezone) => {
+  const startMinute = toMinutes(startTime);
+  let endMinute = toMinutes(endTime);
+  if (endMinute <= startMinute) endMinute += 24 * 60; // Runs overnight into the next day
+
+  const firstDay = Date.parse(`${startDate}T00:00:00Z`);
+  const occurrences = [];
+  for (let day = 0; day < weeks * 7; day++) {
+    const date = new Date(firstDay + day * DAY_MS);
+    if (!daysOfWeek.includes(WEEKDAYS[date.getUTCDay()])) continue;
+
+    const localDate = date.toISOString().slice(0, 10);
+    occurrences.push({
+      date: localDate,
+      start: AvailabilityService.zonedTimeToUtc(localDate, startMinute, timezone),
+      end: AvailabilityService.zonedTimeToUtc(localDate, endMinute, timezone),
+    });
+  }
+  return occurrences;
+};
+
+/**
+ * Load the parking spot for a series and check its partner is taking bookings.
+ * @param {string} parkingSpotId - The parking spot ID.
+ * @returns {Promise<Object>} - Returns the spot and the partner.
+ */
+const loadBookableSpot = async (parkingSpotId) => {
+  const spot = await ParkingSpotRepository.findById(parkingSpotId);
+  if (!spot) throw createHttpError(404, 'Parking spot not found');
+
+  const partner = await PartnerRepository.findById(spot.partnerId);
+  if (!partner || partner.status !== 'active') {
+    throw createHttpError(409, 'Partner is not available for booking');
+  }
+  return { spot, partner };
+};
+
+/**
+ * Check every occurrence of a recurrence against the spot's opening hours and capacity.
+ * @param {Object} spot - The parking spot.
+ * @param {Object} recurrence - The recurrence.
+ * @param {Date} now - The current time.
+ * @returns {Promise<Array>} - Returns the occurrences with their conflict (null, 'past', 'closed' or 'full'), price quote and charge.
+ */
+const checkOccurrences = async (spot, recurrence, now) => {
+  const occurrences = buildOccurrences(recurrence, spot.operatingHours?.timezone || 'UTC');
+  if (!occurrences.length) throw createHttpError(400, 'The recurrence does not include any dates');
+
+  const upcoming = occurrences.filter((occurrence) => occurrence.start > now);
+  const checked = await AvailabilityService.checkWindows(spot, upcoming);
+  const conflicts = new Map(checked.map((occurrence) => [occurrence.date, occurrence.conflict]));
+
+  return occurrences.map((occurrence) => {
+    const quote = PricingService.quotePrice(spot, occurrence.start, occurrence.end);
+    return {
+      ...occurrence,
+      conflict: conflicts.has(occurrence.date) ? conflicts.get(occurrence.date) : 'past',
+      quote,
+      charge: quote.total,
+    };
+  });
+};
+
+/**
+ * Describe the conflicting occurrences for an API response.
+ * @param {Array<Object>} occurrences - Checked occurrences.
+ * @returns {Array<Object>} - Returns the date, start, end and reason of each conflict.
+ */
+const listConflicts = (occurrences) => occurrences
+  .filter((occurrence) => occurrence.conflict)
+  .map(({ date, start, end, conflict }) => ({ date, start, end, reason: conflict }));
+
+/**
+ * Check a recurrence without booking it: which dates are available, which conflict, and the price.
+ * @param {Object} seriesData - The series (parkingSpotId and recurrence).
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the occurrences, the conflicts and the total for the available dates.
+ */
+const previewSeries = async (seriesData, { now = new Date() } = {}) => {
+  const { spot } = await loadBookableSpot(seriesData.parkingSpotId);
+  const occurrences = await checkOccurrences(spot, seriesData, now);
+  const available = occurrences.filter((occurrence) => !occurrence.conflict);
+
+  return {
+    occurrences: available.map(({ date, start, end, charge }) => ({ date, start, end, charge })),
+    conflicts: listConflicts(occurrences),
+    totalAmount: PricingService.roundMoney(available.reduce((sum, occurrence) => sum + occurrence.charge, 0)),
+  };
+};
+
+/**
+ * Book a recurring series. If any occurrence conflicts, nothing is booked and the conflicting
+ * dates are reported, unless `skipConflicts` is set, in which case only the available dates are booked.
+ * Each occurrence is paid for and confirmed, like a single booking. If this stops partway, the
+ * expiry sweep (BookingService.autoCancelExpiredBookings) confirms the occurrences that were
+ * paid and cancels the rest, so they do not hold the spot's capacity.
+ * @param {Object} seriesData - The series (userId, parkingSpotId, daysOfWeek, startTime, endTime,
+ *   startDate, weeks, paymentMethod, cancellationPolicy, skipConflicts).
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the series, its bookings and the skipped conflicts.
+ */
+const createSeries = async ({ skipConflicts = false, ...seriesData }, { now = new Date() } = {}) => {
+  const { spot, partner } = await loadBookableSpot(seriesData.parkingSpotId);
+
+  const { series, bookings, conflicts } = await AvailabilityService.withSpotLock(spot._id, async () => {
+    const occurrences = await checkOccurrences(spot, seriesData, now);
+    const conflicts = listConflicts(occurrences);
+    if (conflicts.length && !skipConflicts) {
+      throw createHttpError(409, 'Some dates in the series are not available', conflicts);
+    }
+    const available = occurrences.filter((occurrence) => !occurrence.conflict);
+    if (!available.length) throw createHttpError(409, 'None of the dates in the series are available', conflicts);
+
+    const series = await BookingSeriesRepository.createSeries({
+      ...seriesData,
+      partnerId: partner.userId,
+      timezone: spot.operatingHours?.timezone || 'UTC',
+      skippedOccurrences: conflicts.map(({ start, end, reason }) => ({ start, end, reason })),
+      totalAmount: PricingService.roundMoney(available.reduce((sum, occurrence) => sum + occurrence.charge, 0)),
+    });
+    const bookings = await BookingRepository.createBookings(available.map((occurrence) => ({
+      userId: seriesData.userId,
+      parkingSpotId: spot._id,
+      partnerId: partner.userId,
+      seriesId: series._id,
+      bookingStart: occurrence.start,
+      bookingEnd: occurrence.end,
+      durationInHours: (occurrence.end - occurrence.start) / HOUR_MS,
+      amountPaid: occurrence.charge,
+      priceBreakdown: occurrence.quote.lineItems,
+      paymentMethod: seriesData.paymentMethod,
+      cancellationPolicy: seriesData.cancellationPolicy,
+      // Occurrences left unpaid or unconfirmed by a failure below are settled by the expiry sweep
+      autoCancelIfUnpaid: true,
+      statusHistory: [{ from: null, to: 'pending', actorRole: 'client', changedBy: seriesData.userId }],
+    })));
+    return { series, bookings, conflicts };
+  });
+
+  // Each occurrence gets its own payment, so it can be refunded on its own, and is confirmed once paid
+  const confirmedBookings = [];
+  for (const booking of bookings) {
+    if (booking.amountPaid > 0) {
+      await BookingService.recordPayment({
+        userId: seriesData.userId,
+        bookingId: booking._id,
+        amount: booking.amountPaid,
+        paymentMethod: seriesData.paymentMethod,
+        prefix: 'series',
+        now,
+      });
+    }
+    confirmedBookings.push(await BookingService.transitionBooking(booking._id, 'confirmed', { reason: 'Payment received' }));
+  }
+
+  return { series, bookings: confirmedBookings, conflicts };
+};
+
+/**
+ * Load a series the user may see: their own as a client, on their spot as a partner, or any as an admin.
+ * @param {Object} user - The requesting user.
+ * @param {string} seriesId - The series ID.
+ * @returns {Promise<Object>} - Returns the series and its bookings.
+ */
+const getSeriesForUser = async (user, seriesId) => {
+  const series = await BookingSeriesRepository.findById(seriesId);
+  const visible = series && (user.role === 'admin'
+    || (user.role === 'partner' && series.partnerId.equals(user._id))
+    || series.userId.equals(user._id));
+  if (!visible) throw createHttpError(404, 'Booking series not found');
+
+  const bookings = await BookingRepository.findBySeriesId(series._id);
+  return { series, bookings };
+};
+
+/**
+ * Cancel every upcoming occurrence of a series on behalf of its client. Each occurrence is
+ * cancelled and refunded under its cancellation policy; occurrences that have started are kept.
+ * To cancel a single occurrence, cancel its booking.
+ * @param {string} seriesId - The series ID.
+ * @param {Object} client - The client user.
+ * @param {string} [reason] - Why the series is cancelled.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the series, the cancelled occurrences with their refunds and the total refund.
+ */
+const cancelSeries = async (seriesId, client, reason = null, { now = new Date() } = {}) => {
+  const series = await BookingSeriesRepository.findById(seriesId);
+  if (!series) throw createHttpError(404, 'Booking series not found');
+  if (!series.userId.equals(client._id)) throw createHttpError(403, 'Unauthorized access to this booking series');
+  if (series.status === 'cancelled') throw createHttpError(409, 'This booking series is already cancelled');
+
+  const bookings = await BookingRepository.findBySeriesId(series._id);
+  const cancelled = [];
+  for (const booking of bookings) {
+    if (!AvailabilityService.ACTIVE_BOOKING_STATUSES.includes(booking.status) || booking.bookingStart <= now) continue;
+    try {
+      const { quote } = await BookingService.cancelBooking(booking._id, client, reason);
+      cancelled.push({ bookingId: booking._id, bookingStart: booking.bookingStart, refund: quote });
+    } catch (err) {
+      // The occurrence was checked in or cancelled meanwhile
+      if (err.statusCode !== 409) throw err;
+    }
+  }
+
+  const updatedSeries = await BookingSeriesRepository.updateSeries(series._id, { status: 'cancelled', cancelledAt: now });
+  return {
+    series: updatedSeries,
+    cancelled,
+    refundAmount: PricingService.roundMoney(cancelled.reduce((sum, entry) => sum + entry.refund.refundAmount, 0)),
+  };
+};
+
+module.exports = {
+  previewSeries,
+  createSeries,
+  getSeriesForUser,
+  cancelSeries,
+};
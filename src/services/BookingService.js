@@ -7,37 +7,258 @@
  * booking status updates while ensuring compliance, fraud prevention, and efficiency.
  */
 
+const crypto = require('crypto');
 const BookingRepository = require('../repositories/BookingRepository');
+const BookingHoldRepository = require('../repositories/BookingHoldRepository');
 const PaymentRepository = require('../repositories/PaymentRepository');
 const PartnerRepository = require('../repositories/PartnerRepository');
 const ClientRepository = require('../repositories/ClientRepository');
+const ParkingSpotRepository = require('../repositories/ParkingSpotRepository');
+const AvailabilityService = require('./AvailabilityService');
+const BookingStateMachine = require('./BookingStateMachine');
+const CancellationPolicyService = require('./CancellationPolicyService');
+const NotificationService = require('./NotificationService');
+const PricingService = require('./PricingService');
+const PromoCodeService = require('./PromoCodeService');
+const WaitlistService = require('./WaitlistService');
+const config = require('../config');
+const createHttpError = require('../utils/httpError');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Record a successful payment for a booking. No payment gateway is integrated yet, so the
+ * charge is recorded as taken.
+ * @param {Object} payment - The payment (userId, bookingId, amount, paymentMethod, prefix for the
+ *   transaction ID, now: the payment time).
+ * @returns {Promise<Object>} - Returns the payment.
+ */
+const recordPayment = async ({ userId, bookingId, amount, paymentMethod, prefix, now = new Date() }) => {
+  return await PaymentRepository.createPayment({
+    userId,
+    bookingId,
+    amount,
+    totalAmount: amount,
+    paymentMethod,
+    transactionId: `${prefix}_${crypto.randomUUID()}`,
+    status: 'successful',
+    processedAt: now,
+  });
+};
 
 /**
- * Create a new booking with verification, availability, and conflict detection.
+ * Start a booking: check the spot and reserve a space with a checkout hold while the client pays.
+ * The hold counts against the spot's capacity for config.booking.checkoutHoldMinutes and becomes
+ * a confirmed booking once paid (see payForHold); an unpaid hold lapses on its own.
+ * The partner is taken from the parking spot so clients cannot book against another partner.
+ * A client offered a space from the waitlist books it by passing `waitlistEntryId`. A promo code
+ * in `promoCodeUsed` is checked and its discount taken off the amount due.
  * @param {Object} bookingData - The booking details.
- * @returns {Promise<Object>} - Returns the created booking.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the checkout hold, with the amount due.
  */
-const createBooking = async (bookingData) => {
+const createBooking = async ({ waitlistEntryId = null, ...bookingData }, { now = new Date() } = {}) => {
+  if (new Date(bookingData.bookingStart) <= now) throw createHttpError(400, 'The booking must start in the future');
+
+  const spot = await ParkingSpotRepository.findById(bookingData.parkingSpotId);
+  if (!spot) throw createHttpError(404, 'Parking spot not found');
+  AvailabilityService.assertSpotOpen(spot, bookingData.bookingStart, bookingData.bookingEnd);
+
   // Validate partner availability before booking
-  const partner = await PartnerRepository.findById(bookingData.partnerId);
+  const partner = await PartnerRepository.findById(spot.partnerId);
   if (!partner || partner.status !== 'active') {
-    throw new Error('Partner is not available for booking');
+    throw createHttpError(409, 'Partner is not available for booking');
   }
+  const quote = PricingService.quotePrice(spot, bookingData.bookingStart, bookingData.bookingEnd);
+  const discount = bookingData.promoCodeUsed
+    ? await PromoCodeService.applyPromoCode(bookingData.promoCodeUsed, { userId: bookingData.userId, spot, amount: quote.total }, { now })
+    : null;
+  const holdData = {
+    ...bookingData,
+    partnerId: partner.userId,
+    amountDue: PricingService.roundMoney(quote.total - (discount?.discountAmount || 0)),
+    priceBreakdown: quote.lineItems,
+    promoCodeUsed: discount?.code || null,
+    discount,
+    waitlistEntryId,
+    expiresAt: new Date(now.getTime() + config.booking.checkoutHoldMinutes * 60 * 1000),
+  };
   
-  // Check for booking conflicts
-  const conflict = await BookingRepository.searchBookings({
-    partnerId: bookingData.partnerId,
-    status: 'confirmed',
-    $or: [
-      { startTime: { $lt: bookingData.endTime, $gte: bookingData.startTime } },
-      { endTime: { $gt: bookingData.startTime, $lte: bookingData.endTime } }
-    ]
+  const waitlistHold = waitlistEntryId ? await WaitlistService.getHeldEntry(waitlistEntryId, bookingData, { now }) : null;
+  
+  // Count overlapping bookings and holds on this spot against its capacity and place the hold
+  // under the spot lock, so concurrent requests cannot overbook the last space. The waitlist
+  // hold stays offered until the checkout is paid for (see payForHold), and its space is the one taken
+  return await AvailabilityService.withSpotLock(spot._id, async () => {
+    if (waitlistHold && await BookingHoldRepository.findActiveHoldForWaitlistEntry(waitlistHold._id, now)) {
+      throw createHttpError(409, 'A checkout is already in progress for the space held for you');
+    }
+    await AvailabilityService.assertSpotAvailable(spot, bookingData.bookingStart, bookingData.bookingEnd, {
+      excludeHoldId: waitlistHold ? waitlistHold._id : null,
+      now,
+    });
+    return await BookingHoldRepository.createHold(holdData);
   });
-  if (conflict.length > 0) {
-    throw new Error('Booking conflict detected');
+};
+
+/**
+ * Load a client's checkout hold.
+ * @param {string} holdId - The hold ID.
+ * @param {Object} client - The client user.
+ * @returns {Promise<Object>} - Returns the hold.
+ */
+const getHold = async (holdId, client) => {
+  const hold = await BookingHoldRepository.findById(holdId);
+  if (!hold || !hold.userId.equals(client._id)) throw createHttpError(404, 'Booking hold not found');
+  return hold;
+};
+
+/**
+ * Pay for a checkout hold and turn it into a confirmed booking. The booking is created pending
+ * under the spot lock, then paid for and confirmed; one whose payment or confirmation fails is
+ * settled by the expiry sweep (see autoCancelExpiredBookings).
+ * @param {string} holdId - The hold ID.
+ * @param {Object} client - The client user.
+ * @param {Object} payment - The payment (paymentMethod: defaults to the one chosen for the hold).
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the confirmed booking and the payment (null if nothing was due).
+ */
+const payForHold = async (holdId, client, { paymentMethod = null } = {}, { now = new Date() } = {}) => {
+  const hold = await getHold(holdId, client);
+  if (hold.expiresAt <= now) throw createHttpError(409, 'This booking hold has expired, please book again');
+
+  const { booking, redemption } = await AvailabilityService.withSpotLock(hold.parkingSpotId, async () => {
+    // Deleting the hold and creating the booking under the lock hands its space straight over
+    const claimed = await BookingHoldRepository.claimHold(hold._id, now);
+    if (!claimed) throw createHttpError(409, 'This booking hold has expired or was already used, please book again');
+    let redemption = null;
+    try {
+      if (hold.discount?.promoCodeId) redemption = await PromoCodeService.redeemPromoCode(hold.discount, hold.userId, { now });
+      const booking = await BookingRepository.createBooking({
+        userId: hold.userId,
+        parkingSpotId: hold.parkingSpotId,
+        partnerId: hold.partnerId,
+        bookingStart: hold.bookingStart,
+        bookingEnd: hold.bookingEnd,
+        durationInHours: (hold.bookingEnd - hold.bookingStart) / HOUR_MS,
+        amountPaid: hold.amountDue,
+        paymentMethod: paymentMethod || hold.paymentMethod,
+        cancellationPolicy: hold.cancellationPolicy,
+        // If paying or confirming fails below, the expiry sweep confirms the booking once
+        // paid or cancels it, so it does not stay pending
+        autoCancelIfUnpaid: true,
+        priceBreakdown: hold.priceBreakdown,
+        promoCodeUsed: hold.promoCodeUsed,
+        discount: hold.discount,
+        statusHistory: [{ from: null, to: 'pending', actorRole: 'client', changedBy: hold.userId }],
+      });
+      return { booking, redemption };
+    } catch (err) {
+      if (redemption) await PromoCodeService.cancelRedemption(redemption);
+      await BookingHoldRepository.restoreHold(claimed);
+      throw err;
+    }
+  });
+
+  const payment = booking.amountPaid > 0
+    ? await recordPayment({
+      userId: client._id,
+      bookingId: booking._id,
+      amount: booking.amountPaid,
+      paymentMethod: booking.paymentMethod,
+      prefix: 'bkg',
+      now,
+    })
+    : null;
+  if (redemption) await PromoCodeService.linkRedemption(redemption._id, booking._id);
+  if (hold.waitlistEntryId) await WaitlistService.completeHold(hold.waitlistEntryId, booking._id);
+
+  const confirmedBooking = await transitionBooking(booking._id, 'confirmed', { reason: 'Payment received' });
+  return { booking: confirmedBooking, payment };
+};
+
+/**
+ * Give up a checkout hold before it expires, freeing its space.
+ * @param {string} holdId - The hold ID.
+ * @param {Object} client - The client user.
+ * @returns {Promise<void>} - Deletes the hold.
+ */
+const releaseHold = async (holdId, client) => {
+  const hold = await BookingHoldRepository.releaseHold(holdId, client._id);
+  if (!hold) throw createHttpError(404, 'Booking hold not found');
+  await WaitlistService.offerFreedCapacity(hold.parkingSpotId, hold.bookingStart, hold.bookingEnd);
+};
+
+/**
+ * Build the query restricting bookings to those a user may see: clients see their own
+ * bookings, partners see bookings on their parking spots and admins see everything.
+ * @param {Object} user - The requesting user.
+ * @returns {Promise<Object>} - Returns the visibility filter.
+ */
+const getVisibilityFilter = async (user) => {
+  if (user.role === 'admin') return {};
+  if (user.role === 'partner') {
+    const partner = await PartnerRepository.findByUserId(user._id);
+    const spotIds = partner ? await ParkingSpotRepository.findIdsByPartnerId(partner._id) : [];
+    return { parkingSpotId: { $in: spotIds } };
   }
-  
-  return await BookingRepository.createBooking(bookingData);
+  return { userId: user._id };
+};
+
+/**
+ * Check whether a user may see a booking (see getVisibilityFilter).
+ * @param {Object} user - The requesting user.
+ * @param {Object} booking - The booking, with its parking spot populated.
+ * @returns {Promise<boolean>} - Returns true if the booking is visible to the user.
+ */
+const canViewBooking = async (user, booking) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'partner') {
+    const partner = await PartnerRepository.findByUserId(user._id);
+    return Boolean(partner && booking.parkingSpotId && partner._id.equals(booking.parkingSpotId.partnerId));
+  }
+  return booking.userId.equals(user._id);
+};
+
+/**
+ * Retrieve a booking the user is allowed to see, with its parking spot name and address.
+ * @param {Object} user - The requesting user.
+ * @param {string} bookingId - The booking ID.
+ * @returns {Promise<Object>} - Returns the booking.
+ */
+const getBookingForUser = async (user, bookingId) => {
+  const booking = await BookingRepository.findByIdWithParkingSpot(bookingId);
+  // Bookings outside the user's visibility are reported as missing rather than forbidden
+  if (!booking || !(await canViewBooking(user, booking))) throw createHttpError(404, 'Booking not found');
+  return booking;
+};
+
+/**
+ * List the bookings visible to a user, with parking spot names and addresses.
+ * @param {Object} user - The requesting user.
+ * @param {Object} query - Filters: status, from, to, parkingSpotId and partnerId (the owning partner's profile ID).
+ * @param {Object} options - Pagination options (page, limit).
+ * @returns {Promise<Object>} - Returns the page of bookings and the total count.
+ */
+const listBookingsForUser = async (user, query = {}, { page = 1, limit = 20 } = {}) => {
+  const { status, from, to, parkingSpotId, partnerId } = query;
+  const conditions = [await getVisibilityFilter(user)];
+
+  if (status) conditions.push({ status });
+  // Date filters match any booking overlapping the range
+  if (from) conditions.push({ bookingEnd: { $gt: from } });
+  if (to) conditions.push({ bookingStart: { $lt: to } });
+  if (parkingSpotId) conditions.push({ parkingSpotId });
+  if (partnerId) {
+    conditions.push({ parkingSpotId: { $in: await ParkingSpotRepository.findIdsByPartnerId(partnerId) } });
+  }
+
+  const filters = { $and: conditions };
+  const [bookings, total] = await Promise.all([
+    BookingRepository.searchBookingsWithParkingSpot(filters, { page, limit, sort: '-bookingStart' }),
+    BookingRepository.countBookings(filters),
+  ]);
+  return { bookings, total, page, limit };
 };
 
 /**
@@ -60,19 +281,41 @@ const getAllBookings = async (filters = {}, options = {}) => {
 };
 
 /**
- * Automatically cancel unpaid or expired bookings.
- * @returns {Promise<void>} - Cancels expired bookings.
+ * Automatically cancel pending bookings that asked to be cancelled if left unpaid
+ * (`autoCancelIfUnpaid`) and are still unpaid after the payment window. Bookings among them
+ * that were paid but not confirmed (e.g., the confirmation failed after the payment was
+ * recorded) are confirmed instead, so they do not stay pending or fill up the sweep.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns how many bookings were checked, confirmed and cancelled, and the
+ *   bookings that could not be handled (bookingId, error), such as a cancellation whose freed space
+ *   could not be offered to the waitlist.
  */
-const autoCancelExpiredBookings = async () => {
+const autoCancelExpiredBookings = async ({ now = new Date() } = {}) => {
+  const { unpaidExpiryMinutes, expirySweepBatchSize } = config.booking;
   const expiredBookings = await BookingRepository.searchBookings({
     status: 'pending',
-    createdAt: { $lt: new Date(Date.now() - 30 * 60 * 1000) } // 30 min expiration
-  });
+    autoCancelIfUnpaid: true,
+    createdAt: { $lt: new Date(now.getTime() - unpaidExpiryMinutes * 60 * 1000) },
+  }, { limit: expirySweepBatchSize, sort: 'createdAt' });
   
+  let confirmed = 0;
+  let cancelled = 0;
+  const failed = [];
   for (const booking of expiredBookings) {
-    await BookingRepository.updateBooking(booking._id, { status: 'cancelled' });
-    await logBookingAction(booking._id, 'Booking auto-cancelled due to expiration');
+    try {
+      if (await PaymentRepository.findSuccessfulByBookingId(booking._id)) {
+        await transitionBooking(booking._id, 'confirmed', { reason: 'Payment received' });
+        confirmed++;
+      } else {
+        await transitionBooking(booking._id, 'cancelled', { reason: 'Booking auto-cancelled due to expiration' });
+        cancelled++;
+      }
+    } catch (err) {
+      // The booking was confirmed or cancelled while the sweep was running
+      if (err.statusCode !== 409) failed.push({ bookingId: booking._id, error: err.message });
+    }
   }
+  return { checked: expiredBookings.length, confirmed, cancelled, failed };
 };
 
 /**
@@ -84,41 +327,345 @@ const autoCancelExpiredBookings = async () => {
 const updateBooking = async (bookingId, updateData) => {
   const booking = await BookingRepository.findById(bookingId);
   if (!booking) throw new Error('Booking not found');
+  if ('status' in updateData) throw createHttpError(400, 'Booking status can only be changed through a status transition');
   return await BookingRepository.updateBooking(bookingId, updateData);
 };
 
 /**
- * Cancel a booking, process refunds if applicable, and notify the partner.
+ * Notify the client and the partner of a booking about a change to it.
+ * @param {Object} booking - The booking.
+ * @param {string} message - The message.
+ * @param {Object} options - Options (skipRole: the actor who made the change and need not be told).
+ * @returns {Promise<void>} - Sends the notifications.
+ */
+const notifyBookingParties = async (booking, message, { skipRole = null } = {}) => {
+  const notification = { type: 'booking', message, metadata: { bookingId: booking._id, status: booking.status } };
+  if (skipRole !== 'client') await NotificationService.notifyUser(booking.userId, notification);
+  if (skipRole !== 'partner') await NotificationService.notifyUser(booking.partnerId, notification);
+};
+
+// Side effects run after a booking has moved to the given status
+const STATUS_SIDE_EFFECTS = {
+  confirmed: async (booking) => {
+    await NotificationService.notifyUser(booking.userId, {
+      type: 'booking',
+      message: `Your booking starting ${booking.bookingStart.toISOString()} is confirmed.`,
+      metadata: { bookingId: booking._id },
+    });
+  },
+  cancelled: async (booking, { actorRole, reason }) => {
+    await notifyBookingParties(booking, `Booking ${booking._id} was cancelled${reason ? `: ${reason}` : '.'}`, { skipRole: actorRole });
+    await WaitlistService.offerFreedCapacity(booking.parkingSpotId, booking.bookingStart, booking.bookingEnd);
+  },
+  completed: async (booking) => {
+    await ParkingSpotRepository.addRevenue(booking.parkingSpotId, booking.amountPaid);
+    await ParkingSpotRepository.clearOccupied(booking.parkingSpotId, booking._id);
+    // An early check-out frees the rest of the booking
+    const now = new Date();
+    if (booking.bookingEnd > now) await WaitlistService.offerFreedCapacity(booking.parkingSpotId, now, booking.bookingEnd);
+  },
+  expired: async (booking) => {
+    await NotificationService.notifyUser(booking.userId, {
+      type: 'booking',
+      message: `Your booking starting ${booking.bookingStart.toISOString()} has expired.`,
+      metadata: { bookingId: booking._id },
+    });
+    await WaitlistService.offerFreedCapacity(booking.parkingSpotId, booking.bookingStart, booking.bookingEnd);
+  },
+  'no-show': async (booking) => {
+    await NotificationService.notifyUser(booking.userId, {
+      type: 'booking',
+      priority: 'high',
+      message: `You were marked as a no-show for your booking starting ${booking.bookingStart.toISOString()}.`,
+      metadata: { bookingId: booking._id },
+    });
+    await WaitlistService.offerFreedCapacity(booking.parkingSpotId, booking.bookingStart, booking.bookingEnd);
+  },
+};
+
+/**
+ * Move a booking to a new status through the booking state machine, record the change in the
+ * booking's status history and run the side effects of the new status.
  * @param {string} bookingId - The booking ID.
- * @param {string} clientId - The client ID initiating the cancellation.
- * @returns {Promise<Object|null>} - Returns updated booking or null.
+ * @param {string} toStatus - The new status.
+ * @param {Object} options - Options (actor: the user making the change, null for system changes;
+ *   reason: why the status changed; updates: other booking fields to set with the status;
+ *   conditions: other fields the booking must still match, checked atomically with the change).
+ * @returns {Promise<Object>} - Returns the updated booking.
  */
-const cancelBooking = async (bookingId, clientId) => {
+const transitionBooking = async (bookingId, toStatus, { actor = null, reason = null, updates = {}, conditions = {} } = {}) => {
   const booking = await BookingRepository.findById(bookingId);
-  if (!booking) throw new Error('Booking not found');
-  if (booking.clientId !== clientId) throw new Error('Unauthorized cancellation');
-  
-  // Process refund if applicable
-  if (booking.paymentId) {
-    await PaymentRepository.processRefund(booking.paymentId, booking.amount);
+  if (!booking) throw createHttpError(404, 'Booking not found');
+
+  const actorRole = BookingStateMachine.getActorRole(actor);
+  BookingStateMachine.assertTransition(booking.status, toStatus, actorRole);
+
+  const updatedBooking = await BookingRepository.transitionStatus(bookingId, booking.status, toStatus, {
+    from: booking.status,
+    to: toStatus,
+    actorRole,
+    changedBy: actor ? actor._id : null,
+    reason,
+    changedAt: new Date(),
+  }, updates, conditions);
+  if (!updatedBooking) throw createHttpError(409, 'The booking was changed by another request, please try again');
+
+  const sideEffect = STATUS_SIDE_EFFECTS[toStatus];
+  if (sideEffect) await sideEffect(updatedBooking, { actorRole, reason });
+  return updatedBooking;
+};
+
+/**
+ * Load a booking its client wants to change.
+ * @param {string} bookingId - The booking ID.
+ * @param {Object} client - The client user.
+ * @returns {Promise<Object>} - Returns the booking.
+ */
+const findClientBooking = async (bookingId, client) => {
+  const booking = await BookingRepository.findById(bookingId);
+  if (!booking) throw createHttpError(404, 'Booking not found');
+  if (!booking.userId.equals(client._id)) throw createHttpError(403, 'Unauthorized access to this booking');
+  return booking;
+};
+
+/**
+ * Quote the fee and refund for cancelling a booking now, under its cancellation policy.
+ * @param {string} bookingId - The booking ID.
+ * @param {Object} client - The client user.
+ * @returns {Promise<Object>} - Returns the cancellation quote.
+ */
+const getCancellationQuote = async (bookingId, client) => {
+  const booking = await findClientBooking(bookingId, client);
+  BookingStateMachine.assertTransition(booking.status, 'cancelled', BookingStateMachine.getActorRole(client));
+
+  const payment = await PaymentRepository.findSuccessfulByBookingId(booking._id);
+  return CancellationPolicyService.quoteCancellation(booking, { paid: Boolean(payment) });
+};
+
+/**
+ * Work out why a booking's refund is made, for the payment records.
+ * @param {Object} booking - The cancelled or no-show booking.
+ * @returns {string} - Returns the refund reason.
+ */
+const getRefundReason = (booking) => {
+  if (booking.status === 'no-show') return `No-show under ${booking.cancellationPolicy} policy`;
+  const change = booking.statusHistory[booking.statusHistory.length - 1];
+  if (change?.reason) return change.reason;
+  return change?.actorRole === 'client'
+    ? `Booking cancelled under ${booking.cancellationPolicy} policy`
+    : `Booking cancelled by the ${change?.actorRole || 'system'}`;
+};
+
+/**
+ * Make the refund a cancelled or no-show booking is owed (its `refundAmount`, recorded with
+ * `refundPending` in the same write as the status change) over its payments, newest (e.g.,
+ * extensions) first. Each payment is refunded at most once for the booking, so a refund that
+ * failed partway is finished by trying again (see retryPendingRefunds) without paying out twice.
+ * @param {Object} booking - The booking.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the booking, with `refundPending` cleared once the refund is made.
+ */
+const issueRefund = async (booking, { now = new Date() } = {}) => {
+  await BookingRepository.updateBooking(booking._id, { refundAttemptedAt: now });
+  const reference = `booking_${booking._id}`;
+  const reason = getRefundReason(booking);
+  const payments = await PaymentRepository.findRefundablePayments(booking._id, reference);
+
+  const findRefund = (payment) => payment.refunds.find((refund) => refund.reference === reference);
+  let remaining = PricingService.roundMoney(
+    payments.reduce((owed, payment) => owed - (findRefund(payment)?.amount || 0), booking.refundAmount)
+  );
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+    if (findRefund(payment)) continue;
+    // Only what has not been refunded already can be refunded
+    const refundAmount = Math.min(remaining, PricingService.roundMoney(payment.totalAmount - (payment.refundAmount || 0)));
+    if (refundAmount <= 0) continue;
+    const refundedPayment = await PaymentRepository.processRefund(payment._id, refundAmount, reason, reference);
+    // Another attempt refunded this payment meanwhile; the next retry works out what is left
+    if (!refundedPayment) return booking;
+    remaining = PricingService.roundMoney(remaining - findRefund(refundedPayment).amount);
   }
-  
-  // Notify partner about cancellation
-  await PartnerRepository.logPartnerAction(booking.partnerId, 'Booking Cancelled');
-  
-  return await BookingRepository.updateBooking(bookingId, { status: 'cancelled' });
+  return await BookingRepository.updateBooking(booking._id, { refundPending: false });
+};
+
+/**
+ * Finish the refunds of cancelled and no-show bookings whose last attempt failed.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the number of bookings checked and refunded, and the
+ *   bookings that could not be refunded (bookingId, error).
+ */
+const retryPendingRefunds = async ({ now = new Date() } = {}) => {
+  const { refundRetryMinutes, expirySweepBatchSize } = config.booking;
+  // Bookings tried last go to the back, so failing refunds do not hold up the others
+  const bookings = await BookingRepository.searchBookings({
+    refundPending: true,
+    refundAttemptedAt: { $lt: new Date(now.getTime() - refundRetryMinutes * 60 * 1000) },
+  }, { limit: expirySweepBatchSize, sort: 'refundAttemptedAt' });
+
+  let refunded = 0;
+  const failed = [];
+  for (const booking of bookings) {
+    try {
+      if (!(await issueRefund(booking, { now })).refundPending) refunded++;
+    } catch (err) {
+      failed.push({ bookingId: booking._id, error: err.message });
+    }
+  }
+  return { checked: bookings.length, refunded, failed };
+};
+
+/**
+ * Cancel a booking on behalf of its client, charging the cancellation fee of its policy
+ * and refunding the rest of the payment.
+ * @param {string} bookingId - The booking ID.
+ * @param {Object} client - The client user initiating the cancellation.
+ * @param {string} [reason] - Why the booking is cancelled.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the cancelled booking and the applied quote.
+ */
+const cancelBooking = async (bookingId, client, reason = null, { now = new Date() } = {}) => {
+  const booking = await findClientBooking(bookingId, client);
+  const payment = await PaymentRepository.findSuccessfulByBookingId(booking._id);
+  const quote = CancellationPolicyService.quoteCancellation(booking, { paid: Boolean(payment), now });
+
+  const cancelledBooking = await transitionBooking(bookingId, 'cancelled', {
+    actor: client,
+    reason,
+    updates: {
+      cancellationFee: quote.cancellationFee,
+      refundAmount: quote.refundAmount,
+      isRefunded: quote.refundAmount > 0,
+      refundPending: quote.refundAmount > 0,
+      refundAttemptedAt: now,
+    },
+  });
+
+  return {
+    booking: cancelledBooking.refundPending ? await issueRefund(cancelledBooking, { now }) : cancelledBooking,
+    quote,
+  };
+};
+
+/**
+ * Extend a booking on behalf of its client. The extra time must fit within the spot's opening
+ * hours and capacity; it costs the difference between the quotes for the booking with and
+ * without the extra time, so daily caps apply across the whole stay, and it is paid
+ * before the booking's end and duration are moved. A checked-in client can extend after the
+ * booking's end until the overstay job has recorded an overstay.
+ * @param {string} bookingId - The booking ID.
+ * @param {Object} client - The client user.
+ * @param {Object} extension - The extension (additionalHours, paymentMethod: defaults to the booking's).
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the extended booking, the charge (the quote for the extended booking
+ *   with `previousTotal` and the `total` due for the extension) and the payment (null if free).
+ */
+const extendBooking = async (bookingId, client, { additionalHours, paymentMethod = null }, { now = new Date() } = {}) => {
+  const booking = await findClientBooking(bookingId, client);
+  if (!AvailabilityService.ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+    throw createHttpError(409, `A ${booking.status} booking cannot be extended`);
+  }
+  if (booking.overstay?.detectedAt) throw createHttpError(409, 'An overstay has already been recorded for this booking');
+  if (booking.bookingEnd <= now && !booking.checkInTime) throw createHttpError(409, 'This booking has already ended');
+
+  const currentEnd = booking.bookingEnd;
+  const newEnd = new Date(currentEnd.getTime() + additionalHours * HOUR_MS);
+  if (newEnd <= now) throw createHttpError(409, 'The extension must run past the current time');
+
+  const spot = await ParkingSpotRepository.findById(booking.parkingSpotId);
+  if (!spot) throw createHttpError(404, 'Parking spot not found');
+  AvailabilityService.assertSpotOpen(spot, currentEnd, newEnd);
+  const previousTotal = PricingService.quotePrice(spot, booking.bookingStart, currentEnd).total;
+  const quote = PricingService.quotePrice(spot, booking.bookingStart, newEnd);
+  const charge = {
+    ...quote,
+    previousTotal,
+    total: Math.max(PricingService.roundMoney(quote.total - previousTotal), 0),
+  };
+
+  const extension = await AvailabilityService.withSpotLock(spot._id, async () => {
+    await AvailabilityService.assertSpotAvailable(spot, currentEnd, newEnd, { excludeBookingId: booking._id });
+
+    const payment = charge.total > 0
+      ? await recordPayment({
+        userId: client._id,
+        bookingId: booking._id,
+        amount: charge.total,
+        paymentMethod: paymentMethod || booking.paymentMethod,
+        prefix: 'ext',
+        now,
+      })
+      : null;
+
+    const updated = await BookingRepository.extendBooking(booking._id, currentEnd, {
+      newEnd,
+      additionalHours,
+      charge: charge.total,
+      paymentId: payment ? payment._id : null,
+      extendedAt: now,
+    });
+    if (!updated) {
+      // The booking ended, changed or was flagged for overstay meanwhile: give the money back
+      if (payment) await PaymentRepository.processRefund(payment._id, payment.totalAmount, 'Booking extension failed');
+      return null;
+    }
+    return { booking: updated, payment };
+  });
+  if (!extension) {
+    // Waiting clients may have been kept out of the time checked for the extension
+    await WaitlistService.offerFreedCapacity(spot._id, currentEnd, newEnd, { now });
+    throw createHttpError(409, 'The booking was changed by another request, please try again');
+  }
+
+  await NotificationService.notifyUser(extension.booking.partnerId, {
+    type: 'booking',
+    message: `Booking ${booking._id} was extended until ${newEnd.toISOString()}.`,
+    metadata: { bookingId: booking._id },
+  });
+  return { ...extension, charge };
 };
 
 /**
- * Update the status of a booking with audit logging.
+ * Cancel a booking on behalf of its partner, an admin or the system. The client did not choose
+ * to cancel, so everything they paid is refunded whatever the booking's cancellation policy.
+ * @param {string} bookingId - The booking ID.
+ * @param {Object|null} actor - The user cancelling the booking, or null for system changes.
+ * @param {string} [reason] - Why the booking is cancelled.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the cancelled booking.
+ */
+const cancelBookingWithFullRefund = async (bookingId, actor = null, reason = null, { now = new Date() } = {}) => {
+  const payments = await PaymentRepository.findSuccessfulPaymentsByBookingId(bookingId);
+  const refundAmount = PricingService.roundMoney(
+    payments.reduce((sum, payment) => sum + payment.totalAmount - (payment.refundAmount || 0), 0)
+  );
+
+  const cancelledBooking = await transitionBooking(bookingId, 'cancelled', {
+    actor,
+    reason,
+    updates: {
+      cancellationFee: 0,
+      refundAmount,
+      isRefunded: refundAmount > 0,
+      refundPending: refundAmount > 0,
+      refundAttemptedAt: now,
+    },
+  });
+  return cancelledBooking.refundPending ? await issueRefund(cancelledBooking, { now }) : cancelledBooking;
+};
+
+/**
+ * Update the status of a booking through the booking state machine. Cancellations refund the
+ * client in full (see cancelBookingWithFullRefund).
  * @param {string} bookingId - The booking ID.
  * @param {string} status - The new booking status (e.g., confirmed, completed, cancelled).
- * @returns {Promise<Object|null>} - Returns the updated booking or null.
+ * @param {Object|null} actor - The user making the change, or null for system changes.
+ * @param {string} [reason] - Why the status changed.
+ * @returns {Promise<Object>} - Returns the updated booking.
  */
-const updateBookingStatus = async (bookingId, status) => {
-  const updatedBooking = await BookingRepository.updateBookingStatus(bookingId, status);
-  await logBookingAction(bookingId, `Status updated to ${status}`);
-  return updatedBooking;
+const updateBookingStatus = async (bookingId, status, actor = null, reason = null) => {
+  if (status === 'cancelled') return await cancelBookingWithFullRefund(bookingId, actor, reason);
+  return await transitionBooking(bookingId, status, { actor, reason });
 };
 
 /**
@@ -133,11 +680,23 @@ const logBookingAction = async (bookingId, action) => {
 
 module.exports = {
   createBooking,
+  getHold,
+  payForHold,
+  releaseHold,
   getBookingById,
   getAllBookings,
+  getBookingForUser,
+  listBookingsForUser,
   autoCancelExpiredBookings,
   updateBooking,
+  transitionBooking,
+  issueRefund,
+  retryPendingRefunds,
+  recordPayment,
+  getCancellationQuote,
   cancelBooking,
+  cancelBookingWithFullRefund,
+  extendBooking,
   updateBookingStatus,
   logBookingAction,
 };
@@ -0,0 +1,78 @@
+/**
+ * Booking State Machine - Defines how a booking may move between statuses and who may move it.
+ * 
+ *   pending   -> confirmed (partner, admin, system), cancelled (anyone), expired (admin, system)
+ *   confirmed -> completed (partner, admin, system), cancelled (client, partner, admin),
+ *                no-show (partner, admin, system)
+ * 
+ * completed, cancelled, expired and no-show are final. The write and the side effects of
+ * each transition live in BookingService.transitionBooking.
+ */
+
+const createHttpError = require('../utils/httpError');
+
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['partner', 'admin', 'system'],
+    cancelled: ['client', 'partner', 'admin', 'system'],
+    expired: ['admin', 'system'],
+  },
+  confirmed: {
+    completed: ['partner', 'admin', 'system'],
+    cancelled: ['client', 'partner', 'admin'],
+    'no-show': ['partner', 'admin', 'system'],
+  },
+  completed: {},
+  cancelled: {},
+  expired: {},
+  'no-show': {},
+};
+
+/**
+ * Map the user triggering a transition to a state machine actor.
+ * @param {Object|null} user - The user, or null for scheduled jobs and other system changes.
+ * @returns {string} - Returns 'client', 'partner', 'admin' or 'system'.
+ */
+const getActorRole = (user) => {
+  if (!user) return 'system';
+  return user.role === 'user' ? 'client' : user.role;
+};
+
+/**
+ * List the statuses an actor may move a booking to from its current status.
+ * @param {string} fromStatus - The current status.
+ * @param {string} actorRole - The actor (see getActorRole).
+ * @returns {Array<string>} - Returns the reachable statuses.
+ */
+const getAllowedTransitions = (fromStatus, actorRole) => {
+  return Object.entries(TRANSITIONS[fromStatus] || {})
+    .filter(([, actors]) => actors.includes(actorRole))
+    .map(([status]) => status);
+};
+
+/**
+ * Ensure a status change is allowed for the actor.
+ * @param {string} fromStatus - The current status.
+ * @param {string} toStatus - The requested status.
+ * @param {string} actorRole - The actor (see getActorRole).
+ * @returns {void} - Throws 409 for illegal transitions and 403 when the actor may not make the change.
+ */
+const assertTransition = (fromStatus, toStatus, actorRole) => {
+  if (!(toStatus in TRANSITIONS)) throw createHttpError(400, `Unknown booking status '${toStatus}'`);
+  if (fromStatus === toStatus) throw createHttpError(409, `Booking is already ${toStatus}`);
+
+  const actors = TRANSITIONS[fromStatus]?.[toStatus];
+  if (!actors) {
+    const allowed = Object.keys(TRANSITIONS[fromStatus] || {});
+    throw createHttpError(409, `A ${fromStatus} booking cannot be changed to ${toStatus}`, { allowedTransitions: allowed });
+  }
+  if (!actors.includes(actorRole)) {
+    throw createHttpError(403, `A ${actorRole} cannot change a booking from ${fromStatus} to ${toStatus}`);
+  }
+};
+
+module.exports = {
+  getActorRole,
+  getAllowedTransitions,
+  assertTransition,
+};
@@ -0,0 +1,48 @@
+/**
+ * Cancellation Policy Service - Works out cancellation fees and refunds for bookings.
+ * 
+ * Each booking carries a `cancellationPolicy` (flexible, moderate or strict). The refund
+ * tiers for each policy are set in config.cancellationPolicies; the tier that applies
+ * depends on how long before `bookingStart` the booking is cancelled.
+ */
+
+const PricingService = require('./PricingService');
+const config = require('../config');
+const createHttpError = require('../utils/httpError');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Calculate the fee and refund for cancelling a booking at a given moment.
+ * @param {Object} booking - The booking (cancellationPolicy, bookingStart, amountPaid).
+ * @param {Object} options - Options (paid: whether a successful payment exists; now: the cancellation time).
+ * @returns {Object} - Returns the quote: policy, hoursBeforeStart, refundPercent, refundAmount,
+ *   cancellationFee and validUntil (when a less generous tier starts to apply, or null).
+ */
+const quoteCancellation = (booking, { paid = true, now = new Date() } = {}) => {
+  const policy = booking.cancellationPolicy || 'moderate';
+  const tiers = config.cancellationPolicies[policy];
+  if (!tiers) throw createHttpError(500, `No cancellation tiers configured for policy '${policy}'`);
+
+  const start = new Date(booking.bookingStart).getTime();
+  const hoursBeforeStart = (start - now.getTime()) / HOUR_MS;
+  const tier = tiers.find((entry) => hoursBeforeStart >= entry.hoursBefore);
+  const refundPercent = tier ? tier.refundPercent : 0;
+
+  const amountPaid = paid ? booking.amountPaid || 0 : 0;
+  const refundAmount = PricingService.roundMoney((amountPaid * refundPercent) / 100);
+
+  return {
+    policy,
+    hoursBeforeStart: Math.round(hoursBeforeStart * 100) / 100,
+    amountPaid,
+    refundPercent,
+    refundAmount,
+    cancellationFee: PricingService.roundMoney(amountPaid - refundAmount),
+    validUntil: tier ? new Date(start - tier.hoursBefore * HOUR_MS) : null,
+  };
+};
+
+module.exports = {
+  quoteCancellation,
+};
@@ -0,0 +1,142 @@
+/**
+ * Check-In Service - Handles QR-code check-in and check-out for bookings.
+ * 
+ * The client app requests a signed, short-lived QR payload for its booking. Partner staff or
+ * a gate device signed in as the partner scan it: the payload is checked against the spot
+ * being scanned and the booking window, then the booking is checked in (updating the spot's
+ * live status) or checked out (completing the booking). Each step can only happen once, so
+ * a replayed code is rejected.
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const BookingRepository = require('../repositories/BookingRepository');
+const ParkingSpotRepository = require('../repositories/ParkingSpotRepository');
+const PartnerRepository = require('../repositories/PartnerRepository');
+const BookingService = require('./BookingService');
+const config = require('../config');
+const createHttpError = require('../utils/httpError');
+
+const QR_PURPOSE = 'booking_qr';
+const ACTIONS = ['check_in', 'check_out'];
+
+/**
+ * Issue a signed QR payload for checking a booking in or out.
+ * @param {string} bookingId - The booking ID.
+ * @param {Object} client - The client user who owns the booking.
+ * @param {string} action - 'check_in' or 'check_out'.
+ * @returns {Promise<Object>} - Returns the payload to encode in the QR code and when it expires.
+ */
+const issueQrCode = async (bookingId, client, action) => {
+  if (!ACTIONS.includes(action)) throw createHttpError(400, `action must be one of: ${ACTIONS.join(', ')}`);
+
+  const booking = await BookingRepository.findById(bookingId);
+  if (!booking || !booking.userId.equals(client._id)) throw createHttpError(404, 'Booking not found');
+  if (booking.status !== 'confirmed') throw createHttpError(409, `A ${booking.status} booking cannot be checked in or out`);
+  if (action === 'check_in' && booking.qrCodeUsed) throw createHttpError(409, 'This booking has already been checked in');
+  if (action === 'check_out' && !booking.checkInTime) throw createHttpError(409, 'This booking has not been checked in');
+
+  const payload = jwt.sign(
+    { purpose: QR_PURPOSE, action, bookingId: booking._id, spotId: booking.parkingSpotId },
+    config.jwtSecret,
+    { expiresIn: config.qrCode.ttl, jwtid: crypto.randomUUID() }
+  );
+  const { exp } = jwt.decode(payload);
+  return { payload, action, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Verify a scanned QR payload.
+ * @param {string} payload - The scanned payload.
+ * @returns {Object} - Returns the decoded claims.
+ */
+const decodeQrPayload = (payload) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(payload, config.jwtSecret);
+  } catch (err) {
+    throw createHttpError(401, err.name === 'TokenExpiredError' ? 'QR code has expired' : 'Invalid QR code');
+  }
+  if (decoded.purpose !== QR_PURPOSE || !ACTIONS.includes(decoded.action)) throw createHttpError(401, 'Invalid QR code');
+  return decoded;
+};
+
+/**
+ * Ensure the scanning user runs the parking spot (admins may scan anywhere).
+ * @param {Object} scanner - The partner or admin user scanning the code.
+ * @param {Object} spot - The parking spot being scanned.
+ * @returns {Promise<void>} - Throws 403 if the scanner does not own the spot.
+ */
+const assertCanScan = async (scanner, spot) => {
+  if (scanner.role === 'admin') return;
+  const partner = await PartnerRepository.findByUserId(scanner._id);
+  if (!partner || !partner._id.equals(spot.partnerId)) throw createHttpError(403, 'You cannot scan codes for this parking spot');
+};
+
+/**
+ * Check a booking in: mark its code as used and show the spot as occupied.
+ * @param {Object} booking - The booking.
+ * @param {Date} now - The scan time.
+ * @returns {Promise<Object>} - Returns the checked-in booking.
+ */
+const checkIn = async (booking, now) => {
+  const earliest = new Date(booking.bookingStart.getTime() - config.qrCode.checkInEarlyMinutes * 60 * 1000);
+  if (now < earliest) throw createHttpError(409, `Check-in opens at ${earliest.toISOString()}`);
+  if (now >= booking.bookingEnd) throw createHttpError(409, 'The booking has ended');
+
+  const checkedIn = await BookingRepository.markCheckedIn(booking._id, now);
+  if (!checkedIn) throw createHttpError(409, 'QR code has already been used');
+
+  await ParkingSpotRepository.setOccupied(booking.parkingSpotId, booking._id, now);
+  await BookingService.logBookingAction(booking._id, 'Checked in by QR code');
+  return checkedIn;
+};
+
+/**
+ * Check a booking out: complete it and free the spot's live status.
+ * @param {Object} booking - The booking.
+ * @param {Object} scanner - The partner or admin user scanning the code.
+ * @param {Date} now - The scan time.
+ * @returns {Promise<Object>} - Returns the completed booking.
+ */
+const checkOut = async (booking, scanner, now) => {
+  if (!booking.checkInTime) throw createHttpError(409, 'This booking has not been checked in');
+
+  // Completing the booking also clears the spot's live status
+  return await BookingService.transitionBooking(booking._id, 'completed', {
+    actor: scanner,
+    reason: 'Checked out by QR code',
+    updates: { checkOutTime: now },
+  });
+};
+
+/**
+ * Validate a scanned QR code against the spot and booking window, then check the booking in or out.
+ * @param {string} payload - The scanned payload.
+ * @param {string} parkingSpotId - The parking spot the scanner is at.
+ * @param {Object} scanner - The partner or admin user scanning the code.
+ * @param {Object} options - Options (now: the scan time).
+ * @returns {Promise<Object>} - Returns the action performed and the updated booking.
+ */
+const scanQrCode = async (payload, parkingSpotId, scanner, { now = new Date() } = {}) => {
+  const claims = decodeQrPayload(payload);
+  if (String(claims.spotId) !== String(parkingSpotId)) throw createHttpError(409, 'This QR code is for a different parking spot');
+
+  const spot = await ParkingSpotRepository.findById(parkingSpotId);
+  if (!spot) throw createHttpError(404, 'Parking spot not found');
+  await assertCanScan(scanner, spot);
+
+  const booking = await BookingRepository.findById(claims.bookingId);
+  if (!booking || !booking.parkingSpotId.equals(spot._id)) throw createHttpError(404, 'Booking not found');
+  if (booking.status !== 'confirmed') throw createHttpError(409, `A ${booking.status} booking cannot be checked in or out`);
+
+  const updatedBooking = claims.action === 'check_in'
+    ? await checkIn(booking, now)
+    : await checkOut(booking, scanner, now);
+  return { action: claims.action, booking: updatedBooking };
+};
+
+module.exports = {
+  issueQrCode,
+  scanQrCode,
+};
@@ -0,0 +1,236 @@
+/**
+ * Job Scheduler Service - Runs background jobs on cron schedules across app instances.
+ *
+ * Job handlers are registered in memory by every worker; the schedule, next run time and
+ * lock of each job live in MongoDB. A worker runs a job only after taking its lock with a
+ * conditional update, so a job runs on one pm2 worker at a time. A failed run is retried
+ * with exponential backoff up to `maxRetries` times before the job waits for its next
+ * scheduled run. Every run is recorded in the job run history.
+ */
+
+const os = require('os');
+const ScheduledJobRepository = require('../repositories/ScheduledJobRepository');
+const JobRunRepository = require('../repositories/JobRunRepository');
+const config = require('../config');
+const createHttpError = require('../utils/httpError');
+const { parseCron, getNextRun } = require('../utils/cron');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const handlers = new Map();
+
+/**
+ * Register a job handler for this process.
+ * @param {Object} job - The job (name, schedule as a five-field cron expression in UTC,
+ *   handler receiving { now } and returning a result summary, optional maxRetries,
+ *   retryBaseDelayMs and lockTtlMs overriding config.jobs).
+ * @returns {void}
+ */
+const registerJob = ({ name, schedule, handler, ...options }) => {
+  parseCron(schedule); // Fail at startup on a bad expression
+  handlers.set(name, {
+    name,
+    schedule,
+    handler,
+    maxRetries: options.maxRetries ?? config.jobs.maxRetries,
+    retryBaseDelayMs: options.retryBaseDelayMs ?? config.jobs.retryBaseDelayMs,
+    lockTtlMs: options.lockTtlMs ?? config.jobs.lockTtlMs,
+  });
+};
+
+/**
+ * Store the registered jobs that are not in the database yet, and pick up schedule changes.
+ * @param {Date} now - The current time.
+ * @returns {Promise<void>} - Creates or updates the job definitions.
+ */
+const syncJobDefinitions = async (now) => {
+  for (const job of handlers.values()) {
+    const stored = await ScheduledJobRepository.createJob({
+      name: job.name,
+      schedule: job.schedule,
+      nextRunAt: getNextRun(job.schedule, now),
+    });
+    if (stored.schedule !== job.schedule) {
+      await ScheduledJobRepository.updateJob(job.name, {
+        schedule: job.schedule,
+        nextRunAt: getNextRun(job.schedule, now),
+      });
+    }
+  }
+};
+
+/**
+ * Work out when a job runs next after a run, and the failure count to store.
+ * @param {Object} job - The registered job.
+ * @param {number} attempt - The attempt that just finished.
+ * @param {boolean} failed - Whether the run failed.
+ * @param {Date} now - The time the run finished.
+ * @returns {Object} - Returns { nextRunAt, failureCount }.
+ */
+const planNextRun = (job, attempt, failed, now) => {
+  if (failed && attempt <= job.maxRetries) {
+    const delayMs = job.retryBaseDelayMs * 2 ** (attempt - 1);
+    return { nextRunAt: new Date(now.getTime() + delayMs), failureCount: attempt };
+  }
+  return { nextRunAt: getNextRun(job.schedule, now), failureCount: 0 };
+};
+
+/**
+ * Run a job whose lock this worker holds, record the run and release the lock.
+ * @param {Object} job - The registered job.
+ * @param {Object} lockedJob - The stored job, as returned when the lock was taken.
+ * @param {Object} options - Options (trigger, triggeredBy, now: function returning the current time).
+ * @returns {Promise<Object>} - Returns the finished run.
+ */
+const runJob = async (job, lockedJob, { trigger, triggeredBy = null, now }) => {
+  const startedAt = now();
+  const isManual = trigger === 'manual';
+  const attempt = isManual ? 1 : lockedJob.failureCount + 1;
+  const run = await JobRunRepository.createRun({
+    jobName: job.name,
+    trigger: isManual || lockedJob.failureCount === 0 ? trigger : 'retry',
+    triggeredBy,
+    attempt,
+    workerId,
+    startedAt,
+    expiresAt: new Date(startedAt.getTime() + config.jobs.historyRetentionDays * DAY_MS),
+  });
+
+  let result = null;
+  let error = null;
+  try {
+    result = (await job.handler({ now: startedAt })) ?? null;
+  } catch (err) {
+    error = err;
+    console.error(`Job ${job.name} failed:`, err.message);
+  }
+
+  const finishedAt = now();
+  const outcome = {
+    lastFinishedAt: finishedAt,
+    lastStatus: error ? 'failed' : 'succeeded',
+    lastError: error ? error.message : null,
+  };
+  // A manual run leaves the schedule and any pending retry as they were
+  const released = await ScheduledJobRepository.releaseLock(job.name, workerId, isManual
+    ? outcome
+    : { ...outcome, ...planNextRun(job, attempt, Boolean(error), finishedAt) });
+  if (!released) console.warn(`Job ${job.name} lock expired before the run finished`);
+
+  return await JobRunRepository.finishRun(run._id, {
+    status: outcome.lastStatus,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    result,
+    error: outcome.lastError,
+  });
+};
+
+/**
+ * Run every registered job that is due and not locked by another worker.
+ * @param {Object} options - Options (now: function returning the current time).
+ * @returns {Promise<Array>} - Returns the runs made by this worker.
+ */
+const runDueJobs = async ({ now = () => new Date() } = {}) => {
+  const runs = [];
+  for (const job of handlers.values()) {
+    const lockedJob = await ScheduledJobRepository.acquireLock(job.name, workerId, now(), job.lockTtlMs);
+    if (lockedJob) runs.push(await runJob(job, lockedJob, { trigger: 'schedule', now }));
+  }
+  return runs;
+};
+
+/**
+ * Run a job immediately on behalf of an admin, whether or not it is due or enabled.
+ * @param {string} name - The job name.
+ * @param {Object} admin - The admin user triggering the run.
+ * @param {Object} options - Options (now: function returning the current time).
+ * @returns {Promise<Object>} - Returns the finished run.
+ */
+const triggerJob = async (name, admin, { now = () => new Date() } = {}) => {
+  const job = handlers.get(name);
+  if (!job) throw createHttpError(404, 'Job not found');
+
+  await syncJobDefinitions(now());
+  const lockedJob = await ScheduledJobRepository.acquireLock(name, workerId, now(), job.lockTtlMs, { dueOnly: false });
+  if (!lockedJob) throw createHttpError(409, 'Job is already running');
+
+  return await runJob(job, lockedJob, { trigger: 'manual', triggeredBy: admin._id, now });
+};
+
+/**
+ * List the scheduled jobs with their state and most recent run.
+ * @returns {Promise<Array>} - Returns the jobs.
+ */
+const listJobs = async () => {
+  const jobs = await ScheduledJobRepository.listJobs();
+  return await Promise.all(jobs.map(async (job) => {
+    const [lastRun] = await JobRunRepository.findRecentRuns(job.name, { limit: 1 });
+    return {
+      name: job.name,
+      schedule: job.schedule,
+      enabled: job.enabled,
+      registered: handlers.has(job.name),
+      nextRunAt: job.nextRunAt,
+      running: Boolean(job.lock && job.lock.expiresAt && job.lock.expiresAt > new Date()),
+      failureCount: job.failureCount,
+      lastRunAt: job.lastRunAt,
+      lastFinishedAt: job.lastFinishedAt,
+      lastStatus: job.lastStatus,
+      lastError: job.lastError,
+      lastRun: lastRun || null,
+    };
+  }));
+};
+
+/**
+ * Get the run history of a job, newest first.
+ * @param {string} name - The job name.
+ * @param {Object} options - Pagination options (page, limit).
+ * @returns {Promise<Array>} - Returns the runs.
+ */
+const getJobRuns = async (name, options = {}) => {
+  const job = await ScheduledJobRepository.findByName(name);
+  if (!job) throw createHttpError(404, 'Job not found');
+  return await JobRunRepository.findRecentRuns(name, options);
+};
+
+/**
+ * Start polling for due jobs in this process.
+ * @param {Object} options - Options (now: function returning the current time, pollIntervalMs).
+ * @returns {Object} - Returns the poll timer, so callers can stop it with clearInterval.
+ */
+const startScheduler = ({ now = () => new Date(), pollIntervalMs = config.jobs.pollIntervalMs } = {}) => {
+  let synced = false;
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return; // The previous poll is still running jobs
+    polling = true;
+    try {
+      if (!synced) {
+        await syncJobDefinitions(now());
+        synced = true;
+      }
+      await runDueJobs({ now });
+    } catch (err) {
+      console.error('Job scheduler poll failed:', err.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  registerJob,
+  runDueJobs,
+  triggerJob,
+  listJobs,
+  getJobRuns,
+  startScheduler,
+};
@@ -0,0 +1,24 @@
+/**
+ * Mail Service - Handles outbound transactional email.
+ * 
+ * No mail provider is configured yet, so messages are written to the console.
+ * Callers should only depend on `sendMail` so a real transport can be swapped in.
+ */
+
+const config = require('../config');
+
+/**
+ * Send a transactional email.
+ * @param {Object} message - The message details.
+ * @param {string} message.to - The recipient address.
+ * @param {string} message.subject - The email subject.
+ * @param {string} message.text - The plain text body.
+ * @returns {Promise<void>} - Resolves once the message has been handed off.
+ */
+const sendMail = async ({ to, subject, text }) => {
+  console.log(`[mail] from=${config.mailFrom} to=${to} subject="${subject}"\n${text}`);
+};
+
+module.exports = {
+  sendMail,
+};
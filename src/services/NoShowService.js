@@ -0,0 +1,151 @@
+/**
+ * No-Show Service - Marks confirmed bookings that are never checked in as no-shows.
+ *
+ * A confirmed booking is a no-show once its no-show window (set per spot by the partner, or
+ * config.noShow.defaultWindowMinutes) has passed after `bookingStart` without a check-in.
+ * Marking it frees its space for the rest of the booking, since only pending and confirmed
+ * bookings count against capacity. The no-show fee is what cancelling at `bookingStart` would
+ * have cost under the booking's cancellation policy: a paid booking keeps the fee and refunds
+ * the rest, an unpaid one is fined the fee. Clients with repeated no-shows get a higher `fraudScore`.
+ *
+ * Bookings are marked with a conditional status change, so a booking that fails before it is
+ * marked is picked up again by the next run. The refund owed is recorded with the status change
+ * and retried if it fails (see BookingService.retryPendingRefunds). Failures are listed in the run result.
+ */
+
+const BookingRepository = require('../repositories/BookingRepository');
+const ParkingSpotRepository = require('../repositories/ParkingSpotRepository');
+const PartnerRepository = require('../repositories/PartnerRepository');
+const PaymentRepository = require('../repositories/PaymentRepository');
+const ClientRepository = require('../repositories/ClientRepository');
+const BookingService = require('./BookingService');
+const CancellationPolicyService = require('./CancellationPolicyService');
+const PenaltyService = require('./PenaltyService');
+const config = require('../config');
+const createHttpError = require('../utils/httpError');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Get the no-show window of a parking spot.
+ * @param {Object|null} spot - The parking spot.
+ * @returns {number} - Returns the minutes after bookingStart a client has to check in.
+ */
+const getNoShowWindow = (spot) => spot?.noShowWindowMinutes ?? config.noShow.defaultWindowMinutes;
+
+/**
+ * Raise the client's fraud score if this is a repeated no-show.
+ * @param {Object} booking - The no-show booking.
+ * @param {Date} now - The current time.
+ * @returns {Promise<boolean>} - Returns true if the fraud score was raised.
+ */
+const recordRepeatNoShow = async (booking, now) => {
+  const { repeatThreshold, repeatLookbackDays, fraudScoreIncrement } = config.noShow;
+  const noShows = await BookingRepository.countBookings({
+    userId: booking.userId,
+    status: 'no-show',
+    bookingStart: { $gte: new Date(now.getTime() - repeatLookbackDays * DAY_MS) },
+  });
+  if (noShows < repeatThreshold) return false;
+
+  await ClientRepository.incrementFraudScoreByUserId(booking.userId, fraudScoreIncrement);
+  return true;
+};
+
+/**
+ * Mark one booking as a no-show and charge the no-show fee.
+ * @param {Object} booking - The booking.
+ * @param {number} windowMinutes - The spot's no-show window.
+ * @param {Date} now - The current time.
+ * @returns {Promise<Object|null>} - Returns the no-show booking, or null if it was checked in or changed meanwhile.
+ */
+const handleNoShow = async (booking, windowMinutes, now) => {
+  const paid = Boolean(await PaymentRepository.findSuccessfulByBookingId(booking._id));
+  const quote = CancellationPolicyService.quoteCancellation(booking, { now: booking.bookingStart });
+
+  let noShowBooking;
+  try {
+    noShowBooking = await BookingService.transitionBooking(booking._id, 'no-show', {
+      reason: `Not checked in within ${windowMinutes} minutes of the booking start`,
+      updates: {
+        cancellationFee: quote.cancellationFee,
+        refundAmount: paid ? quote.refundAmount : 0,
+        isRefunded: paid && quote.refundAmount > 0,
+        refundPending: paid && quote.refundAmount > 0,
+        refundAttemptedAt: now,
+      },
+      // A check-in that lands first keeps the booking
+      conditions: { checkInTime: null },
+    });
+  } catch (err) {
+    if (err.statusCode === 409) return null;
+    throw err;
+  }
+
+  if (noShowBooking.refundPending) {
+    noShowBooking = await BookingService.issueRefund(noShowBooking, { now });
+  } else if (!paid && quote.cancellationFee > 0) {
+    await PenaltyService.issuePenalty({
+      userId: booking.userId,
+      bookingId: booking._id,
+      parkingSpotId: booking.parkingSpotId,
+      violationType: 'no-show',
+      fineAmount: quote.cancellationFee,
+      issuedAt: now,
+      resolutionHistory: [{ action: 'issued', notes: `Automatic no-show fee under ${quote.policy} policy`, date: now }],
+    });
+  }
+
+  if (await recordRepeatNoShow(booking, now)) {
+    await BookingService.logBookingAction(booking._id, 'Repeated no-show, client fraud score raised');
+  }
+  return noShowBooking;
+};
+
+/**
+ * Find confirmed bookings whose no-show window has passed without a check-in and mark each one.
+ * @param {Object} options - Options (now: the current time, from the caller's clock).
+ * @returns {Promise<Object>} - Returns the number of bookings checked and marked as no-shows, and the
+ *   bookings that could not be handled (bookingId, error).
+ */
+const detectNoShows = async ({ now = new Date() } = {}) => {
+  const { defaultWindowMinutes, minWindowMinutes, batchSize } = config.noShow;
+  const candidates = await BookingRepository.findDueNoShows(now, { defaultWindowMinutes, minWindowMinutes }, batchSize);
+
+  let marked = 0;
+  const failed = [];
+  for (const booking of candidates) {
+    try {
+      await BookingRepository.updateBooking(booking._id, { noShowAttemptedAt: now });
+      if (await handleNoShow(booking, booking.noShowWindowMinutes, now)) marked++;
+    } catch (err) {
+      failed.push({ bookingId: booking._id, error: err.message });
+    }
+  }
+  return { checked: candidates.length, marked, failed };
+};
+
+/**
+ * Set how long after bookingStart clients of a parking spot have to check in.
+ * @param {string} spotId - The parking spot ID.
+ * @param {Object} user - The partner who owns the spot, or an admin.
+ * @param {number|null} windowMinutes - The window in minutes, or null for the default.
+ * @returns {Promise<Object>} - Returns the spot ID and its no-show window.
+ */
+const setNoShowWindow = async (spotId, user, windowMinutes) => {
+  const spot = await ParkingSpotRepository.findById(spotId);
+  if (!spot) throw createHttpError(404, 'Parking spot not found');
+  if (user.role !== 'admin') {
+    const partner = await PartnerRepository.findByUserId(user._id);
+    if (!partner || !spot.partnerId.equals(partner._id)) throw createHttpError(403, 'You can only manage your own parking spots');
+  }
+
+  const updatedSpot = await ParkingSpotRepository.updateParkingSpot(spot._id, { noShowWindowMinutes: windowMinutes });
+  return { parkingSpotId: updatedSpot._id, noShowWindowMinutes: getNoShowWindow(updatedSpot) };
+};
+
+module.exports = {
+  detectNoShows,
+  setNoShowWindow,
+};
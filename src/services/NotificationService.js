@@ -0,0 +1,36 @@
+/**
+ * Notification Service - Handles in-app notifications sent to users.
+ * 
+ * Notifications are stored with the Notification model and shown to users in the app.
+ * Delivery failures are logged rather than thrown, so a notification problem never
+ * rolls back the booking, payment or penalty change that triggered it.
+ */
+
+const NotificationRepository = require('../repositories/NotificationRepository');
+
+/**
+ * Send an in-app notification to a user.
+ * @param {string} userId - The recipient user ID.
+ * @param {Object} notification - The notification (type, message, priority, actionLink, metadata, expiresAt).
+ * @returns {Promise<Object|null>} - Returns the stored notification, or null if it could not be stored.
+ */
+const notifyUser = async (userId, { type, message, priority = 'normal', actionLink = null, metadata = {}, expiresAt = null }) => {
+  try {
+    return await NotificationRepository.createNotification({
+      userId,
+      type,
+      message,
+      priority,
+      actionLink,
+      metadata,
+      expiresAt,
+    });
+  } catch (err) {
+    console.error(`Failed to notify user ${userId}:`, err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  notifyUser,
+};
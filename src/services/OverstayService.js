@@ -0,0 +1,115 @@
+/**
+ * Overstay Service - Detects checked-in bookings that stay past their end time and penalises them.
+ * 
+ * A booking overstays once it is still checked in `graceMinutes` after `bookingEnd`. Each
+ * overstay is flagged on the booking and the spot's live status, fined with the spot's
+ * 'overstay' penalty rule and reported to the client. Bookings are claimed atomically, so
+ * concurrent runs on several workers never penalise a booking twice. If handling a booking
+ * fails before its penalty is issued, the claim is released so the next run retries it; the
+ * failures are listed in the run result.
+ * 
+ * The current time is passed in by the caller, so runs can be driven by a fake clock
+ * (see tests/services/OverstayService.test.js).
+ */
+
+const BookingRepository = require('../repositories/BookingRepository');
+const ParkingSpotRepository = require('../repositories/ParkingSpotRepository');
+const PenaltyRepository = require('../repositories/PenaltyRepository');
+const PenaltyService = require('./PenaltyService');
+const NotificationService = require('./NotificationService');
+const BookingService = require('./BookingService');
+const config = require('../config');
+
+/**
+ * Look up the fine a parking spot charges for overstaying.
+ * @param {Object|null} spot - The parking spot.
+ * @returns {number|null} - Returns the fine, or null if the spot has no overstay rule.
+ */
+const getOverstayFine = (spot) => {
+  const rule = (spot?.penaltyRules || []).find((entry) => entry.violation.trim().toLowerCase() === 'overstay');
+  return rule ? rule.fineAmount : null;
+};
+
+/**
+ * Flag, penalise and report one overstayed booking.
+ * @param {Object} booking - The claimed booking.
+ * @param {Date} now - The detection time.
+ * @returns {Promise<Object|null>} - Returns the issued penalty, or null if the spot has no overstay fine.
+ *   An error thrown once the penalty is issued carries its `penaltyId`.
+ */
+const handleOverstay = async (booking, now) => {
+  const spot = await ParkingSpotRepository.findById(booking.parkingSpotId);
+  await ParkingSpotRepository.flagOverstay(booking.parkingSpotId, booking._id);
+
+  const minutesOver = Math.round((now - booking.bookingEnd) / (60 * 1000));
+  const fineAmount = getOverstayFine(spot);
+  if (fineAmount === null) {
+    await BookingService.logBookingAction(booking._id, `Overstay detected (${minutesOver} minutes), no overstay penalty rule set`);
+    return null;
+  }
+
+  const penalty = await PenaltyService.issuePenalty({
+    userId: booking.userId,
+    bookingId: booking._id,
+    parkingSpotId: booking.parkingSpotId,
+    violationType: 'overstay',
+    fineAmount,
+    issuedAt: now,
+    resolutionHistory: [{ action: 'issued', notes: `Automatic overstay penalty, ${minutesOver} minutes past booking end`, date: now }],
+  });
+  try {
+    await BookingRepository.updateBooking(booking._id, { 'overstay.penaltyId': penalty._id });
+    await BookingService.logBookingAction(booking._id, `Overstay detected (${minutesOver} minutes), penalty ${penalty._id} issued`);
+
+    const notification = await NotificationService.notifyUser(booking.userId, {
+      type: 'penalty',
+      priority: 'high',
+      message: `Your booking at ${spot ? spot.name : 'your parking spot'} ended ${minutesOver} minutes ago. An overstay fine of ${fineAmount} has been issued.`,
+      metadata: { bookingId: booking._id, penaltyId: penalty._id },
+    });
+    await PenaltyRepository.updatePenalty(penalty._id, { notificationStatus: notification ? 'sent' : 'failed' });
+  } catch (err) {
+    err.penaltyId = penalty._id;
+    throw err;
+  }
+  return penalty;
+};
+
+/**
+ * Find checked-in bookings past their end time plus the grace period and penalise each one once.
+ * @param {Object} options - Options (now: the current time, from the caller's clock).
+ * @returns {Promise<Object>} - Returns the number of overstays detected and penalties issued, and
+ *   the bookings that could not be handled (bookingId, penaltyId if one was issued, error).
+ */
+const detectOverstays = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - config.overstay.graceMinutes * 60 * 1000);
+  const candidates = await BookingRepository.findOverstayedBookings(cutoff, config.overstay.batchSize);
+
+  let detected = 0;
+  let penalised = 0;
+  const failed = [];
+  for (const candidate of candidates) {
+    // Another worker may have claimed the booking since it was listed
+    const booking = await BookingRepository.claimOverstay(candidate._id, now);
+    if (!booking) continue;
+
+    try {
+      if (await handleOverstay(booking, now)) penalised++;
+      detected++;
+    } catch (err) {
+      // Once the penalty is issued the booking stays flagged, so it is never fined twice
+      if (err.penaltyId) {
+        detected++;
+        penalised++;
+      } else {
+        await BookingRepository.releaseOverstayClaim(booking._id, now);
+      }
+      failed.push({ bookingId: booking._id, penaltyId: err.penaltyId || null, error: err.message });
+    }
+  }
+  return { detected, penalised, failed };
+};
+
+module.exports = {
+  detectOverstays,
+};
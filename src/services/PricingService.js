@@ -0,0 +1,159 @@
+/**
+ * Pricing Service - Works out what parking at a spot costs for a time window, as a quote
+ * broken into line items. Every booking price is worked out here, never taken from the client.
+ *
+ * - Time is charged at the spot's hourly rate, or at `specialEventPricing.adjustedRate` while
+ *   special event pricing is enabled.
+ * - When peak hour pricing is enabled, time inside the spot's peak window (local 'HH:MM' times
+ *   in the spot's timezone, which may wrap past midnight) is charged at that rate plus
+ *   `increasePercentage`; the rest of the time is off-peak.
+ * - When the spot has a daily rate, the time charged in each 24 hours from the start of the
+ *   window is capped at the daily rate, where that is cheaper.
+ * - `pushUpPrice` is a temporary increase added to every hour, on top of any daily cap.
+ */
+
+const AvailabilityService = require('./AvailabilityService');
+
+const MINUTE_MS = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_MS = MINUTES_PER_DAY * MINUTE_MS;
+
+/**
+ * Round a money amount to two decimal places.
+ * @param {number} amount - The amount.
+ * @returns {number} - Returns the rounded amount.
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Convert a 24-hour 'HH:MM' time to minutes after midnight.
+ * @param {string} time - The time.
+ * @returns {number} - Returns the minute of the day.
+ */
+const parseTimeOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Count how many minutes of a time window fall inside a spot's daily peak window.
+ * @param {Object} peak - The spot's peak hour pricing (startTime, endTime).
+ * @param {string} timezone - The spot's IANA timezone.
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @returns {number} - Returns the number of peak minutes.
+ */
+const getPeakMinutes = (peak, timezone, start, end) => {
+  const peakStart = parseTimeOfDay(peak.startTime);
+  const peakEnd = parseTimeOfDay(peak.endTime);
+  if (peakStart === peakEnd) return 0;
+  const isPeak = (minute) => (peakStart < peakEnd
+    ? minute >= peakStart && minute < peakEnd
+    : minute >= peakStart || minute < peakEnd);
+
+  let peakMinutes = 0;
+  let cursor = start.getTime();
+  // Walk the window from one peak boundary (or local midnight) to the next
+  while (cursor < end.getTime()) {
+    const minute = AvailabilityService.getLocalTime(new Date(cursor), timezone).minuteOfDay;
+    const boundaries = [peakStart, peakEnd, MINUTES_PER_DAY].map((boundary) => (boundary > minute ? boundary : boundary + MINUTES_PER_DAY));
+    const segmentEnd = Math.min(end.getTime(), cursor + (Math.min(...boundaries) - minute) * MINUTE_MS);
+    if (isPeak(minute)) peakMinutes += (segmentEnd - cursor) / MINUTE_MS;
+    cursor = segmentEnd;
+  }
+  return peakMinutes;
+};
+
+/**
+ * Quote the price of parking at a spot for a time window.
+ * @param {Object} spot - The parking spot (pricing, operatingHours.timezone).
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @returns {Object} - Returns the hours, peak and off-peak hours, the rate charged, the line items
+ *   (type, description, quantity, unit, rate, amount) and the total.
+ */
+const quotePrice = (spot, start, end) => {
+  start = new Date(start);
+  end = new Date(end);
+  const { hourlyRate, dailyRate, peakHourPricing: peak, specialEventPricing: event, pushUpPrice } = spot.pricing;
+  const timezone = spot.operatingHours?.timezone || 'UTC';
+  const eventRate = event?.enabled && event.adjustedRate > 0 ? event.adjustedRate : null;
+  const rate = eventRate ?? hourlyRate;
+  const peakRate = rate * (1 + (peak?.enabled ? peak.increasePercentage || 0 : 0) / 100);
+
+  let peakMinutes = 0;
+  let offPeakMinutes = 0;
+  let capSaving = 0;
+  let cappedDays = 0;
+  for (let dayStart = start.getTime(); dayStart < end.getTime(); dayStart += DAY_MS) {
+    const dayEnd = Math.min(dayStart + DAY_MS, end.getTime());
+    const dayPeakMinutes = peak?.enabled ? getPeakMinutes(peak, timezone, new Date(dayStart), new Date(dayEnd)) : 0;
+    const dayOffPeakMinutes = (dayEnd - dayStart) / MINUTE_MS - dayPeakMinutes;
+    peakMinutes += dayPeakMinutes;
+    offPeakMinutes += dayOffPeakMinutes;
+
+    const dayCharge = (dayOffPeakMinutes / 60) * rate + (dayPeakMinutes / 60) * peakRate;
+    if (dailyRate > 0 && dailyRate < dayCharge) {
+      capSaving += dayCharge - dailyRate;
+      cappedDays++;
+    }
+  }
+
+  const hours = (peakMinutes + offPeakMinutes) / 60;
+  const rateName = eventRate != null ? `${event.eventName || 'Special event'} rate` : 'Standard rate';
+  const lineItems = [];
+  if (offPeakMinutes > 0) {
+    lineItems.push({
+      type: peak?.enabled ? 'off_peak' : 'standard',
+      description: peak?.enabled ? `${rateName}, off-peak` : rateName,
+      quantity: offPeakMinutes / 60,
+      unit: 'hour',
+      rate,
+      amount: roundMoney((offPeakMinutes / 60) * rate),
+    });
+  }
+  if (peakMinutes > 0) {
+    lineItems.push({
+      type: 'peak',
+      description: `${rateName}, peak hours (+${peak.increasePercentage || 0}%)`,
+      quantity: peakMinutes / 60,
+      unit: 'hour',
+      rate: roundMoney(peakRate),
+      amount: roundMoney((peakMinutes / 60) * peakRate),
+    });
+  }
+  if (cappedDays > 0) {
+    lineItems.push({
+      type: 'daily_cap',
+      description: `Capped at the daily rate of ${dailyRate}`,
+      quantity: cappedDays,
+      unit: 'day',
+      rate: dailyRate,
+      amount: -roundMoney(capSaving),
+    });
+  }
+  if (pushUpPrice > 0 && hours > 0) {
+    lineItems.push({
+      type: 'push_up',
+      description: 'Temporary price increase',
+      quantity: hours,
+      unit: 'hour',
+      rate: pushUpPrice,
+      amount: roundMoney(hours * pushUpPrice),
+    });
+  }
+
+  return {
+    hours,
+    peakHours: peakMinutes / 60,
+    offPeakHours: offPeakMinutes / 60,
+    hourlyRate: rate,
+    lineItems,
+    total: roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0)),
+  };
+};
+
+module.exports = {
+  roundMoney,
+  quotePrice,
+};
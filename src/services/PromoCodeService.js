@@ -0,0 +1,205 @@
+/**
+ * Promo Code Service - Applies promo code discounts to bookings and manages the codes.
+ *
+ * A code is checked and its discount worked out when the client starts a booking, and the
+ * discounted price is held with the checkout hold (see BookingService.createBooking). The use
+ * is only counted when the hold is paid for: the code's usage limit and the client's limit are
+ * enforced then with atomic counters, so two checkouts cannot both take the last use. Uses are not given back
+ * when a booking is later cancelled.
+ */
+
+const PromoCodeRepository = require('../repositories/PromoCodeRepository');
+const PromoRedemptionRepository = require('../repositories/PromoRedemptionRepository');
+const PromoUsageRepository = require('../repositories/PromoUsageRepository');
+const BookingRepository = require('../repositories/BookingRepository');
+const PricingService = require('./PricingService');
+const createHttpError = require('../utils/httpError');
+
+// Bookings that count towards a client's booking history for first-booking codes
+const BOOKED_STATUSES = ['pending', 'confirmed', 'completed', 'no-show'];
+
+/**
+ * Work out the discount a promo code gives on an amount.
+ * @param {Object} promoCode - The promo code (discountType, discountValue, maxDiscount).
+ * @param {number} amount - The booking price.
+ * @returns {number} - Returns the discount, never more than the amount.
+ */
+const calculateDiscount = (promoCode, amount) => {
+  let discount = promoCode.discountType === 'percentage'
+    ? amount * promoCode.discountValue / 100
+    : promoCode.discountValue;
+  if (promoCode.maxDiscount != null) discount = Math.min(discount, promoCode.maxDiscount);
+  return PricingService.roundMoney(Math.min(discount, amount));
+};
+
+/**
+ * Check a promo code can be used by a client on a booking and work out the discount.
+ * @param {string} code - The promo code.
+ * @param {Object} booking - The booking (userId, spot: the parking spot, amount: the price before discount).
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the discount breakdown (promoCodeId, code, discountType,
+ *   discountValue, amountBeforeDiscount, discountAmount).
+ */
+const applyPromoCode = async (code, { userId, spot, amount }, { now = new Date() } = {}) => {
+  const promoCode = await PromoCodeRepository.findByCode(code);
+  if (!promoCode) throw createHttpError(404, 'Promo code not found');
+
+  if (promoCode.status !== 'active') throw createHttpError(400, 'This promo code is no longer active');
+  if (promoCode.validFrom > now) throw createHttpError(400, 'This promo code is not valid yet');
+  if (promoCode.validUntil && promoCode.validUntil <= now) throw createHttpError(400, 'This promo code has expired');
+  if (promoCode.usageLimit != null && promoCode.redemptionCount >= promoCode.usageLimit) {
+    throw createHttpError(400, 'This promo code has been fully used');
+  }
+  if (amount < promoCode.minSpend) {
+    throw createHttpError(400, `This promo code needs a minimum spend of ${promoCode.minSpend}`);
+  }
+  if (promoCode.parkingSpotIds.length && !promoCode.parkingSpotIds.some((id) => id.equals(spot._id))) {
+    throw createHttpError(400, 'This promo code cannot be used at this parking spot');
+  }
+  if (promoCode.partnerIds.length && !promoCode.partnerIds.some((id) => id.equals(spot.partnerId))) {
+    throw createHttpError(400, 'This promo code cannot be used at this parking spot');
+  }
+  if (promoCode.firstBookingOnly
+    && await BookingRepository.countBookings({ userId, status: { $in: BOOKED_STATUSES } }) > 0) {
+    throw createHttpError(400, 'This promo code is only valid on your first booking');
+  }
+  if (promoCode.perUserLimit != null
+    && await PromoUsageRepository.countUses(promoCode._id, userId) >= promoCode.perUserLimit) {
+    throw createHttpError(400, 'You have already used this promo code');
+  }
+
+  return {
+    promoCodeId: promoCode._id,
+    code: promoCode.code,
+    discountType: promoCode.discountType,
+    discountValue: promoCode.discountValue,
+    amountBeforeDiscount: amount,
+    discountAmount: calculateDiscount(promoCode, amount),
+  };
+};
+
+/**
+ * Count a use of a promo code for a booking being paid for. The usage limits are checked
+ * again, since other bookings may have used the code since its discount was worked out; both
+ * counts are raised with conditional updates, so concurrent payments cannot pass either limit.
+ * @param {Object} discount - The discount breakdown from applyPromoCode.
+ * @param {string} userId - The client's user ID.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the redemption.
+ */
+const redeemPromoCode = async (discount, userId, { now = new Date() } = {}) => {
+  const promoCode = await PromoCodeRepository.findById(discount.promoCodeId);
+  if (!promoCode) throw createHttpError(409, 'This promo code is no longer available, please book again without it');
+  if (!(await PromoUsageRepository.incrementUses(promoCode._id, userId, promoCode.perUserLimit))) {
+    throw createHttpError(409, 'You have already used this promo code');
+  }
+  if (!(await PromoCodeRepository.incrementRedemptions(promoCode._id))) {
+    await PromoUsageRepository.decrementUses(promoCode._id, userId);
+    throw createHttpError(409, 'This promo code is no longer available, please book again without it');
+  }
+
+  return await PromoRedemptionRepository.createRedemption({
+    promoCodeId: discount.promoCodeId,
+    userId,
+    amountBeforeDiscount: discount.amountBeforeDiscount,
+    discountAmount: discount.discountAmount,
+    redeemedAt: now,
+  });
+};
+
+/**
+ * Link a redemption to the booking made with it.
+ * @param {string} redemptionId - The redemption ID.
+ * @param {string} bookingId - The booking ID.
+ * @returns {Promise<Object|null>} - Returns the updated redemption or null.
+ */
+const linkRedemption = async (redemptionId, bookingId) => {
+  return await PromoRedemptionRepository.updateRedemption(redemptionId, { bookingId });
+};
+
+/**
+ * Undo a redemption for a booking that could not be made.
+ * @param {Object} redemption - The redemption.
+ * @returns {Promise<void>} - Deletes the redemption and gives the use back.
+ */
+const cancelRedemption = async (redemption) => {
+  await PromoRedemptionRepository.deleteRedemption(redemption._id);
+  await PromoCodeRepository.decrementRedemptions(redemption.promoCodeId);
+  await PromoUsageRepository.decrementUses(redemption.promoCodeId, redemption.userId);
+};
+
+/**
+ * Create a promo code.
+ * @param {Object} promoCodeData - The promo code details.
+ * @param {Object} admin - The admin creating the code.
+ * @returns {Promise<Object>} - Returns the promo code.
+ */
+const createPromoCode = async (promoCodeData, admin) => {
+  if (await PromoCodeRepository.findByCode(promoCodeData.code)) {
+    throw createHttpError(409, 'A promo code with this code already exists');
+  }
+  return await PromoCodeRepository.createPromoCode({ ...promoCodeData, createdBy: admin._id });
+};
+
+/**
+ * List promo codes.
+ * @param {Object} filters - Filters (status).
+ * @param {Object} options - Pagination options (page, limit).
+ * @returns {Promise<Array>} - Returns the promo codes, newest first.
+ */
+const listPromoCodes = async ({ status } = {}, options = {}) => {
+  return await PromoCodeRepository.searchPromoCodes(status ? { status } : {}, options);
+};
+
+/**
+ * Disable a promo code so it can no longer be applied. Checkouts already holding its
+ * discount cannot be paid for with it either.
+ * @param {string} promoCodeId - The promo code ID.
+ * @param {Object} admin - The admin disabling the code.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the disabled promo code.
+ */
+const disablePromoCode = async (promoCodeId, admin, { now = new Date() } = {}) => {
+  const promoCode = await PromoCodeRepository.findById(promoCodeId);
+  if (!promoCode) throw createHttpError(404, 'Promo code not found');
+  if (promoCode.status === 'disabled') throw createHttpError(409, 'This promo code is already disabled');
+
+  return await PromoCodeRepository.updatePromoCode(promoCode._id, {
+    status: 'disabled',
+    disabledBy: admin._id,
+    disabledAt: now,
+  });
+};
+
+/**
+ * Get a promo code's redemption stats.
+ * @param {string} promoCodeId - The promo code ID.
+ * @returns {Promise<Object>} - Returns the promo code, its stats and the uses left (null if unlimited).
+ */
+const getPromoCodeStats = async (promoCodeId) => {
+  const promoCode = await PromoCodeRepository.findById(promoCodeId);
+  if (!promoCode) throw createHttpError(404, 'Promo code not found');
+
+  const stats = await PromoRedemptionRepository.getStats(promoCode._id);
+  return {
+    promoCode,
+    stats: {
+      ...stats,
+      totalDiscount: PricingService.roundMoney(stats.totalDiscount),
+      totalRevenue: PricingService.roundMoney(stats.totalRevenue),
+      remainingUses: promoCode.usageLimit != null ? Math.max(promoCode.usageLimit - promoCode.redemptionCount, 0) : null,
+    },
+  };
+};
+
+module.exports = {
+  calculateDiscount,
+  applyPromoCode,
+  redeemPromoCode,
+  linkRedemption,
+  cancelRedemption,
+  createPromoCode,
+  listPromoCodes,
+  disablePromoCode,
+  getPromoCodeStats,
+};
@@ -0,0 +1,186 @@
+/**
+ * Session Service - Handles login sessions recorded on client, partner and admin profiles.
+ *
+ * Each login gets a session ID that is written to `sessionLogs` on the user's
+ * Client, Partner or Admin profile, carried in the access token `sid` claim, and shared
+ * with the refresh token family for that login. Revoking a session closes its log entry,
+ * revokes its refresh tokens and blocks any access token still carrying its `sid`.
+ */
+
+const UserRepository = require('../repositories/UserRepository');
+const ClientRepository = require('../repositories/ClientRepository');
+const PartnerRepository = require('../repositories/PartnerRepository');
+const AdminRepository = require('../repositories/AdminRepository');
+const RefreshTokenRepository = require('../repositories/RefreshTokenRepository');
+const RevokedTokenRepository = require('../repositories/RevokedTokenRepository');
+const config = require('../config');
+const createHttpError = require('../utils/httpError');
+
+/**
+ * Resolve the profile that stores session logs for a user, with its session operations.
+ * @param {Object} user - The user.
+ * @returns {Promise<Object|null>} - Returns the profile and bound session operations, or null.
+ */
+const getSessionStore = async (user) => {
+  if (user.role === 'admin') {
+    const admin = await AdminRepository.findByUserId(user._id);
+    return admin && {
+      profile: admin,
+      log: ({ deviceInfo, ...sessionData }) => AdminRepository.logAdminSession(admin._id, { ...sessionData, userAgent: deviceInfo }),
+      close: (sessionId) => AdminRepository.closeAdminSession(admin._id, sessionId),
+      touch: (sessionId) => AdminRepository.touchAdminSession(admin._id, sessionId),
+    };
+  }
+  if (user.role === 'partner') {
+    const partner = await PartnerRepository.findByUserId(user._id);
+    return partner && {
+      profile: partner,
+      log: (sessionData) => PartnerRepository.logPartnerSession(partner._id, sessionData),
+      close: (sessionId) => PartnerRepository.closePartnerSession(partner._id, sessionId),
+      touch: (sessionId) => PartnerRepository.touchPartnerSession(partner._id, sessionId),
+    };
+  }
+  const client = await ClientRepository.findByUserId(user._id);
+  return client && {
+    profile: client,
+    log: (sessionData) => ClientRepository.logClientSession(client._id, sessionData),
+    close: (sessionId) => ClientRepository.closeClientSession(client._id, sessionId),
+    touch: (sessionId) => ClientRepository.touchClientSession(client._id, sessionId),
+  };
+};
+
+/**
+ * Record the start of a login session on the user's profile.
+ * @param {Object} user - The authenticated user.
+ * @param {string} sessionId - The new session ID.
+ * @param {Object} context - Request details (ipAddress, userAgent).
+ * @returns {Promise<void>} - Adds the session log entry.
+ */
+const recordLogin = async (user, sessionId, { ipAddress = null, userAgent = null } = {}) => {
+  const store = await getSessionStore(user);
+  if (store) await store.log({ sessionId, ipAddress, deviceInfo: userAgent, lastActiveAt: new Date() });
+};
+
+/**
+ * Record the end of a login session on the user's profile.
+ * @param {string} userId - The user ID.
+ * @param {string} sessionId - The session ID to close.
+ * @returns {Promise<void>} - Sets the logout time on the session log entry.
+ */
+const recordLogout = async (userId, sessionId) => {
+  const user = await UserRepository.findById(userId);
+  if (!user || !sessionId) return;
+
+  const store = await getSessionStore(user);
+  if (store) await store.close(sessionId);
+};
+
+/**
+ * Record activity on a session (called when its tokens are refreshed).
+ * @param {Object} user - The user.
+ * @param {string} sessionId - The session ID.
+ * @returns {Promise<void>} - Updates the session's last activity time.
+ */
+const touchSession = async (user, sessionId) => {
+  const store = await getSessionStore(user);
+  if (store) await store.touch(sessionId);
+};
+
+/**
+ * List the user's open sessions, most recently active first.
+ * @param {Object} user - The user.
+ * @param {string} [currentSessionId] - The session making the request, flagged as `current`.
+ * @returns {Promise<Array>} - Returns the active sessions.
+ */
+const listActiveSessions = async (user, currentSessionId) => {
+  const store = await getSessionStore(user);
+  if (!store) return [];
+
+  return store.profile.sessionLogs
+    .filter((session) => !session.logoutTime)
+    .map((session) => ({
+      sessionId: session.sessionId,
+      loginTime: session.loginTime,
+      lastActiveAt: session.lastActiveAt || session.loginTime,
+      ipAddress: session.ipAddress,
+      device: session.userAgent || session.deviceInfo || null,
+      location: session.location,
+      current: session.sessionId === currentSessionId,
+    }))
+    .sort((a, b) => b.lastActiveAt - a.lastActiveAt);
+};
+
+/**
+ * End a session: close its log entry, revoke its refresh tokens and block its access tokens.
+ * @param {Object|null} store - The user's session store, or null if the user has no profile.
+ * @param {string} userId - The user ID.
+ * @param {string} sessionId - The session ID.
+ * @returns {Promise<void>} - Ends the session.
+ */
+const endSession = async (store, userId, sessionId) => {
+  await RefreshTokenRepository.revokeFamily(sessionId);
+  await RevokedTokenRepository.revokeToken({
+    jti: `sid:${sessionId}`,
+    userId,
+    reason: 'session_revoked',
+    // Every access token for the session has expired by then
+    expiresAt: new Date(Date.now() + config.accessTokenTtlSeconds * 1000),
+  });
+  if (store) await store.close(sessionId);
+};
+
+/**
+ * End a session that is no longer trusted, such as one whose refresh token was reused.
+ * @param {string} userId - The user ID.
+ * @param {string} sessionId - The session ID.
+ * @returns {Promise<void>} - Ends the session.
+ */
+const terminateSession = async (userId, sessionId) => {
+  const user = await UserRepository.findById(userId);
+  const store = user ? await getSessionStore(user) : null;
+  await endSession(store, userId, sessionId);
+};
+
+/**
+ * Revoke one of the user's sessions.
+ * @param {Object} user - The user.
+ * @param {string} sessionId - The session to revoke.
+ * @returns {Promise<void>} - Ends the session.
+ */
+const revokeSession = async (user, sessionId) => {
+  const store = await getSessionStore(user);
+  const session = store && store.profile.sessionLogs.find((entry) => entry.sessionId === sessionId);
+  if (!session || session.logoutTime) throw createHttpError(404, 'Session not found');
+
+  await endSession(store, user._id, sessionId);
+  await UserRepository.logUserAction(user._id, 'session_revoked');
+};
+
+/**
+ * Revoke every open session of the user except, optionally, the current one.
+ * @param {Object} user - The user.
+ * @param {string} [exceptSessionId] - The session to keep.
+ * @returns {Promise<number>} - Returns the number of sessions revoked.
+ */
+const revokeOtherSessions = async (user, exceptSessionId) => {
+  const store = await getSessionStore(user);
+  if (!store) return 0;
+
+  const sessionIds = store.profile.sessionLogs
+    .filter((session) => !session.logoutTime && session.sessionId !== exceptSessionId)
+    .map((session) => session.sessionId);
+  for (const sessionId of sessionIds) {
+    await endSession(store, user._id, sessionId);
+  }
+  return sessionIds.length;
+};
+
+module.exports = {
+  recordLogin,
+  recordLogout,
+  touchSession,
+  listActiveSessions,
+  revokeSession,
+  revokeOtherSessions,
+  terminateSession,
+};
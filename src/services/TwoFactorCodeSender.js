@@ -0,0 +1,66 @@
+/**
+ * Two-Factor Code Sender - Delivers one-time login codes to users.
+ * 
+ * The transport is pluggable: `console` and `file` are built in as stand-ins until
+ * an SMS or email provider is wired up, and `setTransport` accepts any async
+ * function with the signature `(user, code) => Promise<void>`.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Write the code to the console.
+ * @param {Object} user - The recipient user.
+ * @param {string} code - The one-time code.
+ * @returns {Promise<void>} - Logs the code.
+ */
+const consoleTransport = async (user, code) => {
+  console.log(`[2fa] code for ${user.email}: ${code}`);
+};
+
+/**
+ * Append the code to a local file.
+ * @param {Object} user - The recipient user.
+ * @param {string} code - The one-time code.
+ * @returns {Promise<void>} - Appends the code to the configured file.
+ */
+const fileTransport = async (user, code) => {
+  const filePath = path.resolve(config.twoFactor.codeFile);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, `${new Date().toISOString()} ${user.email} ${code}\n`);
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let activeTransport = transports[config.twoFactor.sender] || consoleTransport;
+
+/**
+ * Replace the transport used to deliver codes.
+ * @param {string|Function} transport - A built-in transport name or a custom send function.
+ * @returns {void}
+ */
+const setTransport = (transport) => {
+  const resolved = typeof transport === 'function' ? transport : transports[transport];
+  if (!resolved) throw new Error(`Unknown two-factor transport: ${transport}`);
+  activeTransport = resolved;
+};
+
+/**
+ * Deliver a one-time code to a user.
+ * @param {Object} user - The recipient user.
+ * @param {string} code - The one-time code.
+ * @returns {Promise<void>} - Sends the code through the active transport.
+ */
+const sendCode = async (user, code) => {
+  await activeTransport(user, code);
+};
+
+module.exports = {
+  setTransport,
+  sendCode,
+};
@@ -0,0 +1,216 @@
+/**
+ * Waitlist Service - Queues clients for fully booked parking spots and offers them freed spaces.
+ *
+ * A client can join the waitlist for a spot and time window when the spot is full for it.
+ * When a cancellation, no-show, early check-out or failed extension frees capacity, waiting
+ * entries for the spot are served in the order they joined: the first whose whole window now
+ * fits is offered a hold, which keeps the space for them for config.waitlist.holdMinutes and
+ * is announced with a notification. The client books with the hold (see
+ * BookingService.createBooking): the checkout takes over the held space, and the hold is
+ * used up once the checkout is paid for. A hold does not run out while its checkout is live;
+ * one that runs out passes to the next client in line.
+ *
+ * Offers are made under the spot's booking lock, so a hold and a booking cannot both take
+ * the same freed space.
+ */
+
+const WaitlistRepository = require('../repositories/WaitlistRepository');
+const BookingHoldRepository = require('../repositories/BookingHoldRepository');
+const ParkingSpotRepository = require('../repositories/ParkingSpotRepository');
+const AvailabilityService = require('./AvailabilityService');
+const NotificationService = require('./NotificationService');
+const config = require('../config');
+const createHttpError = require('../utils/httpError');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Describe an entry for its client, with its place in the queue while it is active.
+ * @param {Object} entry - The waitlist entry.
+ * @returns {Promise<Object>} - Returns the entry with `position` (1 is next in line), or null once it has left the queue.
+ */
+const describeEntry = async (entry) => ({
+  ...entry.toObject(),
+  position: ['waiting', 'offered'].includes(entry.status) ? (await WaitlistRepository.countEntriesAhead(entry)) + 1 : null,
+});
+
+/**
+ * Join the waitlist for a parking spot that is full for a time window.
+ * @param {Object} client - The client user.
+ * @param {Object} request - The request (parkingSpotId, start, end).
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the new entry with its position.
+ */
+const joinWaitlist = async (client, { parkingSpotId, start, end }, { now = new Date() } = {}) => {
+  if (start <= now) throw createHttpError(400, 'The waitlist window must start in the future');
+
+  const spot = await ParkingSpotRepository.findById(parkingSpotId);
+  if (!spot) throw createHttpError(404, 'Parking spot not found');
+  AvailabilityService.assertSpotOpen(spot, start, end);
+
+  const availability = await AvailabilityService.getSpotAvailability(spot, start, end, { now });
+  if (availability.available > 0) throw createHttpError(409, 'Spaces are available for this time, book it directly');
+  if (await WaitlistRepository.findActiveEntryForWindow(client._id, spot._id, start, end)) {
+    throw createHttpError(409, 'You are already on the waitlist for this spot and time');
+  }
+
+  const entry = await WaitlistRepository.createEntry({
+    userId: client._id,
+    parkingSpotId: spot._id,
+    windowStart: start,
+    windowEnd: end,
+  });
+  return await describeEntry(entry);
+};
+
+/**
+ * List a client's waitlist entries with their positions.
+ * @param {Object} client - The client user.
+ * @param {Object} filters - Filters (status).
+ * @returns {Promise<Array>} - Returns the entries, newest first.
+ */
+const listEntries = async (client, { status } = {}) => {
+  const entries = await WaitlistRepository.findByUserId(client._id, status ? { status } : {});
+  return await Promise.all(entries.map(describeEntry));
+};
+
+/**
+ * Offer freed capacity on a spot to the waiting clients, in queue order. The change that freed
+ * the space is saved before this runs, so a failure is passed to the caller to report (e.g.,
+ * in its job result) rather than undoing that change.
+ * @param {string} parkingSpotId - The parking spot ID.
+ * @param {Date} start - Start of the freed time.
+ * @param {Date} end - End of the freed time.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Array>} - Returns the entries offered a hold.
+ */
+const offerFreedCapacity = async (parkingSpotId, start, end, { now = new Date() } = {}) => {
+  const spot = await ParkingSpotRepository.findById(parkingSpotId);
+  if (!spot) return [];
+
+  const offers = await AvailabilityService.withSpotLock(spot._id, async () => {
+    const entries = await WaitlistRepository.findWaitingEntries(spot._id, start, end, now);
+    const offered = [];
+    for (const entry of entries) {
+      // Each hold counts against capacity, so later entries only get what is left
+      const availability = await AvailabilityService.getSpotAvailability(spot, entry.windowStart, entry.windowEnd, { now });
+      if (availability.available < 1) continue;
+
+      const offer = await WaitlistRepository.updateEntryStatus(entry._id, 'waiting', {
+        status: 'offered',
+        offeredAt: now,
+        holdExpiresAt: new Date(now.getTime() + config.waitlist.holdMinutes * MINUTE_MS),
+      });
+      if (offer) offered.push(offer);
+    }
+    return offered;
+  });
+
+  for (const offer of offers) {
+    await NotificationService.notifyUser(offer.userId, {
+      type: 'booking',
+      priority: 'high',
+      message: `A space is free at ${spot.name} from ${offer.windowStart.toISOString()} to ${offer.windowEnd.toISOString()}. `
+        + `It is held for you until ${offer.holdExpiresAt.toISOString()}.`,
+      metadata: { waitlistEntryId: offer._id, parkingSpotId: spot._id },
+      expiresAt: offer.holdExpiresAt,
+    });
+  }
+  return offers;
+};
+
+/**
+ * Leave the waitlist. A hold being given up passes to the next client in line.
+ * @param {string} entryId - The entry ID.
+ * @param {Object} client - The client user.
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the cancelled entry.
+ */
+const leaveWaitlist = async (entryId, client, { now = new Date() } = {}) => {
+  const entry = await WaitlistRepository.findById(entryId);
+  if (!entry || !entry.userId.equals(client._id)) throw createHttpError(404, 'Waitlist entry not found');
+  if (!['waiting', 'offered'].includes(entry.status)) throw createHttpError(409, `This waitlist entry is already ${entry.status}`);
+
+  const cancelled = await WaitlistRepository.updateEntryStatus(entry._id, entry.status, { status: 'cancelled' });
+  if (!cancelled) throw createHttpError(409, 'The waitlist entry was changed by another request, please try again');
+  if (entry.status === 'offered') await offerFreedCapacity(entry.parkingSpotId, entry.windowStart, entry.windowEnd, { now });
+  return cancelled;
+};
+
+/**
+ * Check that a client holds a space that covers the booking they are making.
+ * @param {string} entryId - The waitlist entry ID.
+ * @param {Object} booking - The booking being made (userId, parkingSpotId, bookingStart, bookingEnd).
+ * @param {Object} options - Options (now: the current time).
+ * @returns {Promise<Object>} - Returns the entry holding the space.
+ */
+const getHeldEntry = async (entryId, { userId, parkingSpotId, bookingStart, bookingEnd }, { now = new Date() } = {}) => {
+  const entry = await WaitlistRepository.findById(entryId);
+  if (!entry || !entry.userId.equals(userId)) throw createHttpError(404, 'Waitlist entry not found');
+  if (entry.status !== 'offered' || entry.holdExpiresAt <= now) throw createHttpError(409, 'You no longer hold a space from this waitlist entry');
+  if (!entry.parkingSpotId.equals(parkingSpotId)
+    || new Date(bookingStart) < entry.windowStart
+    || new Date(bookingEnd) > entry.windowEnd) {
+    throw createHttpError(409, 'The booking must be within the spot and time held for you');
+  }
+  return entry;
+};
+
+/**
+ * Use up a hold for the booking made with it, so it can no longer expire or pass on.
+ * @param {string} entryId - The waitlist entry ID.
+ * @param {string} bookingId - The booking ID.
+ * @returns {Promise<Object|null>} - Returns the updated entry, or null if the hold had already ended.
+ */
+const completeHold = async (entryId, bookingId) => {
+  return await WaitlistRepository.updateEntryStatus(entryId, 'offered', { status: 'booked', bookingId });
+};
+
+/**
+ * Expire holds that ran out and pass each freed space to the next client in line, and drop
+ * waiting entries whose window has ended.
+ * @param {Object} options - Options (now: the current time, from the caller's clock).
+ * @returns {Promise<Object>} - Returns the number of holds expired, holds passed on and entries dropped,
+ *   and the holds whose expiry or hand-over failed (waitlistEntryId, error).
+ */
+const processExpiredHolds = async ({ now = new Date() } = {}) => {
+  const holds = await WaitlistRepository.findExpiredHolds(now, config.waitlist.batchSize);
+
+  let expired = 0;
+  let passedOn = 0;
+  const failed = [];
+  for (const hold of holds) {
+    try {
+      // The client is paying for the space; the hold is used up or expires once the checkout ends
+      if (await BookingHoldRepository.findActiveHoldForWaitlistEntry(hold._id, now)) continue;
+
+      // The client may have booked with the hold since it was listed
+      const entry = await WaitlistRepository.updateEntryStatus(hold._id, 'offered', { status: 'expired' });
+      if (!entry) continue;
+
+      expired++;
+      await NotificationService.notifyUser(entry.userId, {
+        type: 'booking',
+        message: `The space held for you from ${entry.windowStart.toISOString()} has been released.`,
+        metadata: { waitlistEntryId: entry._id, parkingSpotId: entry.parkingSpotId },
+      });
+      const offers = await offerFreedCapacity(entry.parkingSpotId, entry.windowStart, entry.windowEnd, { now });
+      passedOn += offers.length;
+    } catch (err) {
+      failed.push({ waitlistEntryId: hold._id, error: err.message });
+    }
+  }
+
+  const dropped = await WaitlistRepository.expireEndedEntries(now);
+  return { expired, passedOn, dropped, failed };
+};
+
+module.exports = {
+  joinWaitlist,
+  listEntries,
+  leaveWaitlist,
+  offerFreedCapacity,
+  getHeldEntry,
+  completeHold,
+  processExpiredHolds,
+};
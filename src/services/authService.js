@@ -3,15 +3,24 @@
  * 
  * This service provides user authentication, token management, password hashing,
  * multi-factor authentication (MFA), session tracking, role-based access control,
- * secure logout with token blacklisting, email verification, and password reset functionality.
+ * secure logout with token revocation, refresh token rotation, email verification,
+ * and password reset functionality.
  */
 
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const UserRepository = require('../repositories/UserRepository');
+const RevokedTokenRepository = require('../repositories/RevokedTokenRepository');
+const RefreshTokenRepository = require('../repositories/RefreshTokenRepository');
+const AdminRepository = require('../repositories/AdminRepository');
+const MailService = require('./MailService');
+const SessionService = require('./SessionService');
+const AdminService = require('./AdminService');
+const TwoFactorCodeSender = require('./TwoFactorCodeSender');
+const AccountLockoutService = require('./AccountLockoutService');
 const config = require('../config');
-const TokenBlacklist = new Set(); // Temporary in-memory token blacklist
+const createHttpError = require('../utils/httpError');
 
 /**
  * Hash user password before storing it in the database.
@@ -34,45 +43,300 @@ const comparePassword = async (password, hash) => {
 };
 
 /**
- * Generate JWT token for user authentication.
+ * Generate a short-lived JWT access token for user authentication.
  * @param {Object} user - The authenticated user object.
+ * @param {string} [sessionId] - The login session the token belongs to.
  * @returns {string} - Returns the generated token.
  */
-const generateToken = (user) => {
-  return jwt.sign({ id: user._id, role: user.role }, config.jwtSecret, {
-    expiresIn: '7d', // Token expires in 7 days
+const generateToken = (user, sessionId) => {
+  return jwt.sign({ id: user._id, role: user.role, tv: user.tokenVersion || 0, sid: sessionId }, config.jwtSecret, {
+    expiresIn: config.accessTokenTtlSeconds,
+    jwtid: crypto.randomUUID(), // Lets a single token be revoked
   });
 };
 
+/**
+ * Hash a one-time token (reset, verification, refresh) the same way it is stored.
+ * @param {string} token - The plain token sent to the user.
+ * @returns {string} - Returns the SHA-256 hex digest.
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Create an opaque refresh token and store its hash.
+ * @param {Object} user - The user the token is issued to.
+ * @param {Object} options - Token family, session and request details.
+ * @returns {Promise<string>} - Returns the plain refresh token.
+ */
+const createRefreshToken = async (user, { familyId, sessionId, ipAddress = null, userAgent = null }) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  await RefreshTokenRepository.createRefreshToken({
+    tokenHash: hashToken(refreshToken),
+    userId: user._id,
+    familyId,
+    sessionId,
+    ipAddress,
+    userAgent,
+    expiresAt: new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+  });
+  return refreshToken;
+};
+
+/**
+ * Start a login session: record it on the user's profile and issue an access/refresh token pair.
+ * @param {Object} user - The authenticated user.
+ * @param {Object} context - Request details (ipAddress, userAgent).
+ * @returns {Promise<Object>} - Returns the access token, refresh token and session ID.
+ */
+const startSession = async (user, context = {}) => {
+  const sessionId = crypto.randomUUID();
+  await SessionService.recordLogin(user, sessionId, context);
+
+  // The first token of a login starts a new family named after the session
+  const refreshToken = await createRefreshToken(user, { familyId: sessionId, sessionId, ...context });
+  return { token: generateToken(user, sessionId), refreshToken, sessionId };
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting a token that was already exchanged revokes its whole family.
+ * @param {string} refreshToken - The plain refresh token.
+ * @param {Object} context - Request details (ipAddress, userAgent).
+ * @returns {Promise<Object>} - Returns the new access token and refresh token.
+ */
+const refreshSession = async (refreshToken, context = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const stored = await RefreshTokenRepository.findByHash(tokenHash);
+  if (!stored || stored.revokedAt || stored.expiresAt < new Date()) {
+    throw createHttpError(401, 'Invalid refresh token');
+  }
+
+  const claimed = await RefreshTokenRepository.markUsed(tokenHash);
+  if (!claimed) {
+    // Already used: assume it was stolen and end the login it belongs to, including its access tokens
+    await RefreshTokenRepository.revokeFamily(stored.familyId);
+    if (stored.sessionId) await SessionService.terminateSession(stored.userId, stored.sessionId);
+    throw createHttpError(401, 'Refresh token reuse detected');
+  }
+
+  const user = await UserRepository.findById(stored.userId);
+  if (!user || !user.isActive || user.accountLocked) {
+    await RefreshTokenRepository.revokeFamily(stored.familyId);
+    throw createHttpError(401, 'Invalid refresh token');
+  }
+
+  await SessionService.touchSession(user, stored.sessionId);
+  const nextRefreshToken = await createRefreshToken(user, {
+    familyId: stored.familyId,
+    sessionId: stored.sessionId,
+    ...context,
+  });
+  return { token: generateToken(user, stored.sessionId), refreshToken: nextRefreshToken };
+};
+
+/**
+ * Issue a challenge token for the second login step.
+ * Email codes are generated and sent here; admins with an authenticator app use TOTP instead.
+ * @param {Object} user - The user who passed the password check.
+ * @param {Object|null} admin - The user's admin profile, if any.
+ * @returns {Promise<Object>} - Returns the challenge token and the expected method.
+ */
+const createTwoFactorChallenge = async (user, admin) => {
+  const method = admin && admin.mfaEnabled ? 'totp' : 'email';
+  user.twoFactorAttempts = 0;
+
+  if (method === 'email') {
+    const code = user.generateTwoFactorCode();
+    await user.save({ validateBeforeSave: false });
+    await TwoFactorCodeSender.sendCode(user, code);
+  } else {
+    await user.save({ validateBeforeSave: false });
+  }
+
+  const challengeToken = jwt.sign(
+    { id: user._id, purpose: 'two_factor', method, adminId: method === 'totp' ? admin._id : undefined },
+    config.jwtSecret,
+    { expiresIn: config.twoFactor.challengeTtl }
+  );
+  return { challengeToken, method };
+};
+
+/**
+ * Check an emailed two-factor code against the stored hash.
+ * @param {Object} user - The user including the twoFactorCode hash.
+ * @param {string} code - The 6-digit code the user received.
+ * @returns {boolean} - Returns true if the code matches.
+ */
+const isValidEmailCode = (user, code) => {
+  if (!user.twoFactorCode || user.twoFactorCodeExpires < Date.now()) {
+    throw createHttpError(401, 'Two-factor code has expired, please log in again');
+  }
+  const expected = Buffer.from(user.twoFactorCode, 'hex');
+  const received = Buffer.from(hashToken(String(code || '')), 'hex');
+  return crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Complete a two-factor login by checking the submitted factor against the pending challenge.
+ * The challenge is discarded once the attempt limit is reached.
+ * @param {string} challengeToken - The token returned by authenticateUser.
+ * @param {Object} factor - The submitted factor: { code } or, for TOTP challenges, { recoveryCode }.
+ * @param {Object} [context] - Request details (ipAddress, userAgent) for the session log.
+ * @returns {Promise<Object>} - Returns access token, refresh token and user data.
+ */
+const verifyTwoFactorLogin = async (challengeToken, { code, recoveryCode }, context = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, config.jwtSecret);
+  } catch (err) {
+    throw createHttpError(401, 'Invalid or expired two-factor challenge');
+  }
+  if (decoded.purpose !== 'two_factor') throw createHttpError(401, 'Invalid or expired two-factor challenge');
+
+  const user = await UserRepository.findByIdWithTwoFactorCode(decoded.id);
+  if (!user) throw createHttpError(401, 'Invalid or expired two-factor challenge');
+  if (user.twoFactorAttempts >= config.twoFactor.maxAttempts) {
+    throw createHttpError(429, 'Too many invalid codes, please log in again');
+  }
+
+  const isValid = decoded.method === 'totp'
+    ? await AdminService.verifySecondFactor(decoded.adminId, { code, recoveryCode })
+    : isValidEmailCode(user, code);
+
+  if (!isValid) {
+    const updated = await UserRepository.updateUser(user._id, { $inc: { twoFactorAttempts: 1 } });
+    if (updated && updated.twoFactorAttempts >= config.twoFactor.maxAttempts) {
+      await UserRepository.updateUser(user._id, { twoFactorCode: null, twoFactorCodeExpires: null });
+    }
+    throw createHttpError(401, 'Invalid two-factor code');
+  }
+
+  await UserRepository.updateUser(user._id, { twoFactorCode: null, twoFactorCodeExpires: null, twoFactorAttempts: 0 });
+  await UserRepository.updateLastLogin(user._id);
+  const { token, refreshToken } = await startSession(user, context);
+  return { user, token, refreshToken };
+};
+
 /**
  * Authenticate user using email and password.
+ * Locked accounts, throttled IPs and logins inside the progressive delay are refused
+ * before the password is checked; failures count towards a timed lock.
+ * When two-factor authentication (or admin TOTP) is enabled, no session is started;
+ * a challenge token is returned for verifyTwoFactorLogin instead.
  * @param {string} email - The user's email.
  * @param {string} password - The user's password.
- * @returns {Promise<Object>} - Returns authentication token and user data.
+ * @param {Object} [context] - Request details (ipAddress, userAgent, deviceFingerprint).
+ * @returns {Promise<Object>} - Returns access token, refresh token and user data, or a two-factor challenge.
  */
-const authenticateUser = async (email, password) => {
-  const user = await UserRepository.findByEmail(email);
-  if (!user) throw new Error('Invalid credentials');
+const authenticateUser = async (email, password, context = {}) => {
+  await AccountLockoutService.assertIpAllowed(context.ipAddress);
+
+  const user = await UserRepository.findByEmailWithPassword(email);
+  if (!user) {
+    await AccountLockoutService.recordIpFailure(context.ipAddress, email);
+    throw createHttpError(401, 'Invalid credentials');
+  }
+  AccountLockoutService.assertLoginAllowed(user);
 
   const isMatch = await comparePassword(password, user.password);
-  if (!isMatch) throw new Error('Invalid credentials');
+  if (!isMatch) {
+    await AccountLockoutService.recordFailedLogin(user, context.ipAddress);
+    throw createHttpError(401, 'Invalid credentials');
+  }
+  if (!user.isActive) throw createHttpError(403, 'Account is deactivated');
+  await AccountLockoutService.resetFailedLogins(user);
+
+  const admin = user.role === 'admin' ? await AdminRepository.findByUserId(user._id) : null;
+  if (admin) await AdminService.assertAccessAllowed(admin, context);
+
+  if (user.twoFactorEnabled || (admin && admin.mfaEnabled)) {
+    const { challengeToken, method } = await createTwoFactorChallenge(user, admin);
+    return { twoFactorRequired: true, method, challengeToken };
+  }
+
+  await UserRepository.updateLastLogin(user._id);
+  const { token, refreshToken } = await startSession(user, context);
+  return { user, token, refreshToken };
+};
+
+/**
+ * Email a verification link to the user.
+ * @param {Object} user - The user document.
+ * @returns {Promise<void>} - Sends the verification email.
+ */
+const sendEmailVerification = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await MailService.sendMail({
+    to: user.email,
+    subject: 'Verify your Carparkly email address',
+    text: `Confirm your email address: ${config.appUrl}/verify-email?token=${verificationToken}`,
+  });
+};
+
+/**
+ * Register a new user account and send an email verification link.
+ * @param {Object} userData - The registration details (name, email, password, role, phoneNumber).
+ * @param {Object} [context] - Request details (ipAddress, userAgent) for the session log.
+ * @returns {Promise<Object>} - Returns the created user, access token and refresh token.
+ */
+const registerUser = async ({ name, email, password, role, phoneNumber }, context = {}) => {
+  const existingUser = await UserRepository.findByEmail(email);
+  if (existingUser) throw createHttpError(409, 'Email is already registered');
+
+  // Only self-service roles can be chosen at sign up
+  const selfServiceRoles = ['user', 'partner'];
+  const user = await UserRepository.createUser({
+    name,
+    email,
+    password,
+    phoneNumber,
+    role: selfServiceRoles.includes(role) ? role : 'user',
+  });
+
+  await sendEmailVerification(user);
+
+  const { token, refreshToken } = await startSession(user, context);
+  return { user, token, refreshToken };
+};
 
-  const token = generateToken(user);
-  return { user, token };
+/**
+ * Mark a user's email as verified using the token from the verification email.
+ * @param {string} verificationToken - The plain verification token.
+ * @returns {Promise<Object>} - Returns the updated user.
+ */
+const verifyEmail = async (verificationToken) => {
+  const user = await UserRepository.findByEmailVerificationToken(hashToken(verificationToken));
+  if (!user) throw createHttpError(400, 'Invalid or expired verification token');
+
+  return await UserRepository.updateUser(user._id, { emailVerified: true, emailVerificationToken: null });
 };
 
 /**
- * Validate JWT token.
+ * Validate JWT token against its signature, the revocation store and the user's token version.
  * @param {string} token - The JWT token.
- * @returns {Object|null} - Returns decoded token if valid, otherwise null.
+ * @returns {Promise<Object|null>} - Returns decoded token if valid, otherwise null.
  */
-const verifyToken = (token) => {
+const verifyToken = async (token) => {
+  let decoded;
   try {
-    if (TokenBlacklist.has(token)) return null; // Check if token is blacklisted
-    return jwt.verify(token, config.jwtSecret);
+    decoded = jwt.verify(token, config.jwtSecret);
   } catch (err) {
     return null;
   }
+
+  // Two-factor challenge tokens are not access tokens; tokens without a jti cannot be revoked
+  if (decoded.purpose || !decoded.jti) return null;
+  const revocationKeys = decoded.sid ? [decoded.jti, `sid:${decoded.sid}`] : [decoded.jti];
+  if (await RevokedTokenRepository.isAnyRevoked(revocationKeys)) return null;
+
+  const tokenVersion = await UserRepository.getTokenVersion(decoded.id);
+  if (tokenVersion === null || tokenVersion !== (decoded.tv || 0)) return null;
+
+  return decoded;
 };
 
 /**
@@ -82,20 +346,45 @@ const verifyToken = (token) => {
  * @returns {Promise<Object|null>} - Returns updated user object or null.
  */
 const updateMFAStatus = async (userId, enable) => {
-  return await UserRepository.updateUser(userId, { mfaEnabled: enable });
+  return await UserRepository.updateUser(userId, { twoFactorEnabled: enable });
 };
 
 /**
- * Log out user by invalidating session and blacklisting token.
- * @param {string} token - The JWT token to blacklist.
+ * Log out user by revoking the access token and the refresh token family of its session.
+ * @param {string} token - The JWT token to revoke.
  * @param {string} userId - The user ID.
  * @returns {Promise<void>} - Logs out the user securely.
  */
 const logoutUser = async (token, userId) => {
-  TokenBlacklist.add(token); // Add token to blacklist
+  const decoded = jwt.decode(token);
+  if (decoded && decoded.jti) {
+    await RevokedTokenRepository.revokeToken({
+      jti: decoded.jti,
+      userId,
+      expiresAt: new Date(decoded.exp * 1000),
+    });
+  }
+  if (decoded && decoded.sid) {
+    await RefreshTokenRepository.revokeFamily(decoded.sid);
+    await SessionService.recordLogout(userId, decoded.sid);
+  }
   await UserRepository.logUserAction(userId, 'logout');
 };
 
+/**
+ * Revoke every token issued to a user by bumping their token version.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<void>} - Invalidates all of the user's sessions.
+ */
+const revokeAllSessions = async (userId) => {
+  await UserRepository.incrementTokenVersion(userId);
+  await RefreshTokenRepository.revokeAllForUser(userId);
+
+  const user = await UserRepository.findById(userId);
+  if (user) await SessionService.revokeOtherSessions(user);
+  await UserRepository.logUserAction(userId, 'revoke_all_sessions');
+};
+
 /**
  * Check if user has the required role.
  * @param {Object} user - The authenticated user object.
@@ -109,14 +398,35 @@ const checkUserRole = (user, allowedRoles) => {
 /**
  * Generate a password reset token.
  * @param {string} userId - The user ID.
- * @returns {Promise<string>} - Returns the generated reset token.
+ * @returns {Promise<string|null>} - Returns the generated reset token, or null if the user does not exist.
  */
 const generatePasswordResetToken = async (userId) => {
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  await UserRepository.updateUser(userId, { resetToken, resetTokenExpires: Date.now() + 3600000 }); // Expires in 1 hour
+  const user = await UserRepository.findById(userId);
+  if (!user) return null;
+
+  const resetToken = user.createPasswordResetToken(); // Stores the hash, expires in 10 minutes
+  await user.save({ validateBeforeSave: false });
   return resetToken;
 };
 
+/**
+ * Email a password reset link if the address belongs to an account.
+ * Always resolves so callers cannot use it to discover registered emails.
+ * @param {string} email - The user's email.
+ * @returns {Promise<void>} - Sends the reset email when applicable.
+ */
+const requestPasswordReset = async (email) => {
+  const user = await UserRepository.findByEmail(email);
+  if (!user) return;
+
+  const resetToken = await generatePasswordResetToken(user._id);
+  await MailService.sendMail({
+    to: user.email,
+    subject: 'Reset your Carparkly password',
+    text: `Reset your password within 10 minutes: ${config.appUrl}/reset-password?token=${resetToken}`,
+  });
+};
+
 /**
  * Reset user password using reset token.
  * @param {string} resetToken - The reset token.
@@ -124,22 +434,36 @@ const generatePasswordResetToken = async (userId) => {
  * @returns {Promise<Object|null>} - Returns updated user or null.
  */
 const resetPassword = async (resetToken, newPassword) => {
-  const user = await UserRepository.findByResetToken(resetToken);
-  if (!user || user.resetTokenExpires < Date.now()) throw new Error('Invalid or expired reset token');
+  const user = await UserRepository.findByPasswordResetToken(hashToken(resetToken));
+  if (!user) throw createHttpError(400, 'Invalid or expired reset token');
 
   const hashedPassword = await hashPassword(newPassword);
-  return await UserRepository.updateUser(user._id, { password: hashedPassword, resetToken: null, resetTokenExpires: null });
+  const updatedUser = await UserRepository.updateUser(user._id, {
+    password: hashedPassword,
+    passwordResetToken: null,
+    passwordResetExpires: null,
+  });
+  await revokeAllSessions(user._id); // Sign out any session that may have been compromised
+  return updatedUser;
 };
 
 module.exports = {
   hashPassword,
   comparePassword,
   generateToken,
+  startSession,
+  refreshSession,
   authenticateUser,
+  verifyTwoFactorLogin,
+  registerUser,
+  sendEmailVerification,
+  verifyEmail,
   verifyToken,
   updateMFAStatus,
   logoutUser,
+  revokeAllSessions,
   checkUserRole,
   generatePasswordResetToken,
+  requestPasswordReset,
   resetPassword,
 };
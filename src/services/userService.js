@@ -7,7 +7,8 @@
  */
 
 const UserRepository = require('../repositories/UserRepository');
-const AuthService = require('./AuthService');
+const AuthService = require('./authService');
+const AccountLockoutService = require('./AccountLockoutService');
 
 /**
  * Retrieve user profile by ID.
@@ -97,20 +98,15 @@ const updateLastLogin = async (userId) => {
 };
 
 /**
- * Monitor failed login attempts and lock account if necessary.
+ * Monitor failed login attempts and apply a timed lock if necessary.
  * @param {string} userId - The user ID.
+ * @param {string} [ipAddress] - The source IP address.
  * @returns {Promise<Object|null>} - Returns updated user object or null.
  */
-const handleFailedLogin = async (userId) => {
+const handleFailedLogin = async (userId, ipAddress) => {
   const user = await UserRepository.findById(userId);
   if (!user) return null;
-
-  const failedAttempts = (user.failedLoginAttempts || 0) + 1;
-  const accountLocked = failedAttempts >= 5;
-  return await UserRepository.updateUser(userId, {
-    failedLoginAttempts: failedAttempts,
-    accountLocked,
-  });
+  return await AccountLockoutService.recordFailedLogin(user, ipAddress);
 };
 
 /**
@@ -119,10 +115,9 @@ const handleFailedLogin = async (userId) => {
  * @returns {Promise<Object|null>} - Returns updated user object or null.
  */
 const resetFailedLoginAttempts = async (userId) => {
-  return await UserRepository.updateUser(userId, {
-    failedLoginAttempts: 0,
-    accountLocked: false,
-  });
+  const user = await UserRepository.findById(userId);
+  if (!user) return null;
+  return await AccountLockoutService.resetFailedLogins(user);
 };
 
 /**
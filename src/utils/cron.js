@@ -0,0 +1,121 @@
+/**
+ * Cron Helper
+ * 
+ * Parses standard five-field cron expressions (minute hour day-of-month month day-of-week)
+ * and finds their next run time. Fields accept `*`, numbers, ranges (`1-5`), lists (`1,15`)
+ * and steps (`*\/5`, `10-50/20`). Day of week runs 0-7, where 0 and 7 are Sunday. As in
+ * classic cron, a schedule restricting both day fields runs when either matches.
+ * Expressions are evaluated in UTC.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Expand one cron field into the set of values it matches.
+ * @param {string} expression - The field expression.
+ * @param {Object} field - The field bounds (name, min, max).
+ * @returns {Set<number>} - Returns the matching values.
+ */
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set();
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [min, max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      end = stepText === undefined ? start : max; // '5/15' means every 15 starting at 5
+    }
+
+    if (!Number.isInteger(step) || step < 1 || !Number.isInteger(start) || !Number.isInteger(end)
+      || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field '${expression}'`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+};
+
+/**
+ * Parse a cron expression.
+ * @param {string} expression - The five-field cron expression.
+ * @returns {Object} - Returns the parsed schedule.
+ */
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression '${expression}' must have 5 fields`);
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*'),
+  };
+};
+
+/**
+ * Check whether a schedule runs on the day of a date.
+ * @param {Object} schedule - The parsed schedule.
+ * @param {Date} date - The date.
+ * @returns {boolean} - Returns true if the day matches.
+ */
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Find the first time after a moment at which a cron expression runs.
+ * @param {string|Object} expression - The cron expression, or a schedule from parseCron.
+ * @param {Date} after - The moment to search from (exclusive).
+ * @returns {Date} - Returns the next run time, to the minute.
+ */
+const getNextRun = (expression, after = new Date()) => {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const next = new Date(after.getTime());
+  next.setUTCSeconds(0, 0);
+  next.setUTCMinutes(next.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + SEARCH_LIMIT_MS;
+  while (next.getTime() <= limit) {
+    if (!schedule.month.has(next.getUTCMonth() + 1)) {
+      next.setUTCMonth(next.getUTCMonth() + 1, 1);
+      next.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, next)) {
+      next.setUTCDate(next.getUTCDate() + 1);
+      next.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(next.getUTCHours())) {
+      next.setUTCHours(next.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(next.getUTCMinutes())) {
+      next.setUTCMinutes(next.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return next;
+    }
+  }
+  throw new Error(`Cron expression '${expression}' never runs`);
+};
+
+module.exports = {
+  parseCron,
+  getNextRun,
+};
@@ -0,0 +1,49 @@
+/**
+ * Encryption Helper
+ * 
+ * Symmetric AES-256-GCM encryption for secrets that must be recoverable
+ * (e.g. TOTP seeds). Values are stored as `iv:authTag:ciphertext` in base64.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Derive the 32-byte key from the configured encryption secret.
+ * @returns {Buffer} - Returns the encryption key.
+ */
+const getKey = () => {
+  if (!config.encryptionKey) throw new Error('ENCRYPTION_KEY is not configured');
+  return crypto.createHash('sha256').update(config.encryptionKey).digest();
+};
+
+/**
+ * Encrypt a UTF-8 string.
+ * @param {string} plainText - The value to encrypt.
+ * @returns {string} - Returns the encoded `iv:authTag:ciphertext` string.
+ */
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const cipherText = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), cipherText].map((part) => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by `encrypt`.
+ * @param {string} encoded - The encoded `iv:authTag:ciphertext` string.
+ * @returns {string} - Returns the decrypted value.
+ */
+const decrypt = (encoded) => {
+  const [iv, authTag, cipherText] = encoded.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(cipherText), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,22 @@
+/**
+ * HTTP Error Helper
+ * 
+ * Creates errors carrying an HTTP status code so the error handler can
+ * return a consistent JSON response instead of a generic 500.
+ */
+
+/**
+ * Create an error with an attached HTTP status code.
+ * @param {number} statusCode - The HTTP status code.
+ * @param {string} message - The client-facing error message.
+ * @param {Object} [details] - Optional extra payload returned to the client.
+ * @returns {Error} - Returns the error object.
+ */
+const createHttpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+module.exports = createHttpError;
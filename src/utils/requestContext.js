@@ -0,0 +1,18 @@
+/**
+ * Request Context Helper
+ * 
+ * Collects the client details recorded with sessions, lockouts and audit logs.
+ */
+
+/**
+ * Extract client details from an Express request.
+ * @param {Object} req - The Express request.
+ * @returns {Object} - Returns the ipAddress, userAgent and deviceFingerprint.
+ */
+const getRequestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null,
+  deviceFingerprint: req.get('x-device-fingerprint') || null,
+});
+
+module.exports = getRequestContext;
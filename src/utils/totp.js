@@ -0,0 +1,117 @@
+/**
+ * TOTP Helper
+ * 
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 30-second steps, 6 digits),
+ * compatible with Google Authenticator, Authy and similar apps.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding.
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} - Returns the base32 string.
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string.
+ * @param {string} input - The base32 string (case-insensitive, padding optional).
+ * @returns {Buffer} - Returns the decoded bytes.
+ */
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.toUpperCase().replace(/=+$/, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random 160-bit secret.
+ * @returns {string} - Returns the base32-encoded secret.
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute the time step for a timestamp.
+ * @param {number} [now] - The timestamp in milliseconds.
+ * @returns {number} - Returns the step counter.
+ */
+const getStep = (now = Date.now()) => {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+};
+
+/**
+ * Generate the code for a given step (RFC 4226 HOTP with dynamic truncation).
+ * @param {string} secret - The base32 secret.
+ * @param {number} step - The step counter.
+ * @returns {string} - Returns the zero-padded code.
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing for clock drift of `window` steps either side.
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code entered by the user.
+ * @param {Object} [options] - Verification options (window, now).
+ * @returns {number|null} - Returns the matching step, or null if the code is invalid.
+ */
+const verifyCode = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateCode(secret, currentStep + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) return currentStep + offset;
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI used to render an enrolment QR code.
+ * @param {Object} params - URI parameters (secret, accountName, issuer).
+ * @returns {string} - Returns the otpauth URI.
+ */
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getStep,
+  verifyCode,
+  buildOtpAuthUri,
+};
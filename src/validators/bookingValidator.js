@@ -0,0 +1,132 @@
+/**
+ * Booking Validators - express-validator chains for booking routes.
+ * 
+ * Enumerations are read from the Booking model so validation cannot drift from the schema.
+ */
+
+const { body, query } = require('express-validator');
+const Booking = require('../models/booking');
+const BookingSeries = require('../models/bookingSeries');
+const { objectIdParam, timeOfDay, paginationQuery } = require('./common');
+
+const STATUSES = Booking.schema.path('status').enumValues;
+const PAYMENT_METHODS = Booking.schema.path('paymentMethod').enumValues;
+const CANCELLATION_POLICIES = Booking.schema.path('cancellationPolicy').enumValues;
+const WEEKDAYS = BookingSeries.schema.path('daysOfWeek').caster.enumValues;
+const QR_ACTIONS = ['check_in', 'check_out'];
+const MIN_DURATION_MS = 60 * 60 * 1000; // Booking.durationInHours has a minimum of 1
+const MAX_SERIES_WEEKS = 26;
+
+/**
+ * Work out the length of a series occurrence in minutes; an end at or before the start runs overnight.
+ * @param {string} startTime - The local 'HH:MM' start.
+ * @param {string} endTime - The local 'HH:MM' end.
+ * @returns {number} - Returns the duration in minutes.
+ */
+const occurrenceMinutes = (startTime, endTime) => {
+  const [start, end] = [startTime, endTime].map((time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3)));
+  return end > start ? end - start : end + 24 * 60 - start;
+};
+
+const createBookingValidator = [
+  body('parkingSpotId').isMongoId().withMessage('parkingSpotId must be a valid ID'),
+  body('bookingStart').isISO8601().withMessage('bookingStart must be an ISO 8601 date').toDate()
+    .custom((bookingStart) => bookingStart > new Date()).withMessage('bookingStart must be in the future'),
+  body('bookingEnd').isISO8601().withMessage('bookingEnd must be an ISO 8601 date').toDate()
+    .custom((bookingEnd, { req }) => bookingEnd - new Date(req.body.bookingStart) >= MIN_DURATION_MS)
+    .withMessage('Bookings must last at least one hour'),
+  body('paymentMethod').isIn(PAYMENT_METHODS).withMessage(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('cancellationPolicy').optional().isIn(CANCELLATION_POLICIES)
+    .withMessage(`cancellationPolicy must be one of: ${CANCELLATION_POLICIES.join(', ')}`),
+  body('promoCode').optional().isString().trim().toUpperCase().isLength({ max: 50 }),
+  body('waitlistEntryId').optional().isMongoId().withMessage('waitlistEntryId must be a valid ID'),
+];
+
+const payBookingHoldValidator = [
+  objectIdParam('id'),
+  body('paymentMethod').optional().isIn(PAYMENT_METHODS)
+    .withMessage(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`),
+];
+
+const extendBookingValidator = [
+  objectIdParam('id'),
+  body('additionalHours').isFloat({ min: 0.25, max: 24 })
+    .withMessage('additionalHours must be between 0.25 and 24').toFloat(),
+  body('paymentMethod').optional().isIn(PAYMENT_METHODS)
+    .withMessage(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`),
+];
+
+const previewBookingSeriesValidator = [
+  body('parkingSpotId').isMongoId().withMessage('parkingSpotId must be a valid ID'),
+  body('daysOfWeek').isArray({ min: 1, max: 7 }).withMessage('daysOfWeek must list at least one day'),
+  body('daysOfWeek.*').isIn(WEEKDAYS).withMessage(`daysOfWeek must only contain: ${WEEKDAYS.join(', ')}`),
+  timeOfDay(body('startTime')),
+  timeOfDay(body('endTime'))
+    .custom((endTime, { req }) => typeof req.body.startTime !== 'string'
+      || occurrenceMinutes(req.body.startTime, endTime) * 60 * 1000 >= MIN_DURATION_MS)
+    .withMessage('Bookings must last at least one hour'),
+  body('startDate').matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true })
+    .withMessage('startDate must be a date in YYYY-MM-DD format'),
+  body('weeks').isInt({ min: 1, max: MAX_SERIES_WEEKS })
+    .withMessage(`weeks must be between 1 and ${MAX_SERIES_WEEKS}`).toInt(),
+];
+
+const createBookingSeriesValidator = [
+  ...previewBookingSeriesValidator,
+  body('paymentMethod').isIn(PAYMENT_METHODS).withMessage(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('cancellationPolicy').optional().isIn(CANCELLATION_POLICIES)
+    .withMessage(`cancellationPolicy must be one of: ${CANCELLATION_POLICIES.join(', ')}`),
+  body('skipConflicts').optional().isBoolean({ strict: true }),
+];
+
+const cancelBookingSeriesValidator = [
+  objectIdParam('id'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+];
+
+const updateBookingStatusValidator = [
+  objectIdParam('id'),
+  body('status').isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+];
+
+const cancelBookingValidator = [
+  objectIdParam('id'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+];
+
+const bookingIdValidator = [objectIdParam('id')];
+
+const issueQrCodeValidator = [
+  objectIdParam('id'),
+  query('action').isIn(QR_ACTIONS).withMessage(`action must be one of: ${QR_ACTIONS.join(', ')}`),
+];
+
+const scanQrCodeValidator = [
+  body('payload').isString().notEmpty().withMessage('payload is required'),
+  body('parkingSpotId').isMongoId().withMessage('parkingSpotId must be a valid ID'),
+];
+
+const listBookingsValidator = [
+  ...paginationQuery,
+  query('status').optional().isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date').toDate(),
+  query('parkingSpotId').optional().isMongoId().withMessage('parkingSpotId must be a valid ID'),
+  query('partnerId').optional().isMongoId().withMessage('partnerId must be a valid ID'),
+];
+
+module.exports = {
+  createBookingValidator,
+  payBookingHoldValidator,
+  extendBookingValidator,
+  previewBookingSeriesValidator,
+  createBookingSeriesValidator,
+  cancelBookingSeriesValidator,
+  updateBookingStatusValidator,
+  cancelBookingValidator,
+  bookingIdValidator,
+  issueQrCodeValidator,
+  scanQrCodeValidator,
+  listBookingsValidator,
+};
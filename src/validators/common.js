@@ -0,0 +1,32 @@
+/**
+ * Common Validators
+ * 
+ * Reusable express-validator chains shared by the resource validators.
+ */
+
+const { param, query } = require('express-validator');
+
+/**
+ * Validate a MongoDB ObjectId route parameter.
+ * @param {string} name - The parameter name.
+ * @returns {Function} - Returns the validation chain.
+ */
+const objectIdParam = (name) => param(name).isMongoId().withMessage(`${name} must be a valid ID`);
+
+/**
+ * Validate a 24-hour 'HH:MM' time string in the given field.
+ * @param {Function} field - The express-validator field chain.
+ * @returns {Function} - Returns the validation chain.
+ */
+const timeOfDay = (field) => field.matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Must be a time in HH:MM format');
+
+const paginationQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt(),
+];
+
+module.exports = {
+  objectIdParam,
+  timeOfDay,
+  paginationQuery,
+};
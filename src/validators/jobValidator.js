@@ -0,0 +1,19 @@
+/**
+ * Job Validators - express-validator chains for background job admin routes.
+ */
+
+const { param } = require('express-validator');
+const { paginationQuery } = require('./common');
+
+const jobNameParam = param('name')
+  .matches(/^[a-z0-9-]+$/)
+  .withMessage('name must be a job name (lowercase letters, digits and dashes)');
+
+const jobNameValidator = [jobNameParam];
+
+const jobRunsValidator = [jobNameParam, ...paginationQuery];
+
+module.exports = {
+  jobNameValidator,
+  jobRunsValidator,
+};
@@ -0,0 +1,121 @@
+/**
+ * Parking Spot Validators - express-validator chains for parking spot routes.
+ * 
+ * Constraints mirror the ParkingSpot model. Create requires the same fields as the
+ * schema; update accepts any subset of them.
+ */
+
+const { body, query } = require('express-validator');
+const ParkingSpot = require('../models/parkingSpot');
+const config = require('../config');
+const { objectIdParam, timeOfDay } = require('./common');
+
+const SECURITY_LEVELS = ParkingSpot.schema.path('securityLevel').enumValues;
+const OPEN_STATUSES = ParkingSpot.schema.path('operatingHours.weekdays.status').enumValues;
+const CLOCK_TIME = /^(0?[1-9]|1[0-2]):[0-5]\d (AM|PM)$/; // Operating hours use '08:00 AM'
+const SEARCH_SORTS = ['distance', 'price'];
+const { minWindowMinutes, maxWindowMinutes } = config.noShow;
+
+/**
+ * Check that a string is an IANA timezone known to the runtime.
+ * @param {string} timezone - The timezone.
+ * @returns {boolean} - Returns true if the timezone is valid.
+ */
+const isTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Validate a no-show window in minutes.
+ * @param {Function} field - The express-validator field chain.
+ * @returns {Function} - Returns the validation chain.
+ */
+const noShowWindow = (field) => field.isInt({ min: minWindowMinutes, max: maxWindowMinutes })
+  .withMessage(`noShowWindowMinutes must be between ${minWindowMinutes} and ${maxWindowMinutes}`).toInt();
+
+/**
+ * Build the parking spot field chains.
+ * @param {boolean} isUpdate - Whether fields required on create become optional.
+ * @returns {Array<Function>} - Returns the validation chains.
+ */
+const spotFields = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name')).trim().notEmpty().withMessage('Parking spot name is required'),
+    required(body('location.latitude')).isFloat({ min: -90, max: 90 }).withMessage('latitude must be between -90 and 90').toFloat(),
+    required(body('location.longitude')).isFloat({ min: -180, max: 180 }).withMessage('longitude must be between -180 and 180').toFloat(),
+    required(body('location.address')).trim().notEmpty().withMessage('Address is required'),
+    body('location.googleMapsLink').optional({ values: 'null' }).isURL(),
+    required(body('capacity')).isInt({ min: 1 }).withMessage('capacity must be at least 1').toInt(),
+    body('availableSpots').optional().isInt({ min: 0 }).toInt()
+      .custom((availableSpots, { req }) => req.body.capacity === undefined || availableSpots <= Number(req.body.capacity))
+      .withMessage('availableSpots cannot exceed capacity'),
+
+    required(body('pricing.hourlyRate')).isFloat({ min: 0 }).withMessage('hourlyRate cannot be negative').toFloat(),
+    body(['pricing.dailyRate', 'pricing.monthlySubscription', 'pricing.pushUpPrice']).optional().isFloat({ min: 0 }).toFloat(),
+    body('pricing.peakHourPricing.enabled').optional().isBoolean({ strict: true }),
+    body('pricing.peakHourPricing.increasePercentage').optional().isFloat({ min: 0 }).toFloat(),
+    timeOfDay(body(['pricing.peakHourPricing.startTime', 'pricing.peakHourPricing.endTime']).optional()),
+    body('pricing.specialEventPricing.enabled').optional().isBoolean({ strict: true }),
+    body('pricing.specialEventPricing.eventName').optional({ values: 'null' }).isString().trim(),
+    body('pricing.specialEventPricing.adjustedRate').optional().isFloat({ min: 0 }).toFloat(),
+
+    body('securityLevel').optional().isIn(SECURITY_LEVELS).withMessage(`securityLevel must be one of: ${SECURITY_LEVELS.join(', ')}`),
+    body(['amenities.cctv', 'amenities.gatedEntry', 'amenities.onSiteStaff', 'amenities.coveredParking', 'amenities.twentyFourSevenAccess'])
+      .optional().isBoolean({ strict: true }),
+    body('amenities.evChargingStations').optional().isInt({ min: 0 }).toInt(),
+
+    body('operatingHours.timezone').optional().isString().custom(isTimezone).withMessage('timezone must be an IANA timezone'),
+    body(['operatingHours.weekdays.openTime', 'operatingHours.weekdays.closeTime', 'operatingHours.weekends.openTime', 'operatingHours.weekends.closeTime'])
+      .optional().matches(CLOCK_TIME).withMessage("Must be a time such as '08:00 AM'"),
+    body(['operatingHours.weekdays.status', 'operatingHours.weekends.status']).optional().isIn(OPEN_STATUSES),
+    body('operatingHours.holidays').optional().isArray(),
+    body('operatingHours.holidays.*.date').isISO8601().withMessage('Holiday date must be an ISO 8601 date').toDate(),
+    body('operatingHours.holidays.*.reason').isString().trim().notEmpty().withMessage('Holiday reason is required'),
+    body('operatingHours.holidays.*.status').optional().isIn(OPEN_STATUSES),
+
+    noShowWindow(body('noShowWindowMinutes').optional({ values: 'null' })),
+
+    body('penaltyRules').optional().isArray(),
+    body('penaltyRules.*.violation').isString().trim().notEmpty().withMessage('Penalty violation is required'),
+    body('penaltyRules.*.fineAmount').isFloat({ min: 0 }).withMessage('fineAmount cannot be negative').toFloat(),
+  ];
+};
+
+const createParkingSpotValidator = spotFields(false);
+
+const updateParkingSpotValidator = [objectIdParam('id'), ...spotFields(true)];
+
+const parkingSpotIdValidator = [objectIdParam('id')];
+
+// null resets the spot to the default window
+const noShowWindowValidator = [
+  objectIdParam('id'),
+  body('noShowWindowMinutes').exists().withMessage('noShowWindowMinutes is required'),
+  noShowWindow(body('noShowWindowMinutes').optional({ values: 'null' })),
+];
+
+const availabilitySearchValidator = [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90').toFloat(),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180').toFloat(),
+  query('radius').optional().isInt({ min: 1, max: 50000 }).withMessage('radius must be between 1 and 50000 meters').toInt(),
+  query('start').isISO8601().withMessage('start must be an ISO 8601 date').toDate(),
+  query('end').isISO8601().withMessage('end must be an ISO 8601 date').toDate()
+    .custom((end, { req }) => end > new Date(req.query.start)).withMessage('end must be after start'),
+  query('sort').optional().isIn(SEARCH_SORTS).withMessage(`sort must be one of: ${SEARCH_SORTS.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt(),
+];
+
+module.exports = {
+  createParkingSpotValidator,
+  updateParkingSpotValidator,
+  parkingSpotIdValidator,
+  noShowWindowValidator,
+  availabilitySearchValidator,
+};
@@ -0,0 +1,40 @@
+/**
+ * Payment Validators - express-validator chains for payment routes.
+ */
+
+const { body } = require('express-validator');
+const Payment = require('../models/payment');
+const { objectIdParam } = require('./common');
+
+const CURRENCIES = Payment.schema.path('currency').enumValues;
+const PAYMENT_METHODS = Payment.schema.path('paymentMethod').enumValues;
+const STATUSES = Payment.schema.path('status').enumValues;
+
+const createPaymentValidator = [
+  body('bookingId').isMongoId().withMessage('bookingId must be a valid ID'),
+  body('amount').isFloat({ min: 0 }).withMessage('amount cannot be negative').toFloat(),
+  body('currency').optional().isIn(CURRENCIES).withMessage(`currency must be one of: ${CURRENCIES.join(', ')}`),
+  body('taxAmount').optional().isFloat({ min: 0 }).withMessage('taxAmount cannot be negative').toFloat(),
+  body('paymentMethod').isIn(PAYMENT_METHODS).withMessage(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`),
+];
+
+const refundPaymentValidator = [
+  objectIdParam('id'),
+  body('refundAmount').isFloat({ gt: 0 }).withMessage('refundAmount must be greater than zero').toFloat(),
+  body('refundReason').trim().notEmpty().withMessage('refundReason is required').isLength({ max: 500 }),
+];
+
+const updatePaymentStatusValidator = [
+  objectIdParam('id'),
+  body('status').isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+];
+
+const paymentIdValidator = [objectIdParam('id')];
+
+module.exports = {
+  createPaymentValidator,
+  refundPaymentValidator,
+  updatePaymentStatusValidator,
+  paymentIdValidator,
+};
@@ -0,0 +1,38 @@
+/**
+ * Penalty Validators - express-validator chains for penalty routes.
+ */
+
+const { body } = require('express-validator');
+const Penalty = require('../models/penalty');
+const { objectIdParam } = require('./common');
+
+const VIOLATION_TYPES = Penalty.schema.path('violationType').enumValues;
+const STATUSES = Penalty.schema.path('status').enumValues;
+
+const issuePenaltyValidator = [
+  body('userId').isMongoId().withMessage('userId must be a valid ID'),
+  body('bookingId').optional().isMongoId().withMessage('bookingId must be a valid ID'),
+  body('parkingSpotId').isMongoId().withMessage('parkingSpotId must be a valid ID'),
+  body('violationType').isIn(VIOLATION_TYPES).withMessage(`violationType must be one of: ${VIOLATION_TYPES.join(', ')}`),
+  body('fineAmount').isFloat({ min: 0 }).withMessage('fineAmount cannot be negative').toFloat(),
+];
+
+const disputePenaltyValidator = [
+  objectIdParam('id'),
+  body('disputeReason').trim().notEmpty().withMessage('disputeReason is required').isLength({ max: 1000 }),
+];
+
+const updatePenaltyStatusValidator = [
+  objectIdParam('id'),
+  body('status').isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+];
+
+const penaltyIdValidator = [objectIdParam('id')];
+
+module.exports = {
+  issuePenaltyValidator,
+  disputePenaltyValidator,
+  updatePenaltyStatusValidator,
+  penaltyIdValidator,
+};
@@ -0,0 +1,46 @@
+/**
+ * Promo Code Validators - express-validator chains for promo code admin routes.
+ */
+
+const { body, query } = require('express-validator');
+const PromoCode = require('../models/promoCode');
+const { objectIdParam, paginationQuery } = require('./common');
+
+const DISCOUNT_TYPES = PromoCode.schema.path('discountType').enumValues;
+const STATUSES = PromoCode.schema.path('status').enumValues;
+
+const createPromoCodeValidator = [
+  body('code').isString().trim().toUpperCase().matches(/^[A-Z0-9_-]{3,50}$/)
+    .withMessage('code must be 3 to 50 letters, digits, dashes or underscores'),
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }),
+  body('discountType').isIn(DISCOUNT_TYPES).withMessage(`discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('discountValue').isFloat({ gt: 0 }).withMessage('discountValue must be greater than 0').toFloat()
+    .custom((discountValue, { req }) => req.body.discountType !== 'percentage' || discountValue <= 100)
+    .withMessage('A percentage discount cannot be more than 100'),
+  body('maxDiscount').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('maxDiscount must be greater than 0').toFloat(),
+  body('minSpend').optional().isFloat({ min: 0 }).withMessage('minSpend cannot be negative').toFloat(),
+  body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('usageLimit must be a positive integer').toInt(),
+  body('perUserLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('perUserLimit must be a positive integer').toInt(),
+  body('validFrom').optional().isISO8601().withMessage('validFrom must be an ISO 8601 date').toDate(),
+  body('validUntil').optional({ values: 'null' }).isISO8601().withMessage('validUntil must be an ISO 8601 date').toDate()
+    .custom((validUntil, { req }) => validUntil > (req.body.validFrom ? new Date(req.body.validFrom) : new Date()))
+    .withMessage('validUntil must be after validFrom'),
+  body('parkingSpotIds').optional().isArray().withMessage('parkingSpotIds must be an array'),
+  body('parkingSpotIds.*').isMongoId().withMessage('parkingSpotIds must contain valid IDs'),
+  body('partnerIds').optional().isArray().withMessage('partnerIds must be an array'),
+  body('partnerIds.*').isMongoId().withMessage('partnerIds must contain valid IDs'),
+  body('firstBookingOnly').optional().isBoolean({ strict: true }),
+];
+
+const listPromoCodesValidator = [
+  query('status').optional().isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+  ...paginationQuery,
+];
+
+const promoCodeIdValidator = [objectIdParam('id')];
+
+module.exports = {
+  createPromoCodeValidator,
+  listPromoCodesValidator,
+  promoCodeIdValidator,
+};
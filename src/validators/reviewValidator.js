@@ -0,0 +1,40 @@
+/**
+ * Review Validators - express-validator chains for review routes.
+ */
+
+const { body } = require('express-validator');
+const Review = require('../models/review');
+const { objectIdParam } = require('./common');
+
+const STATUSES = Review.schema.path('status').enumValues;
+
+const createReviewValidator = [
+  body('parkingSpotId').optional().isMongoId().withMessage('parkingSpotId must be a valid ID'),
+  body('partnerId').optional().isMongoId().withMessage('partnerId must be a valid ID'),
+  body().custom((value) => Boolean(value.parkingSpotId || value.partnerId))
+    .withMessage('A review must target a parkingSpotId or a partnerId'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('rating must be a whole number between 1 and 5').toInt(),
+  body('reviewText').optional().isString().trim().isLength({ max: 1000 }).withMessage('reviewText cannot exceed 1000 characters'),
+];
+
+const respondToReviewValidator = [
+  objectIdParam('id'),
+  body('response').trim().notEmpty().withMessage('response is required')
+    .isLength({ max: 500 }).withMessage('response cannot exceed 500 characters'),
+];
+
+const moderateReviewValidator = [
+  objectIdParam('id'),
+  body('status').isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+  body('flaggedReason').if(body('status').equals('flagged'))
+    .trim().notEmpty().withMessage('flaggedReason is required when flagging a review'),
+];
+
+const reviewIdValidator = [objectIdParam('id')];
+
+module.exports = {
+  createReviewValidator,
+  respondToReviewValidator,
+  moderateReviewValidator,
+  reviewIdValidator,
+};
@@ -0,0 +1,48 @@
+/**
+ * Support Ticket Validators - express-validator chains for support ticket routes.
+ */
+
+const { body } = require('express-validator');
+const SupportTicket = require('../models/supportTicket');
+const { objectIdParam } = require('./common');
+
+const STATUSES = SupportTicket.schema.path('status').enumValues;
+const PRIORITIES = SupportTicket.schema.path('priority').enumValues;
+const CHANNELS = SupportTicket.schema.path('communicationChannel').caster.enumValues;
+
+const createTicketValidator = [
+  body('subject').trim().notEmpty().withMessage('subject is required').isLength({ max: 200 }),
+  body('description').trim().notEmpty().withMessage('description is required')
+    .isLength({ max: 2000 }).withMessage('description cannot exceed 2000 characters'),
+  body('priority').optional().isIn(PRIORITIES).withMessage(`priority must be one of: ${PRIORITIES.join(', ')}`),
+  body('communicationChannel').optional().isArray({ min: 1 }).withMessage('communicationChannel must be a non-empty array'),
+  body('communicationChannel.*').isIn(CHANNELS).withMessage(`communicationChannel entries must be one of: ${CHANNELS.join(', ')}`),
+];
+
+const addTicketMessageValidator = [
+  objectIdParam('id'),
+  body('message').trim().notEmpty().withMessage('message is required').isLength({ max: 2000 }),
+  body('attachment').optional({ values: 'null' }).isURL().withMessage('attachment must be a URL'),
+];
+
+const updateTicketStatusValidator = [
+  objectIdParam('id'),
+  body('status').isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+  body('resolutionNotes').optional().isString().trim().isLength({ max: 2000 }),
+];
+
+const ticketFeedbackValidator = [
+  objectIdParam('id'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('rating must be a whole number between 1 and 5').toInt(),
+  body('comment').optional().isString().trim().isLength({ max: 1000 }),
+];
+
+const ticketIdValidator = [objectIdParam('id')];
+
+module.exports = {
+  createTicketValidator,
+  addTicketMessageValidator,
+  updateTicketStatusValidator,
+  ticketFeedbackValidator,
+  ticketIdValidator,
+};
@@ -0,0 +1,94 @@
+/**
+ * User Validators - express-validator chains for authentication and account routes.
+ * 
+ * Constraints mirror the User model: required name and email, email format,
+ * passwords of at least 8 characters, and self-service roles only at sign up.
+ */
+
+const { body, check } = require('express-validator');
+const { objectIdParam } = require('./common');
+
+const SELF_SERVICE_ROLES = ['user', 'partner'];
+
+const email = () => body('email').trim().isEmail().withMessage('A valid email is required').normalizeEmail();
+const password = (field = 'password') => body(field)
+  .isString().withMessage('Password is required')
+  .isLength({ min: 8 }).withMessage('Password must be at least 8 characters');
+const totpCode = () => body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits');
+
+const registerValidator = [
+  body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+  email(),
+  password(),
+  body('role').optional().isIn(SELF_SERVICE_ROLES).withMessage(`Role must be one of: ${SELF_SERVICE_ROLES.join(', ')}`),
+  body('phoneNumber').optional().trim().isMobilePhone('any').withMessage('Invalid phone number'),
+];
+
+const loginValidator = [
+  email(),
+  body('password').isString().notEmpty().withMessage('Password is required'),
+];
+
+const forgotPasswordValidator = [email()];
+
+const resetPasswordValidator = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  password(),
+];
+
+const tokenValidator = [
+  check('token').isString().notEmpty().withMessage('Token is required'),
+];
+
+const refreshTokenValidator = [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+];
+
+const twoFactorVerifyValidator = [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isString().trim().notEmpty(),
+  body().custom((value) => Boolean(value.code || value.recoveryCode)).withMessage('A code or recovery code is required'),
+];
+
+const updateTwoFactorValidator = [
+  body('enabled').isBoolean({ strict: true }).withMessage('enabled must be a boolean'),
+];
+
+const totpCodeValidator = [totpCode()];
+
+const updateProfileValidator = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty').isLength({ max: 100 }),
+  body('phoneNumber').optional().trim().isMobilePhone('any').withMessage('Invalid phone number'),
+  body('address').optional().isObject(),
+  body(['address.street', 'address.city', 'address.state', 'address.zipCode', 'address.country'])
+    .optional().isString().trim(),
+  body(['password', 'role', 'email']).not().exists().withMessage('This field cannot be changed here'),
+];
+
+const sessionIdValidator = [
+  check('sessionId').isUUID().withMessage('sessionId must be a valid session ID'),
+];
+
+const userIdValidator = [objectIdParam('userId')];
+
+const lockAccountValidator = [
+  objectIdParam('userId'),
+  body('reason').isString().trim().notEmpty().withMessage('A lock reason is required').isLength({ max: 200 }),
+];
+
+module.exports = {
+  registerValidator,
+  loginValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+  tokenValidator,
+  refreshTokenValidator,
+  twoFactorVerifyValidator,
+  updateTwoFactorValidator,
+  totpCodeValidator,
+  updateProfileValidator,
+  sessionIdValidator,
+  userIdValidator,
+  lockAccountValidator,
+};
@@ -0,0 +1,28 @@
+/**
+ * Waitlist Validators - express-validator chains for waitlist routes.
+ */
+
+const { body, query } = require('express-validator');
+const WaitlistEntry = require('../models/waitlistEntry');
+const { objectIdParam } = require('./common');
+
+const STATUSES = WaitlistEntry.schema.path('status').enumValues;
+
+const joinWaitlistValidator = [
+  body('parkingSpotId').isMongoId().withMessage('parkingSpotId must be a valid ID'),
+  body('start').isISO8601().withMessage('start must be an ISO 8601 date').toDate(),
+  body('end').isISO8601().withMessage('end must be an ISO 8601 date').toDate()
+    .custom((end, { req }) => end > new Date(req.body.start)).withMessage('end must be after start'),
+];
+
+const listWaitlistValidator = [
+  query('status').optional().isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+];
+
+const waitlistEntryIdValidator = [objectIdParam('id')];
+
+module.exports = {
+  joinWaitlistValidator,
+  listWaitlistValidator,
+  waitlistEntryIdValidator,
+};
@@ -0,0 +1,129 @@
+/**
+ * AvailabilityService capacity checks and spot locking, over in-memory repositories.
+ */
+
+jest.mock('../../src/repositories/BookingRepository', () => ({ findOverlappingBookings: jest.fn() }));
+jest.mock('../../src/repositories/BookingHoldRepository', () => ({ findActiveHolds: jest.fn() }));
+jest.mock('../../src/repositories/WaitlistRepository', () => ({ findActiveHolds: jest.fn() }));
+jest.mock('../../src/repositories/ParkingSpotRepository', () => ({
+  acquireBookingLock: jest.fn(),
+  releaseBookingLock: jest.fn(),
+}));
+
+const BookingRepository = require('../../src/repositories/BookingRepository');
+const BookingHoldRepository = require('../../src/repositories/BookingHoldRepository');
+const WaitlistRepository = require('../../src/repositories/WaitlistRepository');
+const ParkingSpotRepository = require('../../src/repositories/ParkingSpotRepository');
+const AvailabilityService = require('../../src/services/AvailabilityService');
+const config = require('../../src/config');
+
+const NOW = new Date('2026-10-19T06:00:00Z');
+const at = (hour) => new Date(Date.UTC(2026, 9, 19, hour));
+const booking = (startHour, endHour) => ({ parkingSpotId: 'spot-1', bookingStart: at(startHour), bookingEnd: at(endHour) });
+
+const spot = { _id: 'spot-1', capacity: 2 };
+
+/**
+ * Back the mocked repositories with in-memory bookings and holds, following the real overlap queries.
+ * @param {Object} data - The bookings, checkout holds and waitlist holds on the spot.
+ * @returns {void}
+ */
+const seed = ({ bookings = [], checkoutHolds = [], waitlistHolds = [] }) => {
+  const overlaps = (start, end) => (entry) => entry.bookingStart < end && entry.bookingEnd > start;
+  BookingRepository.findOverlappingBookings.mockImplementation(async (spotId, start, end) => bookings.filter(overlaps(start, end)));
+  BookingHoldRepository.findActiveHolds.mockImplementation(async (spotIds, start, end) => checkoutHolds.filter(overlaps(start, end)));
+  WaitlistRepository.findActiveHolds.mockImplementation(async (spotIds, start, end) => waitlistHolds
+    .filter((hold) => hold.windowStart < end && hold.windowEnd > start));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('AvailabilityService.getSpotAvailability', () => {
+  test('counts the peak number of simultaneous bookings, not every booking in the window', async () => {
+    // 08-10 and 12-14 never overlap, so only one space is taken at any moment
+    seed({ bookings: [booking(8, 10), booking(12, 14)] });
+
+    expect(await AvailabilityService.getSpotAvailability(spot, at(8), at(14), { now: NOW }))
+      .toEqual({ capacity: 2, occupied: 1, available: 1 });
+  });
+
+  test('frees the space of a booking ending at the moment another starts', async () => {
+    seed({ bookings: [booking(8, 10), booking(10, 12), booking(9, 11)] });
+
+    expect(await AvailabilityService.getSpotAvailability(spot, at(8), at(12), { now: NOW }))
+      .toEqual({ capacity: 2, occupied: 2, available: 0 });
+    expect(await AvailabilityService.getSpotAvailability(spot, at(11), at(12), { now: NOW }))
+      .toEqual({ capacity: 2, occupied: 1, available: 1 });
+  });
+
+  test('counts live checkout holds, and a waitlist hold taken over by a checkout only once', async () => {
+    seed({
+      checkoutHolds: [{ ...booking(8, 10), waitlistEntryId: 'entry-1' }],
+      waitlistHolds: [
+        { _id: 'entry-1', parkingSpotId: 'spot-1', windowStart: at(8), windowEnd: at(10) },
+        { _id: 'entry-2', parkingSpotId: 'spot-1', windowStart: at(9), windowEnd: at(11) },
+      ],
+    });
+
+    expect(await AvailabilityService.getSpotAvailability(spot, at(8), at(11), { now: NOW }))
+      .toEqual({ capacity: 2, occupied: 2, available: 0 });
+  });
+});
+
+describe('AvailabilityService.assertSpotAvailable', () => {
+  test('rejects a window in which the spot is full', async () => {
+    seed({ bookings: [booking(8, 12), booking(10, 14)] });
+
+    await expect(AvailabilityService.assertSpotAvailable(spot, at(11), at(13), { now: NOW }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(AvailabilityService.assertSpotAvailable(spot, at(12), at(13), { now: NOW }))
+      .resolves.toMatchObject({ available: 1 });
+  });
+
+  test('leaves out the booking being extended', async () => {
+    seed({ bookings: [booking(8, 12)] });
+
+    await AvailabilityService.assertSpotAvailable(spot, at(12), at(13), { excludeBookingId: 'booking-1', now: NOW });
+
+    expect(BookingRepository.findOverlappingBookings)
+      .toHaveBeenCalledWith('spot-1', at(12), at(13), AvailabilityService.ACTIVE_BOOKING_STATUSES, 'booking-1');
+  });
+});
+
+describe('AvailabilityService.withSpotLock', () => {
+  const { spotLockRetries, spotLockRetryDelayMs } = config.booking;
+
+  beforeEach(() => {
+    config.booking.spotLockRetries = 2;
+    config.booking.spotLockRetryDelayMs = 1;
+  });
+
+  afterAll(() => {
+    config.booking.spotLockRetries = spotLockRetries;
+    config.booking.spotLockRetryDelayMs = spotLockRetryDelayMs;
+  });
+
+  test('waits for the lock, runs the task and releases the lock even when the task fails', async () => {
+    ParkingSpotRepository.acquireBookingLock.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    await expect(AvailabilityService.withSpotLock('spot-1', async () => { throw new Error('Write failed'); }))
+      .rejects.toThrow('Write failed');
+
+    expect(ParkingSpotRepository.acquireBookingLock).toHaveBeenCalledTimes(2);
+    const [, holder] = ParkingSpotRepository.acquireBookingLock.mock.calls[1];
+    expect(ParkingSpotRepository.releaseBookingLock).toHaveBeenCalledWith('spot-1', holder);
+  });
+
+  test('gives up with 503 when the lock stays taken', async () => {
+    ParkingSpotRepository.acquireBookingLock.mockResolvedValue(false);
+    const task = jest.fn();
+
+    await expect(AvailabilityService.withSpotLock('spot-1', task)).rejects.toMatchObject({ statusCode: 503 });
+
+    expect(ParkingSpotRepository.acquireBookingLock).toHaveBeenCalledTimes(3);
+    expect(task).not.toHaveBeenCalled();
+    expect(ParkingSpotRepository.releaseBookingLock).not.toHaveBeenCalled();
+  });
+});
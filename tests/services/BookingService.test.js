@@ -0,0 +1,463 @@
+/**
+ * BookingService, driven by a fake clock over in-memory repositories.
+ */
+
+jest.mock('../../src/repositories/BookingRepository', () => ({
+  findById: jest.fn(),
+  createBooking: jest.fn(),
+  updateBooking: jest.fn(),
+  searchBookings: jest.fn(),
+  transitionStatus: jest.fn(),
+  extendBooking: jest.fn(),
+}));
+jest.mock('../../src/repositories/PaymentRepository', () => ({
+  createPayment: jest.fn(),
+  findSuccessfulByBookingId: jest.fn(),
+  findSuccessfulPaymentsByBookingId: jest.fn(),
+  findRefundablePayments: jest.fn(),
+  processRefund: jest.fn(),
+}));
+jest.mock('../../src/repositories/BookingHoldRepository', () => ({
+  findById: jest.fn(),
+  claimHold: jest.fn(),
+  restoreHold: jest.fn(),
+}));
+jest.mock('../../src/repositories/PartnerRepository', () => ({}));
+jest.mock('../../src/repositories/ClientRepository', () => ({}));
+jest.mock('../../src/repositories/ParkingSpotRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/AvailabilityService', () => ({
+  ACTIVE_BOOKING_STATUSES: ['pending', 'confirmed'],
+  assertSpotOpen: jest.fn(),
+  assertSpotAvailable: jest.fn(),
+  withSpotLock: jest.fn(async (spotId, task) => task()),
+}));
+jest.mock('../../src/services/PromoCodeService', () => ({
+  redeemPromoCode: jest.fn(),
+  cancelRedemption: jest.fn(),
+  linkRedemption: jest.fn(),
+}));
+jest.mock('../../src/services/NotificationService', () => ({ notifyUser: jest.fn() }));
+jest.mock('../../src/services/WaitlistService', () => ({ offerFreedCapacity: jest.fn(), completeHold: jest.fn() }));
+
+const mongoose = require('mongoose');
+const BookingRepository = require('../../src/repositories/BookingRepository');
+const PaymentRepository = require('../../src/repositories/PaymentRepository');
+const BookingHoldRepository = require('../../src/repositories/BookingHoldRepository');
+const ParkingSpotRepository = require('../../src/repositories/ParkingSpotRepository');
+const AvailabilityService = require('../../src/services/AvailabilityService');
+const PromoCodeService = require('../../src/services/PromoCodeService');
+const NotificationService = require('../../src/services/NotificationService');
+const WaitlistService = require('../../src/services/WaitlistService');
+const BookingService = require('../../src/services/BookingService');
+const config = require('../../src/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T10:00:00Z');
+const later = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+const client = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+const partner = { _id: new mongoose.Types.ObjectId(), role: 'partner' };
+
+let bookings;
+let payments;
+
+/**
+ * Back the mocked repositories with in-memory bookings and payments, following the real queries.
+ * @param {Array<Object>} bookingList - The bookings.
+ * @param {Array<Object>} paymentList - The payments, oldest first.
+ * @returns {void}
+ */
+const seed = (bookingList, paymentList = []) => {
+  bookings = new Map(bookingList.map((booking) => [booking._id, booking]));
+  payments = paymentList;
+
+  BookingRepository.findById.mockImplementation(async (bookingId) => bookings.get(bookingId) || null);
+  BookingRepository.updateBooking.mockImplementation(async (bookingId, update) => {
+    const booking = bookings.get(bookingId);
+    Object.assign(booking, update);
+    return { ...booking };
+  });
+  BookingRepository.transitionStatus.mockImplementation(async (bookingId, fromStatus, toStatus, historyEntry, update) => {
+    const booking = bookings.get(bookingId);
+    if (booking.status !== fromStatus) return null;
+    Object.assign(booking, update, { status: toStatus, statusHistory: [...booking.statusHistory, historyEntry] });
+    return { ...booking };
+  });
+  BookingRepository.searchBookings.mockImplementation(async (filters, { limit, sort }) => [...bookings.values()]
+    .filter((booking) => Object.entries(filters).every(([field, value]) => (value?.$lt ? booking[field] < value.$lt : booking[field] === value)))
+    .sort((a, b) => a[sort] - b[sort])
+    .slice(0, limit));
+
+  const bookingPayments = (bookingId) => payments.filter((payment) => payment.bookingId === bookingId).reverse();
+  PaymentRepository.findSuccessfulByBookingId.mockImplementation(async (bookingId) => bookingPayments(bookingId)
+    .find((payment) => payment.status === 'successful') || null);
+  PaymentRepository.findSuccessfulPaymentsByBookingId.mockImplementation(async (bookingId) => bookingPayments(bookingId)
+    .filter((payment) => payment.status === 'successful'));
+  PaymentRepository.findRefundablePayments.mockImplementation(async (bookingId, reference) => bookingPayments(bookingId)
+    .filter((payment) => payment.status === 'successful' || payment.refunds.some((refund) => refund.reference === reference))
+    .map((payment) => ({ ...payment, refunds: [...payment.refunds] })));
+  PaymentRepository.processRefund.mockImplementation(async (paymentId, refundAmount, refundReason, reference) => {
+    const payment = payments.find((entry) => entry._id === paymentId);
+    if (payment.refunds.some((refund) => refund.reference === reference)) return null;
+    const amount = Math.min(refundAmount, payment.totalAmount - payment.refundAmount);
+    payment.refundAmount += amount;
+    payment.refunds.push({ reference, amount, reason: refundReason });
+    if (payment.refundAmount >= payment.totalAmount) payment.status = 'refunded';
+    return { ...payment, refunds: [...payment.refunds] };
+  });
+};
+
+const paidBooking = (id, overrides = {}) => ({
+  _id: id,
+  userId: client._id,
+  partnerId: 'partner-1',
+  parkingSpotId: 'spot-1',
+  status: 'confirmed',
+  bookingStart: new Date(NOW.getTime() + 48 * HOUR_MS),
+  bookingEnd: new Date(NOW.getTime() + 50 * HOUR_MS),
+  amountPaid: 20,
+  cancellationPolicy: 'moderate',
+  refundAmount: 0,
+  refundPending: false,
+  refundAttemptedAt: null,
+  statusHistory: [],
+  ...overrides,
+});
+
+const pendingBooking = (id, createdAt) => paidBooking(id, { status: 'pending', autoCancelIfUnpaid: true, createdAt });
+
+const payment = (id, bookingId, totalAmount) => ({
+  _id: id,
+  bookingId,
+  totalAmount,
+  refundAmount: 0,
+  status: 'successful',
+  refunds: [],
+});
+
+const { expirySweepBatchSize } = config.booking;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  config.booking.expirySweepBatchSize = expirySweepBatchSize;
+});
+
+describe('BookingService.cancelBooking', () => {
+  test('refunds the amount owed under the policy, newest payment first, and clears the pending refund', async () => {
+    seed([paidBooking('b1')], [payment('p1', 'b1', 20), payment('p2', 'b1', 5)]);
+
+    const { booking, quote } = await BookingService.cancelBooking('b1', client, null, { now: NOW });
+
+    expect(quote.refundAmount).toBe(20);
+    expect(booking.status).toBe('cancelled');
+    expect(booking.refundPending).toBe(false);
+    expect(payments.map((entry) => entry.refundAmount)).toEqual([15, 5]);
+    expect(payments[1].refunds[0].reason).toBe('Booking cancelled under moderate policy');
+  });
+
+  test('keeps the refund owed when it fails after the status change, and the retry finishes it without paying twice', async () => {
+    seed([paidBooking('b1')], [payment('p1', 'b1', 20), payment('p2', 'b1', 5)]);
+    const processRefund = PaymentRepository.processRefund.getMockImplementation();
+    PaymentRepository.processRefund.mockImplementation(async (paymentId, ...rest) => {
+      if (paymentId === 'p1') throw new Error('Payment gateway unavailable');
+      return processRefund(paymentId, ...rest);
+    });
+
+    await expect(BookingService.cancelBooking('b1', client, null, { now: NOW })).rejects.toThrow('Payment gateway unavailable');
+    expect(bookings.get('b1')).toMatchObject({ status: 'cancelled', refundPending: true, refundAmount: 20 });
+    expect(payments.map((entry) => entry.refundAmount)).toEqual([0, 5]);
+
+    // Not retried before the retry delay has passed
+    expect(await BookingService.retryPendingRefunds({ now: later(5) })).toEqual({ checked: 0, refunded: 0, failed: [] });
+
+    PaymentRepository.processRefund.mockImplementation(processRefund);
+    expect(await BookingService.retryPendingRefunds({ now: later(15) })).toEqual({ checked: 1, refunded: 1, failed: [] });
+    expect(bookings.get('b1').refundPending).toBe(false);
+    expect(payments.map((entry) => entry.refundAmount)).toEqual([15, 5]);
+  });
+
+  test('lists refunds that fail again and moves them behind the others', async () => {
+    seed([
+      paidBooking('b1', { status: 'cancelled', refundAmount: 20, refundPending: true, refundAttemptedAt: NOW }),
+      paidBooking('b2', { status: 'cancelled', refundAmount: 10, refundPending: true, refundAttemptedAt: later(1) }),
+    ], [payment('p1', 'b1', 20), payment('p2', 'b2', 10)]);
+    const processRefund = PaymentRepository.processRefund.getMockImplementation();
+    PaymentRepository.processRefund.mockImplementation(async (paymentId, ...rest) => {
+      if (paymentId === 'p1') throw new Error('Payment gateway unavailable');
+      return processRefund(paymentId, ...rest);
+    });
+
+    const result = await BookingService.retryPendingRefunds({ now: later(15) });
+
+    expect(result).toEqual({ checked: 2, refunded: 1, failed: [{ bookingId: 'b1', error: 'Payment gateway unavailable' }] });
+    expect(bookings.get('b1').refundAttemptedAt).toEqual(later(15));
+    expect(bookings.get('b2').refundPending).toBe(false);
+  });
+});
+
+describe('BookingService.updateBookingStatus', () => {
+  test('refunds everything the client paid when the partner cancels, whatever the policy', async () => {
+    // Inside the strict policy's no-refund window, with an extension paid on top
+    seed([paidBooking('b1', { cancellationPolicy: 'strict', bookingStart: later(60) })], [payment('p1', 'b1', 20), payment('p2', 'b1', 5)]);
+
+    const booking = await BookingService.updateBookingStatus('b1', 'cancelled', partner, 'Spot closed for repairs');
+
+    expect(booking).toMatchObject({ status: 'cancelled', cancellationFee: 0, refundAmount: 25, refundPending: false });
+    expect(payments.map((entry) => entry.status)).toEqual(['refunded', 'refunded']);
+    expect(payments[0].refunds[0].reason).toBe('Spot closed for repairs');
+  });
+
+  test('does not refund anything for an unpaid booking', async () => {
+    seed([paidBooking('b1', { status: 'pending' })]);
+
+    const booking = await BookingService.updateBookingStatus('b1', 'cancelled', partner);
+
+    expect(booking).toMatchObject({ status: 'cancelled', refundAmount: 0, refundPending: false });
+    expect(PaymentRepository.processRefund).not.toHaveBeenCalled();
+  });
+});
+
+describe('BookingService.autoCancelExpiredBookings', () => {
+  test('cancels unpaid bookings past the payment window and confirms the paid ones', async () => {
+    seed([
+      pendingBooking('paid', later(-60)),
+      pendingBooking('unpaid', later(-50)),
+      pendingBooking('recent', later(-10)),
+      paidBooking('no-auto-cancel', { status: 'pending', autoCancelIfUnpaid: false, createdAt: later(-60) }),
+    ], [payment('p1', 'paid', 20)]);
+
+    const result = await BookingService.autoCancelExpiredBookings({ now: NOW });
+
+    expect(result).toEqual({ checked: 2, confirmed: 1, cancelled: 1, failed: [] });
+    expect([...bookings.values()].map((booking) => booking.status)).toEqual(['confirmed', 'cancelled', 'pending', 'pending']);
+  });
+
+  test('gets past a full batch of paid bookings to the unpaid ones behind them', async () => {
+    config.booking.expirySweepBatchSize = 2;
+    seed([
+      pendingBooking('paid-1', later(-90)),
+      pendingBooking('paid-2', later(-80)),
+      pendingBooking('unpaid', later(-70)),
+    ], [payment('p1', 'paid-1', 20), payment('p2', 'paid-2', 20)]);
+
+    await BookingService.autoCancelExpiredBookings({ now: NOW });
+    const result = await BookingService.autoCancelExpiredBookings({ now: NOW });
+
+    expect(result).toEqual({ checked: 1, confirmed: 0, cancelled: 1, failed: [] });
+    expect(bookings.get('unpaid').status).toBe('cancelled');
+  });
+
+  test('lists cancellations whose freed space could not be offered to the waitlist and carries on', async () => {
+    seed([pendingBooking('b1', later(-60)), pendingBooking('b2', later(-50))]);
+    WaitlistService.offerFreedCapacity.mockRejectedValueOnce(new Error('Spot lock unavailable'));
+
+    const result = await BookingService.autoCancelExpiredBookings({ now: NOW });
+
+    expect(result).toEqual({ checked: 2, confirmed: 0, cancelled: 1, failed: [{ bookingId: 'b1', error: 'Spot lock unavailable' }] });
+    expect(bookings.get('b1').status).toBe('cancelled');
+    expect(bookings.get('b2').status).toBe('cancelled');
+  });
+});
+
+describe('BookingService.transitionBooking', () => {
+  test('records who changed the status and why, and runs the side effects of the new status', async () => {
+    seed([paidBooking('b1', { status: 'pending' })]);
+
+    const booking = await BookingService.transitionBooking('b1', 'confirmed', { actor: partner, reason: 'Checked by phone' });
+
+    expect(booking.status).toBe('confirmed');
+    expect(booking.statusHistory).toEqual([expect.objectContaining({
+      from: 'pending',
+      to: 'confirmed',
+      actorRole: 'partner',
+      changedBy: partner._id,
+      reason: 'Checked by phone',
+    })]);
+    expect(NotificationService.notifyUser).toHaveBeenCalledWith(client._id, expect.objectContaining({ metadata: { bookingId: 'b1' } }));
+  });
+
+  test('refuses transitions the state machine does not allow', async () => {
+    seed([paidBooking('b1', { status: 'completed' })]);
+
+    await expect(BookingService.transitionBooking('b1', 'cancelled', { actor: partner })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(BookingService.transitionBooking('b1', 'no-show', { actor: client })).rejects.toMatchObject({ statusCode: 409 });
+    expect(BookingRepository.transitionStatus).not.toHaveBeenCalled();
+  });
+
+  test('fails with 409 and runs no side effects when the booking changed meanwhile', async () => {
+    seed([paidBooking('b1', { status: 'pending' })]);
+    BookingRepository.transitionStatus.mockResolvedValueOnce(null);
+
+    await expect(BookingService.transitionBooking('b1', 'cancelled', { actor: client })).rejects.toMatchObject({ statusCode: 409 });
+    expect(WaitlistService.offerFreedCapacity).not.toHaveBeenCalled();
+  });
+});
+
+describe('BookingService.extendBooking', () => {
+  const spot = { _id: 'spot-1', pricing: { hourlyRate: 2, dailyRate: 30 } };
+
+  beforeEach(() => {
+    ParkingSpotRepository.findById.mockResolvedValue(spot);
+    PaymentRepository.createPayment.mockImplementation(async (paymentData) => {
+      const created = { ...payment(`p${payments.length + 1}`, paymentData.bookingId, paymentData.totalAmount), ...paymentData };
+      payments.push(created);
+      return created;
+    });
+    BookingRepository.extendBooking.mockImplementation(async (bookingId, currentEnd, { newEnd, charge }) => {
+      const booking = bookings.get(bookingId);
+      if (booking.bookingEnd.getTime() !== currentEnd.getTime()) return null;
+      Object.assign(booking, { bookingEnd: newEnd, amountPaid: booking.amountPaid + charge });
+      return { ...booking };
+    });
+  });
+
+  test('charges the difference between the quotes for the whole stay before and after', async () => {
+    seed([paidBooking('b1', { amountPaid: 4 })], [payment('p1', 'b1', 4)]);
+
+    const { booking, payment: extensionPayment, charge } = await BookingService.extendBooking('b1', client, { additionalHours: 3 }, { now: NOW });
+
+    expect(charge).toMatchObject({ previousTotal: 4, hours: 5, total: 6 });
+    expect(extensionPayment).toMatchObject({ amount: 6, userId: client._id });
+    expect(extensionPayment.transactionId).toMatch(/^ext_/);
+    expect(booking.bookingEnd).toEqual(new Date(NOW.getTime() + 53 * HOUR_MS));
+    expect(AvailabilityService.assertSpotAvailable)
+      .toHaveBeenCalledWith(spot, new Date(NOW.getTime() + 50 * HOUR_MS), booking.bookingEnd, { excludeBookingId: 'b1' });
+  });
+
+  test('charges nothing for hours the daily cap already covers', async () => {
+    // 20 hours at 2 is capped at 30, and so is the whole day once extended
+    seed([paidBooking('b1', { bookingEnd: new Date(NOW.getTime() + 68 * HOUR_MS), amountPaid: 30 })], [payment('p1', 'b1', 30)]);
+
+    const { booking, payment: extensionPayment, charge } = await BookingService.extendBooking('b1', client, { additionalHours: 4 }, { now: NOW });
+
+    expect(charge).toMatchObject({ previousTotal: 30, total: 0 });
+    expect(charge.lineItems).toContainEqual(expect.objectContaining({ type: 'daily_cap', amount: -18 }));
+    expect(extensionPayment).toBeNull();
+    expect(PaymentRepository.createPayment).not.toHaveBeenCalled();
+    expect(booking.amountPaid).toBe(30);
+  });
+
+  test('takes no payment when the spot is full for the extra time', async () => {
+    seed([paidBooking('b1')], [payment('p1', 'b1', 20)]);
+    AvailabilityService.assertSpotAvailable.mockRejectedValueOnce(Object.assign(new Error('Full'), { statusCode: 409 }));
+
+    await expect(BookingService.extendBooking('b1', client, { additionalHours: 1 }, { now: NOW })).rejects.toMatchObject({ statusCode: 409 });
+    expect(PaymentRepository.createPayment).not.toHaveBeenCalled();
+  });
+
+  test('refunds the charge and frees the time when the booking changed meanwhile', async () => {
+    seed([paidBooking('b1')], [payment('p1', 'b1', 20)]);
+    BookingRepository.extendBooking.mockResolvedValueOnce(null);
+
+    await expect(BookingService.extendBooking('b1', client, { additionalHours: 1 }, { now: NOW })).rejects.toMatchObject({ statusCode: 409 });
+    expect(payments[1]).toMatchObject({ amount: 2, refundAmount: 2, status: 'refunded' });
+    expect(WaitlistService.offerFreedCapacity)
+      .toHaveBeenCalledWith('spot-1', new Date(NOW.getTime() + 50 * HOUR_MS), new Date(NOW.getTime() + 51 * HOUR_MS), { now: NOW });
+  });
+
+  test('refuses to extend a booking that has already ended', async () => {
+    seed([paidBooking('b1', { bookingStart: later(-120), bookingEnd: later(-60) })]);
+
+    await expect(BookingService.extendBooking('b1', client, { additionalHours: 2 }, { now: NOW })).rejects.toMatchObject({ statusCode: 409 });
+    expect(ParkingSpotRepository.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('BookingService.payForHold', () => {
+  let holds;
+
+  const hold = (overrides = {}) => ({
+    _id: 'h1',
+    userId: client._id,
+    parkingSpotId: 'spot-1',
+    partnerId: 'partner-1',
+    bookingStart: new Date(NOW.getTime() + 48 * HOUR_MS),
+    bookingEnd: new Date(NOW.getTime() + 50 * HOUR_MS),
+    amountDue: 18,
+    paymentMethod: 'card',
+    cancellationPolicy: 'moderate',
+    priceBreakdown: [],
+    promoCodeUsed: 'SAVE10',
+    discount: { promoCodeId: 'promo-1', code: 'SAVE10', discountAmount: 2 },
+    waitlistEntryId: null,
+    expiresAt: later(10),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    seed([]);
+    holds = new Map([['h1', hold()]]);
+    BookingHoldRepository.findById.mockImplementation(async (holdId) => holds.get(holdId) || null);
+    BookingHoldRepository.claimHold.mockImplementation(async (holdId, now) => {
+      const claimed = holds.get(holdId);
+      if (!claimed || claimed.expiresAt <= now) return null;
+      holds.delete(holdId);
+      return claimed;
+    });
+    BookingHoldRepository.restoreHold.mockImplementation(async (restored) => holds.set(restored._id, restored).get(restored._id));
+    BookingRepository.createBooking.mockImplementation(async (bookingData) => {
+      const booking = { _id: 'b1', status: 'pending', ...bookingData };
+      bookings.set(booking._id, booking);
+      return { ...booking };
+    });
+    PaymentRepository.createPayment.mockImplementation(async (paymentData) => ({ _id: 'p1', ...paymentData }));
+    PromoCodeService.redeemPromoCode.mockResolvedValue({ _id: 'redemption-1' });
+  });
+
+  test('claims the hold, redeems its promo code and confirms the paid booking', async () => {
+    const { booking, payment: bookingPayment } = await BookingService.payForHold('h1', client, {}, { now: NOW });
+
+    expect(holds.has('h1')).toBe(false);
+    expect(booking).toMatchObject({ status: 'confirmed', amountPaid: 18, autoCancelIfUnpaid: true, promoCodeUsed: 'SAVE10' });
+    expect(bookingPayment).toMatchObject({ bookingId: 'b1', amount: 18, paymentMethod: 'card' });
+    expect(PromoCodeService.linkRedemption).toHaveBeenCalledWith('redemption-1', 'b1');
+    expect(AvailabilityService.withSpotLock).toHaveBeenCalledWith('spot-1', expect.any(Function));
+  });
+
+  test('completes the waitlist entry the hold was offered for', async () => {
+    holds.set('h1', hold({ waitlistEntryId: 'entry-1' }));
+
+    await BookingService.payForHold('h1', client, {}, { now: NOW });
+
+    expect(WaitlistService.completeHold).toHaveBeenCalledWith('entry-1', 'b1');
+  });
+
+  test('refuses an expired hold or one already used', async () => {
+    holds.set('h1', hold({ expiresAt: NOW }));
+    await expect(BookingService.payForHold('h1', client, {}, { now: NOW })).rejects.toMatchObject({ statusCode: 409 });
+    expect(BookingHoldRepository.claimHold).not.toHaveBeenCalled();
+
+    holds.set('h1', hold());
+    BookingHoldRepository.claimHold.mockResolvedValueOnce(null);
+    await expect(BookingService.payForHold('h1', client, {}, { now: NOW })).rejects.toMatchObject({ statusCode: 409 });
+    expect(BookingRepository.createBooking).not.toHaveBeenCalled();
+    expect(PromoCodeService.redeemPromoCode).not.toHaveBeenCalled();
+  });
+
+  test('puts the hold back and cancels the redemption when the booking cannot be created', async () => {
+    BookingRepository.createBooking.mockRejectedValueOnce(new Error('Write failed'));
+
+    await expect(BookingService.payForHold('h1', client, {}, { now: NOW })).rejects.toThrow('Write failed');
+
+    expect(holds.get('h1')).toMatchObject({ _id: 'h1', amountDue: 18 });
+    expect(PromoCodeService.cancelRedemption).toHaveBeenCalledWith({ _id: 'redemption-1' });
+    expect(PaymentRepository.createPayment).not.toHaveBeenCalled();
+  });
+
+  test('puts the hold back when the promo code has run out meanwhile', async () => {
+    PromoCodeService.redeemPromoCode.mockRejectedValueOnce(Object.assign(new Error('Used up'), { statusCode: 409 }));
+
+    await expect(BookingService.payForHold('h1', client, {}, { now: NOW })).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(holds.has('h1')).toBe(true);
+    expect(PromoCodeService.cancelRedemption).not.toHaveBeenCalled();
+    expect(BookingRepository.createBooking).not.toHaveBeenCalled();
+  });
+
+  test('does not let another client pay for the hold', async () => {
+    const stranger = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+
+    await expect(BookingService.payForHold('h1', stranger, {}, { now: NOW })).rejects.toMatchObject({ statusCode: 404 });
+    expect(holds.has('h1')).toBe(true);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * BookingStateMachine transition rules.
+ */
+
+const BookingStateMachine = require('../../src/services/BookingStateMachine');
+
+describe('BookingStateMachine.getActorRole', () => {
+  test('maps users to actors, and no user to the system', () => {
+    expect(BookingStateMachine.getActorRole({ role: 'user' })).toBe('client');
+    expect(BookingStateMachine.getActorRole({ role: 'partner' })).toBe('partner');
+    expect(BookingStateMachine.getActorRole({ role: 'admin' })).toBe('admin');
+    expect(BookingStateMachine.getActorRole(null)).toBe('system');
+  });
+});
+
+describe('BookingStateMachine.getAllowedTransitions', () => {
+  test('lists what each actor may do with a booking', () => {
+    expect(BookingStateMachine.getAllowedTransitions('pending', 'client')).toEqual(['cancelled']);
+    expect(BookingStateMachine.getAllowedTransitions('pending', 'system')).toEqual(['confirmed', 'cancelled', 'expired']);
+    expect(BookingStateMachine.getAllowedTransitions('confirmed', 'client')).toEqual(['cancelled']);
+    expect(BookingStateMachine.getAllowedTransitions('confirmed', 'system')).toEqual(['completed', 'no-show']);
+    expect(BookingStateMachine.getAllowedTransitions('confirmed', 'partner')).toEqual(['completed', 'cancelled', 'no-show']);
+  });
+
+  test('allows nothing from a final status', () => {
+    for (const status of ['completed', 'cancelled', 'expired', 'no-show']) {
+      expect(BookingStateMachine.getAllowedTransitions(status, 'admin')).toEqual([]);
+    }
+  });
+});
+
+describe('BookingStateMachine.assertTransition', () => {
+  test('allows a legal transition by a permitted actor', () => {
+    expect(() => BookingStateMachine.assertTransition('pending', 'confirmed', 'partner')).not.toThrow();
+    expect(() => BookingStateMachine.assertTransition('confirmed', 'no-show', 'system')).not.toThrow();
+  });
+
+  test('rejects an unknown status with 400', () => {
+    expect(() => BookingStateMachine.assertTransition('pending', 'archived', 'admin')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('rejects an illegal transition with 409 and lists the allowed ones', () => {
+    expect(() => BookingStateMachine.assertTransition('completed', 'cancelled', 'admin'))
+      .toThrow(expect.objectContaining({ statusCode: 409, details: { allowedTransitions: [] } }));
+    expect(() => BookingStateMachine.assertTransition('pending', 'completed', 'admin'))
+      .toThrow(expect.objectContaining({ statusCode: 409, details: { allowedTransitions: ['confirmed', 'cancelled', 'expired'] } }));
+    expect(() => BookingStateMachine.assertTransition('confirmed', 'confirmed', 'admin')).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  test('rejects a legal transition by an actor who may not make it with 403', () => {
+    expect(() => BookingStateMachine.assertTransition('pending', 'confirmed', 'client')).toThrow(expect.objectContaining({ statusCode: 403 }));
+    // Scheduled jobs cannot cancel a confirmed booking
+    expect(() => BookingStateMachine.assertTransition('confirmed', 'cancelled', 'system')).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+});
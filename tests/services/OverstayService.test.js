@@ -0,0 +1,163 @@
+/**
+ * OverstayService.detectOverstays, driven by a fake clock over in-memory repositories.
+ */
+
+jest.mock('../../src/repositories/BookingRepository', () => ({
+  findOverstayedBookings: jest.fn(),
+  claimOverstay: jest.fn(),
+  releaseOverstayClaim: jest.fn(),
+  updateBooking: jest.fn(),
+}));
+jest.mock('../../src/repositories/ParkingSpotRepository', () => ({
+  findById: jest.fn(),
+  flagOverstay: jest.fn(),
+}));
+jest.mock('../../src/repositories/PenaltyRepository', () => ({ updatePenalty: jest.fn() }));
+jest.mock('../../src/services/PenaltyService', () => ({ issuePenalty: jest.fn() }));
+jest.mock('../../src/services/NotificationService', () => ({ notifyUser: jest.fn() }));
+jest.mock('../../src/services/BookingService', () => ({ logBookingAction: jest.fn() }));
+
+const BookingRepository = require('../../src/repositories/BookingRepository');
+const ParkingSpotRepository = require('../../src/repositories/ParkingSpotRepository');
+const PenaltyService = require('../../src/services/PenaltyService');
+const NotificationService = require('../../src/services/NotificationService');
+const OverstayService = require('../../src/services/OverstayService');
+const config = require('../../src/config');
+
+const MINUTE_MS = 60 * 1000;
+const BOOKING_END = new Date('2026-10-19T10:00:00Z');
+const at = (minutesAfterEnd) => new Date(BOOKING_END.getTime() + minutesAfterEnd * MINUTE_MS);
+
+const spotWithFine = { _id: 'spot-1', name: 'Station Car Park', penaltyRules: [{ violation: 'Overstay', fineAmount: 25 }] };
+const spotWithoutRule = { _id: 'spot-2', name: 'High Street', penaltyRules: [] };
+
+let bookings;
+let spots;
+
+/**
+ * Back the mocked repositories with in-memory bookings and spots, following the real queries.
+ * @param {Array<Object>} bookingList - The bookings.
+ * @param {Array<Object>} spotList - The parking spots.
+ * @returns {void}
+ */
+const seed = (bookingList, spotList) => {
+  bookings = new Map(bookingList.map((booking) => [booking._id, booking]));
+  spots = new Map(spotList.map((spot) => [spot._id, spot]));
+
+  BookingRepository.findOverstayedBookings.mockImplementation(async (cutoff) => [...bookings.values()]
+    .filter((booking) => booking.status === 'confirmed' && booking.checkInTime && !booking.checkOutTime
+      && booking.bookingEnd < cutoff && !booking.overstay.detectedAt));
+  BookingRepository.claimOverstay.mockImplementation(async (bookingId, detectedAt) => {
+    const booking = bookings.get(bookingId);
+    if (!booking || booking.overstay.detectedAt) return null;
+    booking.overstay.detectedAt = detectedAt;
+    return { ...booking };
+  });
+  BookingRepository.releaseOverstayClaim.mockImplementation(async (bookingId, detectedAt) => {
+    const booking = bookings.get(bookingId);
+    if (booking?.overstay.detectedAt !== detectedAt || booking.overstay.penaltyId) return null;
+    booking.overstay.detectedAt = null;
+    return booking;
+  });
+  BookingRepository.updateBooking.mockImplementation(async (bookingId, update) => {
+    const booking = bookings.get(bookingId);
+    if (update['overstay.penaltyId']) booking.overstay.penaltyId = update['overstay.penaltyId'];
+    return booking;
+  });
+  ParkingSpotRepository.findById.mockImplementation(async (spotId) => spots.get(spotId) || null);
+};
+
+const checkedInBooking = (id, parkingSpotId) => ({
+  _id: id,
+  userId: `user-${id}`,
+  parkingSpotId,
+  status: 'confirmed',
+  bookingEnd: BOOKING_END,
+  checkInTime: new Date(BOOKING_END.getTime() - 60 * MINUTE_MS),
+  checkOutTime: null,
+  overstay: { detectedAt: null, penaltyId: null },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  PenaltyService.issuePenalty.mockImplementation(async (penalty) => ({ _id: `penalty-${penalty.bookingId}`, ...penalty }));
+  NotificationService.notifyUser.mockResolvedValue({ _id: 'notification' });
+});
+
+describe('OverstayService.detectOverstays', () => {
+  it('leaves a booking alone while it is inside the grace period', async () => {
+    seed([checkedInBooking('b1', 'spot-1')], [spotWithFine]);
+
+    const result = await OverstayService.detectOverstays({ now: at(config.overstay.graceMinutes - 1) });
+
+    expect(result).toEqual({ detected: 0, penalised: 0, failed: [] });
+    expect(bookings.get('b1').overstay.detectedAt).toBeNull();
+    expect(PenaltyService.issuePenalty).not.toHaveBeenCalled();
+  });
+
+  it('flags and fines a booking past the grace period', async () => {
+    seed([checkedInBooking('b1', 'spot-1')], [spotWithFine]);
+    const now = at(config.overstay.graceMinutes + 5);
+
+    const result = await OverstayService.detectOverstays({ now });
+
+    expect(result).toEqual({ detected: 1, penalised: 1, failed: [] });
+    expect(bookings.get('b1').overstay).toEqual({ detectedAt: now, penaltyId: 'penalty-b1' });
+    expect(PenaltyService.issuePenalty).toHaveBeenCalledWith(expect.objectContaining({
+      bookingId: 'b1',
+      violationType: 'overstay',
+      fineAmount: 25,
+      issuedAt: now,
+    }));
+    expect(ParkingSpotRepository.flagOverstay).toHaveBeenCalledWith('spot-1', 'b1');
+    expect(NotificationService.notifyUser).toHaveBeenCalledWith('user-b1', expect.objectContaining({ type: 'penalty' }));
+  });
+
+  it('flags but does not fine a booking on a spot with no overstay rule', async () => {
+    seed([checkedInBooking('b2', 'spot-2')], [spotWithoutRule]);
+
+    const result = await OverstayService.detectOverstays({ now: at(config.overstay.graceMinutes + 5) });
+
+    expect(result).toEqual({ detected: 1, penalised: 0, failed: [] });
+    expect(bookings.get('b2').overstay.detectedAt).not.toBeNull();
+    expect(PenaltyService.issuePenalty).not.toHaveBeenCalled();
+  });
+
+  it('does not penalise the same booking again on a later run', async () => {
+    seed([checkedInBooking('b1', 'spot-1')], [spotWithFine]);
+
+    await OverstayService.detectOverstays({ now: at(config.overstay.graceMinutes + 5) });
+    const second = await OverstayService.detectOverstays({ now: at(config.overstay.graceMinutes + 10) });
+
+    expect(second).toEqual({ detected: 0, penalised: 0, failed: [] });
+    expect(PenaltyService.issuePenalty).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases the claim when handling fails before the penalty, so the next run retries', async () => {
+    seed([checkedInBooking('b1', 'spot-1')], [spotWithFine]);
+    PenaltyService.issuePenalty.mockRejectedValueOnce(new Error('database unavailable'));
+
+    const first = await OverstayService.detectOverstays({ now: at(config.overstay.graceMinutes + 5) });
+    expect(first).toEqual({
+      detected: 0,
+      penalised: 0,
+      failed: [{ bookingId: 'b1', penaltyId: null, error: 'database unavailable' }],
+    });
+    expect(bookings.get('b1').overstay.detectedAt).toBeNull();
+
+    const second = await OverstayService.detectOverstays({ now: at(config.overstay.graceMinutes + 10) });
+    expect(second).toEqual({ detected: 1, penalised: 1, failed: [] });
+  });
+
+  it('keeps the claim when handling fails after the penalty was issued', async () => {
+    seed([checkedInBooking('b1', 'spot-1')], [spotWithFine]);
+    NotificationService.notifyUser.mockRejectedValueOnce(new Error('mail down'));
+
+    const first = await OverstayService.detectOverstays({ now: at(config.overstay.graceMinutes + 5) });
+    const second = await OverstayService.detectOverstays({ now: at(config.overstay.graceMinutes + 10) });
+
+    expect(first.failed).toEqual([{ bookingId: 'b1', penaltyId: 'penalty-b1', error: 'mail down' }]);
+    expect(second).toEqual({ detected: 0, penalised: 0, failed: [] });
+    expect(PenaltyService.issuePenalty).toHaveBeenCalledTimes(1);
+  });
+});
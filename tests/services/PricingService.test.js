@@ -0,0 +1,86 @@
+/**
+ * PricingService quotes: rates, peak hours, daily caps and push-up pricing.
+ */
+
+// Loaded through AvailabilityService, whose time helpers work out the spot's local peak hours
+jest.mock('../../src/repositories/BookingRepository', () => ({}));
+jest.mock('../../src/repositories/BookingHoldRepository', () => ({}));
+jest.mock('../../src/repositories/WaitlistRepository', () => ({}));
+jest.mock('../../src/repositories/ParkingSpotRepository', () => ({}));
+
+const PricingService = require('../../src/services/PricingService');
+
+const at = (hour) => new Date(Date.UTC(2026, 9, 19, hour));
+const spotWith = (pricing, timezone = 'UTC') => ({ pricing: { hourlyRate: 4, ...pricing }, operatingHours: { timezone } });
+const peakHours = (startTime, endTime, increasePercentage = 50) => ({ peakHourPricing: { enabled: true, startTime, endTime, increasePercentage } });
+
+describe('PricingService.quotePrice', () => {
+  test('charges the hourly rate for the window', () => {
+    expect(PricingService.quotePrice(spotWith({}), at(9), at(12))).toEqual({
+      hours: 3,
+      peakHours: 0,
+      offPeakHours: 3,
+      hourlyRate: 4,
+      lineItems: [{ type: 'standard', description: 'Standard rate', quantity: 3, unit: 'hour', rate: 4, amount: 12 }],
+      total: 12,
+    });
+  });
+
+  test('charges the special event rate while event pricing is enabled', () => {
+    const specialEventPricing = { enabled: true, eventName: 'Concert', adjustedRate: 6 };
+
+    expect(PricingService.quotePrice(spotWith({ specialEventPricing }), at(9), at(11)))
+      .toMatchObject({ hourlyRate: 6, lineItems: [{ description: 'Concert rate', rate: 6, amount: 12 }], total: 12 });
+    expect(PricingService.quotePrice(spotWith({ specialEventPricing: { ...specialEventPricing, enabled: false } }), at(9), at(11)).total)
+      .toBe(8);
+  });
+
+  test('splits the window into off-peak and peak time', () => {
+    const quote = PricingService.quotePrice(spotWith(peakHours('08:00', '10:00')), at(7), at(11));
+
+    expect(quote).toMatchObject({ peakHours: 2, offPeakHours: 2, total: 20 });
+    expect(quote.lineItems).toEqual([
+      { type: 'off_peak', description: 'Standard rate, off-peak', quantity: 2, unit: 'hour', rate: 4, amount: 8 },
+      { type: 'peak', description: 'Standard rate, peak hours (+50%)', quantity: 2, unit: 'hour', rate: 6, amount: 12 },
+    ]);
+  });
+
+  test('reads the peak window in the spot\'s timezone, including windows past midnight', () => {
+    // London is an hour ahead of UTC in October until the clocks go back
+    expect(PricingService.quotePrice(spotWith(peakHours('08:00', '10:00'), 'Europe/London'), at(7), at(9)))
+      .toMatchObject({ peakHours: 2, offPeakHours: 0 });
+    expect(PricingService.quotePrice(spotWith(peakHours('22:00', '02:00')), at(21), at(27)))
+      .toMatchObject({ peakHours: 4, offPeakHours: 2, total: 32 });
+  });
+
+  test('caps each 24 hours from the start of the window at the daily rate', () => {
+    // 48 for the first day is capped at 30; the last 6 hours cost 12
+    const quote = PricingService.quotePrice(spotWith({ hourlyRate: 2, dailyRate: 30 }), at(9), at(39));
+
+    expect(quote.total).toBe(42);
+    expect(quote.lineItems).toContainEqual({
+      type: 'daily_cap',
+      description: 'Capped at the daily rate of 30',
+      quantity: 1,
+      unit: 'day',
+      rate: 30,
+      amount: -18,
+    });
+    expect(PricingService.quotePrice(spotWith({ hourlyRate: 2, dailyRate: 30 }), at(9), at(19)).lineItems)
+      .not.toContainEqual(expect.objectContaining({ type: 'daily_cap' }));
+  });
+
+  test('adds the push-up price to every hour, on top of the daily cap', () => {
+    const quote = PricingService.quotePrice(spotWith({ hourlyRate: 2, dailyRate: 30, pushUpPrice: 0.5 }), at(9), at(39));
+
+    expect(quote.lineItems).toContainEqual({ type: 'push_up', description: 'Temporary price increase', quantity: 30, unit: 'hour', rate: 0.5, amount: 15 });
+    expect(quote.total).toBe(57);
+  });
+
+  test('rounds amounts to the cent', () => {
+    const quote = PricingService.quotePrice(spotWith({ hourlyRate: 3.33 }), at(9), new Date(at(9).getTime() + 20 * 60 * 1000));
+
+    expect(quote.lineItems[0]).toMatchObject({ quantity: 1 / 3, amount: 1.11 });
+    expect(quote.total).toBe(1.11);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * PromoCodeService discounts and usage limits, over in-memory repositories.
+ */
+
+jest.mock('../../src/repositories/PromoCodeRepository', () => ({
+  findById: jest.fn(),
+  findByCode: jest.fn(),
+  incrementRedemptions: jest.fn(),
+  decrementRedemptions: jest.fn(),
+}));
+jest.mock('../../src/repositories/PromoRedemptionRepository', () => ({
+  createRedemption: jest.fn(),
+  deleteRedemption: jest.fn(),
+}));
+jest.mock('../../src/repositories/PromoUsageRepository', () => ({
+  countUses: jest.fn(),
+  incrementUses: jest.fn(),
+  decrementUses: jest.fn(),
+}));
+jest.mock('../../src/repositories/BookingRepository', () => ({ countBookings: jest.fn() }));
+// Loaded through PricingService, which only needs AvailabilityService's time helpers
+jest.mock('../../src/repositories/BookingHoldRepository', () => ({}));
+jest.mock('../../src/repositories/WaitlistRepository', () => ({}));
+jest.mock('../../src/repositories/ParkingSpotRepository', () => ({}));
+
+const mongoose = require('mongoose');
+const PromoCodeRepository = require('../../src/repositories/PromoCodeRepository');
+const PromoRedemptionRepository = require('../../src/repositories/PromoRedemptionRepository');
+const PromoUsageRepository = require('../../src/repositories/PromoUsageRepository');
+const BookingRepository = require('../../src/repositories/BookingRepository');
+const PromoCodeService = require('../../src/services/PromoCodeService');
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+const spot = { _id: new mongoose.Types.ObjectId(), partnerId: new mongoose.Types.ObjectId() };
+
+let promoCodes;
+let uses;
+let redemptions;
+
+const promoCode = (overrides = {}) => ({
+  _id: 'promo-1',
+  code: 'SAVE20',
+  status: 'active',
+  discountType: 'percentage',
+  discountValue: 20,
+  maxDiscount: null,
+  minSpend: 0,
+  validFrom: new Date('2026-01-01T00:00:00Z'),
+  validUntil: null,
+  usageLimit: null,
+  perUserLimit: null,
+  redemptionCount: 0,
+  parkingSpotIds: [],
+  partnerIds: [],
+  firstBookingOnly: false,
+  ...overrides,
+});
+
+/**
+ * Back the mocked repositories with in-memory promo codes, usage counters and redemptions,
+ * following the conditional updates of the real ones.
+ * @param {Array<Object>} codeList - The promo codes.
+ * @returns {void}
+ */
+const seed = (codeList) => {
+  promoCodes = new Map(codeList.map((code) => [code._id, code]));
+  uses = new Map();
+  redemptions = [];
+  const usageKey = (promoCodeId, user) => `${promoCodeId}:${user}`;
+
+  PromoCodeRepository.findById.mockImplementation(async (promoCodeId) => promoCodes.get(promoCodeId) || null);
+  PromoCodeRepository.findByCode.mockImplementation(async (code) => [...promoCodes.values()].find((entry) => entry.code === code) || null);
+  PromoCodeRepository.incrementRedemptions.mockImplementation(async (promoCodeId) => {
+    const code = promoCodes.get(promoCodeId);
+    if (code.status !== 'active' || (code.usageLimit != null && code.redemptionCount >= code.usageLimit)) return null;
+    code.redemptionCount++;
+    return code;
+  });
+  PromoCodeRepository.decrementRedemptions.mockImplementation(async (promoCodeId) => {
+    promoCodes.get(promoCodeId).redemptionCount--;
+  });
+  PromoUsageRepository.countUses.mockImplementation(async (promoCodeId, user) => uses.get(usageKey(promoCodeId, user)) || 0);
+  PromoUsageRepository.incrementUses.mockImplementation(async (promoCodeId, user, limit) => {
+    const count = uses.get(usageKey(promoCodeId, user)) || 0;
+    if (limit != null && count >= limit) return false;
+    uses.set(usageKey(promoCodeId, user), count + 1);
+    return true;
+  });
+  PromoUsageRepository.decrementUses.mockImplementation(async (promoCodeId, user) => {
+    uses.set(usageKey(promoCodeId, user), uses.get(usageKey(promoCodeId, user)) - 1);
+  });
+  PromoRedemptionRepository.createRedemption.mockImplementation(async (redemptionData) => {
+    const redemption = { _id: `redemption-${redemptions.length + 1}`, ...redemptionData };
+    redemptions.push(redemption);
+    return redemption;
+  });
+  PromoRedemptionRepository.deleteRedemption.mockImplementation(async (redemptionId) => {
+    redemptions = redemptions.filter((redemption) => redemption._id !== redemptionId);
+  });
+  BookingRepository.countBookings.mockResolvedValue(0);
+};
+
+const discountFor = (code, amount = 50) => ({
+  promoCodeId: code._id,
+  code: code.code,
+  discountType: code.discountType,
+  discountValue: code.discountValue,
+  amountBeforeDiscount: amount,
+  discountAmount: PromoCodeService.calculateDiscount(code, amount),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('PromoCodeService.calculateDiscount', () => {
+  test('takes a percentage off, up to the maximum discount', () => {
+    expect(PromoCodeService.calculateDiscount(promoCode(), 33.33)).toBe(6.67);
+    expect(PromoCodeService.calculateDiscount(promoCode({ maxDiscount: 5 }), 50)).toBe(5);
+  });
+
+  test('never takes off more than the price', () => {
+    expect(PromoCodeService.calculateDiscount(promoCode({ discountType: 'fixed', discountValue: 15 }), 40)).toBe(15);
+    expect(PromoCodeService.calculateDiscount(promoCode({ discountType: 'fixed', discountValue: 15 }), 12)).toBe(12);
+  });
+});
+
+describe('PromoCodeService.applyPromoCode', () => {
+  test('works out the discount on the price', async () => {
+    seed([promoCode()]);
+
+    expect(await PromoCodeService.applyPromoCode('SAVE20', { userId, spot, amount: 50 }, { now: NOW })).toEqual({
+      promoCodeId: 'promo-1',
+      code: 'SAVE20',
+      discountType: 'percentage',
+      discountValue: 20,
+      amountBeforeDiscount: 50,
+      discountAmount: 10,
+    });
+  });
+
+  test('rejects codes that are used up, inactive or outside their validity', async () => {
+    const apply = () => PromoCodeService.applyPromoCode('SAVE20', { userId, spot, amount: 50 }, { now: NOW });
+
+    seed([promoCode({ usageLimit: 3, redemptionCount: 3 })]);
+    await expect(apply()).rejects.toMatchObject({ statusCode: 400, message: 'This promo code has been fully used' });
+    seed([promoCode({ status: 'disabled' })]);
+    await expect(apply()).rejects.toMatchObject({ statusCode: 400, message: 'This promo code is no longer active' });
+    seed([promoCode({ validUntil: NOW })]);
+    await expect(apply()).rejects.toMatchObject({ statusCode: 400, message: 'This promo code has expired' });
+    seed([promoCode({ validFrom: new Date(NOW.getTime() + 1) })]);
+    await expect(apply()).rejects.toMatchObject({ statusCode: 400, message: 'This promo code is not valid yet' });
+    seed([]);
+    await expect(apply()).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('enforces the minimum spend, spot and partner restrictions and first-booking codes', async () => {
+    const apply = (amount = 50) => PromoCodeService.applyPromoCode('SAVE20', { userId, spot, amount }, { now: NOW });
+
+    seed([promoCode({ minSpend: 60 })]);
+    await expect(apply()).rejects.toMatchObject({ statusCode: 400 });
+    await expect(apply(60)).resolves.toMatchObject({ discountAmount: 12 });
+    seed([promoCode({ parkingSpotIds: [new mongoose.Types.ObjectId()] })]);
+    await expect(apply()).rejects.toMatchObject({ statusCode: 400 });
+    seed([promoCode({ parkingSpotIds: [spot._id], partnerIds: [spot.partnerId] })]);
+    await expect(apply()).resolves.toMatchObject({ discountAmount: 10 });
+    seed([promoCode({ firstBookingOnly: true })]);
+    BookingRepository.countBookings.mockResolvedValue(1);
+    await expect(apply()).rejects.toMatchObject({ statusCode: 400, message: 'This promo code is only valid on your first booking' });
+  });
+
+  test('rejects a client who has used the code as often as allowed', async () => {
+    seed([promoCode({ perUserLimit: 1 })]);
+    await PromoCodeService.redeemPromoCode(discountFor(promoCodes.get('promo-1')), userId, { now: NOW });
+
+    await expect(PromoCodeService.applyPromoCode('SAVE20', { userId, spot, amount: 50 }, { now: NOW }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'You have already used this promo code' });
+    await expect(PromoCodeService.applyPromoCode('SAVE20', { userId: otherUserId, spot, amount: 50 }, { now: NOW }))
+      .resolves.toMatchObject({ discountAmount: 10 });
+  });
+});
+
+describe('PromoCodeService.redeemPromoCode', () => {
+  test('counts the use and records the redemption', async () => {
+    seed([promoCode({ usageLimit: 5 })]);
+
+    const redemption = await PromoCodeService.redeemPromoCode(discountFor(promoCodes.get('promo-1')), userId, { now: NOW });
+
+    expect(redemption).toMatchObject({ promoCodeId: 'promo-1', userId, amountBeforeDiscount: 50, discountAmount: 10, redeemedAt: NOW });
+    expect(promoCodes.get('promo-1').redemptionCount).toBe(1);
+    expect(await PromoUsageRepository.countUses('promo-1', userId)).toBe(1);
+  });
+
+  test('lets only one of two checkouts take the last use of a code', async () => {
+    seed([promoCode({ usageLimit: 1 })]);
+    const discount = discountFor(promoCodes.get('promo-1'));
+
+    const results = await Promise.allSettled([
+      PromoCodeService.redeemPromoCode(discount, userId, { now: NOW }),
+      PromoCodeService.redeemPromoCode(discount, otherUserId, { now: NOW }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason.statusCode).toBe(409);
+    expect(promoCodes.get('promo-1').redemptionCount).toBe(1);
+    expect(redemptions).toHaveLength(1);
+    // The client whose checkout lost keeps their use of the code
+    const loser = results[0].status === 'rejected' ? userId : otherUserId;
+    expect(await PromoUsageRepository.countUses('promo-1', loser)).toBe(0);
+  });
+
+  test('refuses a client past their own limit without counting a use of the code', async () => {
+    seed([promoCode({ perUserLimit: 1 })]);
+    const discount = discountFor(promoCodes.get('promo-1'));
+    await PromoCodeService.redeemPromoCode(discount, userId, { now: NOW });
+
+    await expect(PromoCodeService.redeemPromoCode(discount, userId, { now: NOW })).rejects.toMatchObject({ statusCode: 409 });
+    expect(promoCodes.get('promo-1').redemptionCount).toBe(1);
+    expect(PromoCodeRepository.incrementRedemptions).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses a code disabled since the checkout started', async () => {
+    seed([promoCode()]);
+    const discount = discountFor(promoCodes.get('promo-1'));
+    promoCodes.get('promo-1').status = 'disabled';
+
+    await expect(PromoCodeService.redeemPromoCode(discount, userId, { now: NOW })).rejects.toMatchObject({ statusCode: 409 });
+    expect(await PromoUsageRepository.countUses('promo-1', userId)).toBe(0);
+  });
+});
+
+describe('PromoCodeService.cancelRedemption', () => {
+  test('gives the use back to the code and to the client', async () => {
+    seed([promoCode({ usageLimit: 1, perUserLimit: 1 })]);
+    const discount = discountFor(promoCodes.get('promo-1'));
+    const redemption = await PromoCodeService.redeemPromoCode(discount, userId, { now: NOW });
+
+    await PromoCodeService.cancelRedemption(redemption);
+
+    expect(redemptions).toEqual([]);
+    expect(promoCodes.get('promo-1').redemptionCount).toBe(0);
+    await expect(PromoCodeService.redeemPromoCode(discount, userId, { now: NOW })).resolves.toMatchObject({ promoCodeId: 'promo-1' });
+  });
+});
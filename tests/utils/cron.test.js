@@ -0,0 +1,64 @@
+/**
+ * Cron expression parsing and next run times.
+ */
+
+const { parseCron, getNextRun } = require('../../src/utils/cron');
+
+// A Monday
+const NOW = new Date('2026-10-19T10:07:30Z');
+
+describe('parseCron', () => {
+  test('expands wildcards, ranges, lists and steps', () => {
+    const schedule = parseCron('*/15 8-10 1,15 * 1-5');
+
+    expect([...schedule.minute]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hour]).toEqual([8, 9, 10]);
+    expect([...schedule.dayOfMonth]).toEqual([1, 15]);
+    expect(schedule.month.size).toBe(12);
+    expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect([...parseCron('5/20 * * * *').minute]).toEqual([5, 25, 45]);
+    expect([...parseCron('10-50/20 * * * *').minute]).toEqual([10, 30, 50]);
+  });
+
+  test('treats day of week 7 as Sunday', () => {
+    expect(parseCron('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('must have 5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow("Invalid cron minute field '60'");
+    expect(() => parseCron('* 5-2 * * *')).toThrow('Invalid cron hour field');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid cron minute field');
+    expect(() => parseCron('* * 0 * *')).toThrow('Invalid cron day of month field');
+    expect(() => parseCron('* * * * mon')).toThrow('Invalid cron day of week field');
+  });
+});
+
+describe('getNextRun', () => {
+  test('runs on the next matching minute, strictly after the given moment', () => {
+    expect(getNextRun('*/5 * * * *', NOW)).toEqual(new Date('2026-10-19T10:10:00Z'));
+    expect(getNextRun('*/5 * * * *', new Date('2026-10-19T10:10:00Z'))).toEqual(new Date('2026-10-19T10:15:00Z'));
+    expect(getNextRun('0 3 * * *', NOW)).toEqual(new Date('2026-10-20T03:00:00Z'));
+  });
+
+  test('rolls over into the next month and year', () => {
+    expect(getNextRun('30 2 1 * *', NOW)).toEqual(new Date('2026-11-01T02:30:00Z'));
+    expect(getNextRun('0 0 1 1 *', NOW)).toEqual(new Date('2027-01-01T00:00:00Z'));
+    expect(getNextRun('0 0 29 2 *', NOW)).toEqual(new Date('2028-02-29T00:00:00Z'));
+  });
+
+  test('runs on either day when both day fields are restricted', () => {
+    // The 25th is a Sunday, so the Friday comes first
+    expect(getNextRun('0 9 25 * 5', NOW)).toEqual(new Date('2026-10-23T09:00:00Z'));
+    expect(getNextRun('0 9 20 * 0', NOW)).toEqual(new Date('2026-10-20T09:00:00Z'));
+    expect(getNextRun('0 9 * * 0', NOW)).toEqual(new Date('2026-10-25T09:00:00Z'));
+  });
+
+  test('accepts a parsed schedule', () => {
+    expect(getNextRun(parseCron('0 12 * * 1'), NOW)).toEqual(new Date('2026-10-19T12:00:00Z'));
+  });
+
+  test('fails for a schedule that never runs', () => {
+    expect(() => getNextRun('0 0 31 2 *', NOW)).toThrow('never runs');
+  });
+});